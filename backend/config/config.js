@@ -1,3 +1,10 @@
+// Read a number from the environment. Unlike `parseInt(...) || fallback`, an
+// explicit 0 is kept; only a missing or non-numeric value falls back.
+const envNumber = (name, fallback, parse = parseInt) => {
+    const value = parse(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
 const config = {
     jwtSecret: process.env.JWT_SECRET || '123',
     jwtExpiresIn: '24h',
@@ -5,6 +12,35 @@ const config = {
     resetTokenExpiryHours: 1,
     activationTokenExpiryDays: 7,
     pointsPerDollar: 4, // 1 point per $0.25 = 4 points per $1
+    redemptionExpiryHours: envNumber('REDEMPTION_EXPIRY_HOURS', 72), // unprocessed redemptions are voided after this
+    redemptionSweepIntervalMinutes: 15,
+    membershipWindowDays: envNumber('MEMBERSHIP_WINDOW_DAYS', 365), // tiers count points earned within this many days
+    tierRecalculationHour: 3, // local hour at which membership tiers are recalculated each night
+    pointsExpiryDays: envNumber('POINTS_EXPIRY_DAYS', 365), // earned points lapse this long after they were earned
+    expiringSoonDays: 30, // points lapsing within this many days are reported as expiring soon
+    expirySweepIntervalMinutes: 60,
+    transferMinAmount: envNumber('TRANSFER_MIN_AMOUNT', 1), // smallest single transfer
+    transferMaxAmount: envNumber('TRANSFER_MAX_AMOUNT', 5000), // largest single transfer
+    transferDailyLimit: envNumber('TRANSFER_DAILY_LIMIT', 10000), // points a user may send in any 24 hours
+    transferWeeklyLimit: envNumber('TRANSFER_WEEKLY_LIMIT', 25000), // points a user may send in any 7 days
+    pointRequestExpiryHours: envNumber('POINT_REQUEST_EXPIRY_HOURS', 72), // unanswered point requests expire after this
+    pointRequestSweepIntervalMinutes: 15,
+    idempotencyWindowHours: 24, // stored responses are replayed for repeated Idempotency-Keys within this window
+    idempotencySweepIntervalMinutes: 60,
+    riskFlagScore: 50, // transactions scoring this much on the suspicious-activity rules are flagged
+    riskLargeSpend: envNumber('RISK_LARGE_SPEND', 1000, parseFloat), // single purchase spend that is always unusual
+    riskSpendMultiple: 10, // or this many times the customer's average spend
+    riskRapidWindowMinutes: 60,
+    riskRapidPurchaseCount: 5, // purchases for one customer by one cashier within the window
+    riskFunnelWindowHours: 24,
+    riskFunnelSenders: 5, // distinct accounts transferring to one recipient within the window
+    riskQuickRedeemMinutes: 30, // a redemption this soon after a credit counts as quick
+    riskQuickRedeemDays: 7,
+    riskQuickRedeemRepeat: 3, // quick redemptions within riskQuickRedeemDays before one is flagged
+    checkInOpensMinutes: 60, // organizers can check guests in from this long before an event starts
+    maxSeriesOccurrences: 100, // most events a single recurrence rule may generate
+    qrTokenSecret: process.env.QR_TOKEN_SECRET || `${process.env.JWT_SECRET || '123'}:qr`, // signs QR code tokens, never login tokens
+    qrTokenTtlSeconds: envNumber('QR_TOKEN_TTL_SECONDS', 300), // QR codes are refreshed well before this runs out
     roles: {
       REGULAR: 'regular',
       CASHIER: 'cashier',
@@ -0,0 +1,98 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/**
+ * Parse a stored JSON column
+ * @param {string|null} value - Stored JSON
+ * @returns {*} - Parsed value, or null
+ */
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+/**
+ * Audit controller for reviewing the log of mutating requests
+ */
+const auditController = {
+  /**
+   * List audit log entries, newest first (superuser role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  listAuditLogs: async (req, res, next) => {
+    try {
+      const { actor, action, targetType, targetId, from, to, page = 1, limit = 20 } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const where = {};
+
+      if (actor) {
+        where.actor = { utorid: actor };
+      }
+
+      if (action) {
+        where.action = action;
+      }
+
+      if (targetType) {
+        where.targetType = targetType;
+      }
+
+      if (targetId !== undefined) {
+        const id = parseInt(targetId);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'targetId must be an integer' });
+        }
+        where.targetId = id;
+      }
+
+      if (from || to) {
+        const start = from ? new Date(from) : null;
+        const end = to ? new Date(to) : null;
+
+        if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+          return res.status(400).json({ error: 'Invalid date format' });
+        }
+
+        where.createdAt = {};
+        if (start) {
+          where.createdAt.gte = start;
+        }
+        if (end) {
+          where.createdAt.lte = end;
+        }
+      }
+
+      const count = await prisma.auditLog.count({ where });
+
+      const logs = await prisma.auditLog.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        include: { actor: { select: { utorid: true } } }
+      });
+
+      const results = logs.map(log => ({
+        id: log.id,
+        actor: log.actor.utorid,
+        action: log.action,
+        targetType: log.targetType,
+        targetId: log.targetId,
+        before: parseJson(log.before),
+        after: parseJson(log.after),
+        ip: log.ip,
+        createdAt: log.createdAt
+      }));
+
+      res.status(200).json({
+        count,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = auditController;
@@ -0,0 +1,157 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ROUNDING_MODES, getActivePolicy } = require('../utils/earningPolicy');
+
+/**
+ * Format an earning policy for responses
+ * @param {Object} policy - Policy with tiers and creator
+ * @param {number|null} activeId - Id of the policy in effect now
+ * @returns {Object} - Response object
+ */
+const formatPolicy = (policy, activeId) => ({
+  id: policy.id,
+  pointsPerDollar: policy.pointsPerDollar,
+  rounding: policy.rounding,
+  effectiveFrom: policy.effectiveFrom,
+  remark: policy.remark || "",
+  createdBy: policy.createdBy ? policy.createdBy.utorid : null,
+  createdAt: policy.createdAt,
+  active: policy.id === activeId,
+  tiers: [...policy.tiers]
+    .sort((a, b) => a.minLifetimeSpend - b.minLifetimeSpend)
+    .map(tier => ({
+      minLifetimeSpend: tier.minLifetimeSpend,
+      multiplier: tier.multiplier
+    }))
+});
+
+/**
+ * Earning policy controller for managing how purchases earn points. Policies
+ * are never edited; a change is a new policy with a later effectiveFrom, so
+ * past transactions can still be explained by the policy they were earned under.
+ */
+const earningPolicyController = {
+  /**
+   * List every earning policy, newest first (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  listPolicies: async (req, res, next) => {
+    try {
+      const active = await getActivePolicy(prisma);
+
+      const policies = await prisma.earningPolicy.findMany({
+        include: {
+          tiers: true,
+          createdBy: true
+        }
+      });
+
+      const results = policies
+        .sort((a, b) => (b.effectiveFrom - a.effectiveFrom) || (b.id - a.id))
+        .map(policy => formatPolicy(policy, active.id));
+
+      res.status(200).json({
+        count: results.length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the earning policy in effect now
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getCurrentPolicy: async (req, res, next) => {
+    try {
+      const active = await getActivePolicy(prisma);
+
+      res.status(200).json(formatPolicy(active, active.id));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create a new earning policy that takes effect now or later (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  createPolicy: async (req, res, next) => {
+    try {
+      const { pointsPerDollar, rounding = 'round', tiers = [], effectiveFrom, remark } = req.body;
+
+      if (typeof pointsPerDollar !== 'number' || pointsPerDollar <= 0) {
+        return res.status(400).json({ error: 'pointsPerDollar must be a positive number' });
+      }
+
+      if (!ROUNDING_MODES.includes(rounding)) {
+        return res.status(400).json({ error: `rounding must be one of ${ROUNDING_MODES.join(', ')}` });
+      }
+
+      if (!Array.isArray(tiers)) {
+        return res.status(400).json({ error: 'tiers must be an array' });
+      }
+
+      for (const tier of tiers) {
+        if (typeof tier.minLifetimeSpend !== 'number' || tier.minLifetimeSpend < 0) {
+          return res.status(400).json({ error: 'Tier minLifetimeSpend must be a non-negative number' });
+        }
+
+        if (typeof tier.multiplier !== 'number' || tier.multiplier <= 0) {
+          return res.status(400).json({ error: 'Tier multiplier must be a positive number' });
+        }
+      }
+
+      if (new Set(tiers.map(tier => tier.minLifetimeSpend)).size !== tiers.length) {
+        return res.status(400).json({ error: 'Tiers must have distinct minLifetimeSpend values' });
+      }
+
+      // History must not be rewritten, so a policy cannot start in the past
+      const now = new Date();
+      const start = effectiveFrom ? new Date(effectiveFrom) : now;
+
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'Invalid effectiveFrom date' });
+      }
+
+      if (start < now) {
+        return res.status(400).json({ error: 'effectiveFrom cannot be in the past' });
+      }
+
+      const policy = await prisma.earningPolicy.create({
+        data: {
+          pointsPerDollar,
+          rounding,
+          effectiveFrom: start,
+          remark,
+          createdById: req.auth.userId,
+          tiers: {
+            create: tiers.map(tier => ({
+              minLifetimeSpend: tier.minLifetimeSpend,
+              multiplier: tier.multiplier
+            }))
+          }
+        },
+        include: {
+          tiers: true,
+          createdBy: true
+        }
+      });
+
+      const active = await getActivePolicy(prisma);
+
+      res.status(201).json(formatPolicy(policy, active.id));
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = earningPolicyController;
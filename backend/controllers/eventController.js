@@ -1,5 +1,71 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { applyPointsChange } = require('../utils/pointsLedger');
+const { verifyQRToken } = require('../utils/qrTokens');
+const { snapshotTarget, recordAuditEntry } = require('../utils/audit');
+const {
+  WAITLIST_ORDER,
+  nextWaitlistPosition,
+  getWaitlistPosition,
+  promoteFromWaitlist
+} = require('../utils/eventWaitlist');
+const {
+  parseRecurrence,
+  occurrenceStarts,
+  restepOccurrenceStart,
+  parseSeriesScope,
+  getLaterOccurrences
+} = require('../utils/eventSeries');
+
+/**
+ * Format a recurring event's series
+ * @param {Object} series - EventSeries row
+ * @param {Array<Object>} occurrences - Its events, earliest first
+ * @returns {Object} - Recurrence rule and occurrences
+ */
+const formatSeries = (series, occurrences) => ({
+  id: series.id,
+  frequency: series.frequency,
+  interval: series.interval,
+  count: series.count,
+  until: series.until ? series.until.toISOString() : null,
+  occurrences: occurrences.map(o => ({
+    id: o.id,
+    startTime: o.startTime.toISOString(),
+    endTime: o.endTime.toISOString()
+  }))
+});
+
+/**
+ * Format an event's waitlist for organizers, in promotion order
+ * @param {number} eventId - Event id
+ * @returns {Promise<Array<Object>>} - Waitlisted users with their place in line
+ */
+const listWaitlist = async (eventId) => {
+  const entries = await prisma.eventWaitlistEntry.findMany({
+    where: { eventId },
+    orderBy: WAITLIST_ORDER,
+    include: {
+      user: {
+        select: {
+          id: true,
+          utorid: true,
+          name: true
+        }
+      }
+    }
+  });
+
+  return entries.map((entry, index) => ({
+    position: index + 1,
+    id: entry.user.id,
+    utorid: entry.user.utorid,
+    name: entry.user.name,
+    joinedAt: entry.createdAt
+  }));
+};
 
 /**
  * Event controller for handling event-related operations
@@ -13,7 +79,7 @@ const eventController = {
    */
   createEvent: async (req, res, next) => {
     try {
-      const { name, description, location, startTime, endTime, capacity, points } = req.body;
+      const { name, description, location, startTime, endTime, capacity, points, recurrence } = req.body;
       
       // Validate required fields
       if (!name || !description || !location || !startTime || !endTime || !points) {
@@ -42,22 +108,39 @@ const eventController = {
         return res.status(400).json({ error: 'Points must be a positive integer' });
       }
       
+      // A recurring event is created as a series with one event per occurrence,
+      // each lasting as long as the first and with its own points budget
+      const rule = recurrence !== undefined && recurrence !== null ? parseRecurrence(recurrence, start) : null;
+      const starts = rule ? occurrenceStarts(rule, start) : [start];
+      const duration = end.getTime() - start.getTime();
+      
       // Create the event
-      const event = await prisma.event.create({
-        data: {
-          name,
-          description,
-          location,
-          startTime: start,
-          endTime: end,
-          capacity,
-          points,
-          pointsRemain: points,
-          published: false
+      const { series, events } = await prisma.$transaction(async (tx) => {
+        const series = rule ? await tx.eventSeries.create({ data: rule }) : null;
+        
+        const events = [];
+        for (const occurrenceStart of starts) {
+          events.push(await tx.event.create({
+            data: {
+              name,
+              description,
+              location,
+              startTime: occurrenceStart,
+              endTime: new Date(occurrenceStart.getTime() + duration),
+              capacity,
+              points,
+              pointsRemain: points,
+              published: false,
+              seriesId: series ? series.id : null
+            }
+          }));
         }
+        
+        return { series, events };
       });
+      const event = events[0];
       
-      // Return the created event
+      // Return the created event (the first occurrence of a series)
       res.status(201).json({
         id: event.id,
         name: event.name,
@@ -70,7 +153,8 @@ const eventController = {
         pointsAwarded: event.pointsAwarded,
         published: event.published,
         organizers: [],
-        guests: []
+        guests: [],
+        ...(series ? { series: formatSeries(series, events) } : {})
       });
     } catch (error) {
       next(error);
@@ -199,7 +283,8 @@ const eventController = {
           startTime: event.startTime.toISOString(),
           endTime: event.endTime.toISOString(),
           capacity: event.capacity,
-          numGuests
+          numGuests,
+          seriesId: event.seriesId
         };
         
         // Additional fields for managers
@@ -258,6 +343,13 @@ const eventController = {
                 }
               }
             }
+          },
+          series: {
+            include: {
+              events: {
+                orderBy: { startTime: 'asc' }
+              }
+            }
           }
         }
       });
@@ -285,6 +377,11 @@ const eventController = {
         name: o.user.name
       }));
       
+      const [numWaitlisted, waitlistPosition] = await Promise.all([
+        prisma.eventWaitlistEntry.count({ where: { eventId: event.id } }),
+        getWaitlistPosition(prisma, event.id, userId)
+      ]);
+      
       // Format response based on user role
       const response = {
         id: event.id,
@@ -295,19 +392,34 @@ const eventController = {
         endTime: event.endTime.toISOString(),
         capacity: event.capacity,
         organizers,
-        numGuests: event.guests.length
+        numGuests: event.guests.length,
+        numWaitlisted,
+        // The current user's RSVP, or their place on the waitlist
+        isGuest: event.guests.some(g => g.userId === userId),
+        waitlistPosition
       };
       
+      // Recurrence rule and the other occurrences the user can see
+      if (event.series) {
+        response.series = formatSeries(
+          event.series,
+          event.series.events.filter(o => isManager || o.published || o.id === event.id)
+        );
+      }
+      
       // Additional fields for managers or organizers
       const isOrganizer = event.organizers.some(o => o.userId === userId);
       if (isManager || isOrganizer) {
         response.pointsRemain = event.pointsRemain;
         response.pointsAwarded = event.pointsAwarded;
         response.published = event.published;
+        response.numCheckedIn = event.guests.filter(g => g.checkedInAt).length;
         response.guests = event.guests.map(g => ({
           id: g.user.id,
           utorid: g.user.utorid,
-          name: g.user.name
+          name: g.user.name,
+          checkedInAt: g.checkedInAt,
+          walkIn: g.walkIn
         }));
       }
       
@@ -334,7 +446,8 @@ const eventController = {
         endTime, 
         capacity, 
         points,
-        published 
+        published,
+        scope
       } = req.body;
       
       const isManager = req.user.role === 'manager' || req.user.role === 'superuser';
@@ -344,7 +457,8 @@ const eventController = {
         where: { id: parseInt(eventId) },
         include: {
           organizers: true,
-          guests: true
+          guests: true,
+          series: true
         }
       });
       
@@ -360,6 +474,9 @@ const eventController = {
         }
       }
       
+      // Edit this occurrence only, or this and every later occurrence of its series
+      const editScope = parseSeriesScope(scope, event);
+      
       // Validate date changes
       const now = new Date();
       const originalStartTime = new Date(event.startTime);
@@ -497,11 +614,57 @@ const eventController = {
         return res.status(400).json({ error: 'No valid fields to update' });
       }
       
+      // Work out the same change for each later occurrence (only the ones an
+      // organizer organizes). New times are stepped from this occurrence by
+      // the series rule, in local time, with this occurrence's duration;
+      // capacity and points are checked against each occurrence's own
+      // guests and budget.
+      const updates = [{ id: event.id, data: updateData }];
+      if (editScope === 'future') {
+        const laterOccurrences = await getLaterOccurrences(prisma, event, {
+          _count: { select: { guests: true } }
+        }, isManager ? {} : { organizers: { some: { userId: req.auth.userId } } });
+        
+        const movedStartTime = updateData.startTime || originalStartTime;
+        const duration = (updateData.endTime || originalEndTime).getTime() - movedStartTime.getTime();
+        
+        for (const occurrence of laterOccurrences) {
+          const data = { ...updateData };
+          const occurrenceDate = occurrence.startTime.toDateString();
+          
+          if (updateData.startTime || updateData.endTime) {
+            data.startTime = updateData.startTime
+              ? restepOccurrenceStart(event.series, originalStartTime, updateData.startTime, occurrence.startTime)
+              : occurrence.startTime;
+            data.endTime = new Date(data.startTime.getTime() + duration);
+          }
+          
+          if (updateData.capacity !== undefined && updateData.capacity !== null && occurrence._count.guests > updateData.capacity) {
+            return res.status(400).json({ error: `Cannot reduce capacity below current number of guests for the occurrence on ${occurrenceDate}` });
+          }
+          
+          if (updateData.points !== undefined) {
+            data.pointsRemain = occurrence.pointsRemain + (updateData.points - occurrence.points);
+            if (data.pointsRemain < 0) {
+              return res.status(400).json({ error: `Cannot reduce total points below already awarded points for the occurrence on ${occurrenceDate}` });
+            }
+          }
+          
+          updates.push({ id: occurrence.id, data });
+        }
+      }
+      
+      // The audit middleware records this occurrence; the later ones are recorded here
+      const laterUpdates = updates.slice(1);
+      const laterBefore = await Promise.all(laterUpdates.map(({ id }) => snapshotTarget('event', id)));
+      
       // Update the event
-      const updatedEvent = await prisma.event.update({
-        where: { id: parseInt(eventId) },
-        data: updateData
-      });
+      const [updatedEvent] = await prisma.$transaction(updates.map(({ id, data }) =>
+        prisma.event.update({
+          where: { id },
+          data
+        })
+      ));
       
       // Format the response (only include updated fields + id, name, location)
       const response = {
@@ -517,6 +680,24 @@ const eventController = {
       if (capacity !== undefined) response.capacity = updatedEvent.capacity;
       if (points !== undefined) response.points = updatedEvent.points;
       if (published !== undefined) response.published = updatedEvent.published;
+      if (editScope === 'future') response.occurrencesUpdated = updates.length;
+      
+      // A raised capacity makes room for people on the waitlist
+      if (capacity !== undefined) {
+        for (const { id } of updates) {
+          await promoteFromWaitlist(prisma, id);
+        }
+      }
+      
+      for (const [index, { id }] of laterUpdates.entries()) {
+        await recordAuditEntry(req, {
+          action: 'event.update',
+          targetType: 'event',
+          targetId: id,
+          before: laterBefore[index],
+          after: await snapshotTarget('event', id)
+        }).catch((err) => console.error(`audit log for event.update failed: ${err.message}`));
+      }
       
       res.status(200).json(response);
     } catch (error) {
@@ -558,12 +739,23 @@ const eventController = {
         prisma.eventGuest.deleteMany({
           where: { eventId: parseInt(eventId) }
         }),
+        // Delete the waitlist
+        prisma.eventWaitlistEntry.deleteMany({
+          where: { eventId: parseInt(eventId) }
+        }),
         // Delete the event
         prisma.event.delete({
           where: { id: parseInt(eventId) }
         })
       ]);
       
+      // Drop the series once its last occurrence is gone
+      if (event.seriesId) {
+        await prisma.eventSeries.deleteMany({
+          where: { id: event.seriesId, events: { none: {} } }
+        });
+      }
+      
       res.status(204).send();
     } catch (error) {
       next(error);
@@ -579,7 +771,7 @@ const eventController = {
   addOrganizer: async (req, res, next) => {
     try {
       const { eventId } = req.params;
-      const { utorid } = req.body;
+      const { utorid, scope } = req.body;
       
       if (!utorid) {
         return res.status(400).json({ error: 'utorid is required' });
@@ -601,6 +793,9 @@ const eventController = {
         return res.status(404).json({ error: 'Event not found' });
       }
       
+      // Add to this occurrence only, or this and every later occurrence of its series
+      const editScope = parseSeriesScope(scope, event);
+      
       // Check if event has ended
       if (new Date(event.endTime) <= new Date()) {
         return res.status(410).json({ error: 'Event has ended' });
@@ -633,13 +828,32 @@ const eventController = {
         return res.status(400).json({ error: 'User is registered as a guest for this event' });
       }
       
-      // Add user as organizer
-      await prisma.eventOrganizer.create({
-        data: {
-          eventId: parseInt(eventId),
-          userId: user.id
-        }
-      });
+      // Later occurrences the user can organize: those where they are not
+      // already an organizer or a guest
+      const eventIds = [event.id];
+      if (editScope === 'future') {
+        const laterOccurrences = await getLaterOccurrences(prisma, event, {
+          organizers: { where: { userId: user.id } },
+          guests: { where: { userId: user.id } }
+        });
+        
+        eventIds.push(...laterOccurrences
+          .filter(o => o.organizers.length === 0 && o.guests.length === 0)
+          .map(o => o.id));
+      }
+      
+      // Add user as organizer, taking them off the waitlist
+      await prisma.$transaction([
+        ...eventIds.map(id => prisma.eventOrganizer.create({
+          data: {
+            eventId: id,
+            userId: user.id
+          }
+        })),
+        prisma.eventWaitlistEntry.deleteMany({
+          where: { eventId: { in: eventIds }, userId: user.id }
+        })
+      ]);
       
       // Get updated organizers list
       const updatedEvent = await prisma.event.findUnique({
@@ -670,7 +884,8 @@ const eventController = {
         id: event.id,
         name: event.name,
         location: event.location,
-        organizers
+        organizers,
+        ...(editScope === 'future' ? { occurrencesUpdated: eventIds.length } : {})
       });
     } catch (error) {
       next(error);
@@ -692,6 +907,9 @@ const eventController = {
         where: {
           eventId: parseInt(eventId),
           userId: parseInt(userId)
+        },
+        include: {
+          event: true
         }
       });
       
@@ -699,10 +917,19 @@ const eventController = {
         return res.status(404).json({ error: 'Organizer not found for this event' });
       }
       
+      // Remove from this occurrence only, or this and every later occurrence of its series
+      const editScope = parseSeriesScope(req.query.scope, organizer.event);
+      const eventIds = [organizer.eventId];
+      if (editScope === 'future') {
+        const laterOccurrences = await getLaterOccurrences(prisma, organizer.event);
+        eventIds.push(...laterOccurrences.map(o => o.id));
+      }
+      
       // Remove the organizer
-      await prisma.eventOrganizer.delete({
+      await prisma.eventOrganizer.deleteMany({
         where: {
-          id: organizer.id
+          eventId: { in: eventIds },
+          userId: organizer.userId
         }
       });
       
@@ -777,13 +1004,18 @@ const eventController = {
         return res.status(400).json({ error: 'User is registered as an organizer for this event' });
       }
       
-      // Add user as guest
-      await prisma.eventGuest.create({
-        data: {
-          eventId: parseInt(eventId),
-          userId: user.id
-        }
-      });
+      // Add user as guest, taking them off the waitlist
+      await prisma.$transaction([
+        prisma.eventGuest.create({
+          data: {
+            eventId: parseInt(eventId),
+            userId: user.id
+          }
+        }),
+        prisma.eventWaitlistEntry.deleteMany({
+          where: { eventId: parseInt(eventId), userId: user.id }
+        })
+      ]);
       
       // Get updated guest count
       const updatedEvent = await prisma.event.findUnique({
@@ -841,11 +1073,14 @@ const eventController = {
         return res.status(404).json({ error: 'Guest not found for this event' });
       }
       
-      // Remove the guest
-      await prisma.eventGuest.delete({
-        where: {
-          id: guest.id
-        }
+      // Remove the guest and give the spot to the next person on the waitlist
+      await prisma.$transaction(async (tx) => {
+        await tx.eventGuest.delete({
+          where: {
+            id: guest.id
+          }
+        });
+        await promoteFromWaitlist(tx, guest.eventId);
       });
       
       res.status(204).send();
@@ -873,7 +1108,8 @@ const eventController = {
         },
         include: {
           guests: true,
-          organizers: true
+          organizers: true,
+          _count: { select: { waitlist: true } }
         }
       });
       
@@ -891,6 +1127,11 @@ const eventController = {
         return res.status(410).json({ error: 'Event is full' });
       }
       
+      // Spots that open go to the waitlist first, not to new RSVPs
+      if (event._count.waitlist > 0) {
+        return res.status(410).json({ error: 'Event has a waitlist; join the waitlist instead' });
+      }
+      
       // Get the user
       const user = await prisma.user.findUnique({
         where: { id: userId }
@@ -981,13 +1222,387 @@ const eventController = {
         return res.status(404).json({ error: 'User did not RSVP to this event' });
       }
       
-      // Remove the user as a guest
-      await prisma.eventGuest.delete({
+      // Remove the user as a guest and give the spot to the next person on the waitlist
+      await prisma.$transaction(async (tx) => {
+        await tx.eventGuest.delete({
+          where: {
+            id: guest.id
+          }
+        });
+        await promoteFromWaitlist(tx, event.id);
+      });
+      
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Add current user to the waitlist of a full event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  joinWaitlist: async (req, res, next) => {
+    try {
+      const { eventId } = req.params;
+      const userId = req.auth.userId;
+      
+      // Find the event
+      const event = await prisma.event.findUnique({
+        where: { 
+          id: parseInt(eventId),
+          published: true  // Must be published for regular users to join
+        },
+        include: {
+          guests: true,
+          organizers: true,
+          _count: { select: { waitlist: true } }
+        }
+      });
+      
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      
+      // Check if event has ended
+      if (new Date(event.endTime) <= new Date()) {
+        return res.status(410).json({ error: 'Event has ended' });
+      }
+      
+      // Check if user is already a guest
+      if (event.guests.some(g => g.userId === userId)) {
+        return res.status(400).json({ error: 'User is already on the guest list' });
+      }
+      
+      // Check if user is an organizer
+      if (event.organizers.some(o => o.userId === userId)) {
+        return res.status(400).json({ error: 'Organizers cannot be guests' });
+      }
+      
+      // The waitlist is only for events without a free spot, or with people already waiting
+      const hasFreeSpot = event.capacity === null || event.guests.length < event.capacity;
+      if (hasFreeSpot && event._count.waitlist === 0) {
+        return res.status(400).json({ error: 'Event is not full; RSVP instead' });
+      }
+      
+      try {
+        await prisma.eventWaitlistEntry.create({
+          data: {
+            eventId: event.id,
+            userId,
+            position: await nextWaitlistPosition(prisma, event.id)
+          }
+        });
+      } catch (error) {
+        if (error.code === 'P2002') {
+          return res.status(400).json({ error: 'User is already on the waitlist' });
+        }
+        throw error;
+      }
+      
+      const [position, numWaitlisted] = await Promise.all([
+        getWaitlistPosition(prisma, event.id, userId),
+        prisma.eventWaitlistEntry.count({ where: { eventId: event.id } })
+      ]);
+      
+      res.status(201).json({
+        id: event.id,
+        name: event.name,
+        location: event.location,
+        position,
+        numWaitlisted
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Remove current user from an event's waitlist
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  leaveWaitlist: async (req, res, next) => {
+    try {
+      const { eventId } = req.params;
+      const userId = req.auth.userId;
+      
+      const { count } = await prisma.eventWaitlistEntry.deleteMany({
+        where: {
+          eventId: parseInt(eventId),
+          userId
+        }
+      });
+      
+      if (count === 0) {
+        return res.status(404).json({ error: 'User is not on the waitlist for this event' });
+      }
+      
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Get an event's waitlist in promotion order (organizer or manager required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getWaitlist: async (req, res, next) => {
+    try {
+      const { eventId } = req.params;
+      
+      const event = await prisma.event.findUnique({
+        where: { id: parseInt(eventId) }
+      });
+      
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      
+      const results = await listWaitlist(event.id);
+      
+      res.status(200).json({
+        count: results.length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Reorder an event's waitlist (organizer or manager required). The body
+   * lists every waitlisted user's id in the new order.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  reorderWaitlist: async (req, res, next) => {
+    try {
+      const { eventId } = req.params;
+      const { userIds } = req.body;
+      
+      if (!Array.isArray(userIds) || !userIds.every(Number.isInteger) || new Set(userIds).size !== userIds.length) {
+        return res.status(400).json({ error: 'userIds must be an array of distinct user ids' });
+      }
+      
+      const event = await prisma.event.findUnique({
+        where: { id: parseInt(eventId) }
+      });
+      
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      
+      await prisma.$transaction(async (tx) => {
+        const entries = await tx.eventWaitlistEntry.findMany({
+          where: { eventId: event.id }
+        });
+        
+        // The new order must cover exactly the current waitlist
+        if (entries.length !== userIds.length || !entries.every(entry => userIds.includes(entry.userId))) {
+          throw new ApiError('userIds must list everyone on the waitlist exactly once', 400);
+        }
+        
+        for (const entry of entries) {
+          await tx.eventWaitlistEntry.update({
+            where: { id: entry.id },
+            data: { position: userIds.indexOf(entry.userId) + 1 }
+          });
+        }
+      });
+      
+      const results = await listWaitlist(event.id);
+      
+      res.status(200).json({
+        count: results.length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Check a guest in at an event by UTORid or by their scanned QR code token.
+   * With walkIn, someone who did not RSVP is added to the guest list and
+   * checked in at once (organizer or manager required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  checkInGuest: async (req, res, next) => {
+    try {
+      const { eventId } = req.params;
+      const { utorid, qrToken, walkIn = false } = req.body;
+      
+      if (!utorid && !qrToken) {
+        return res.status(400).json({ error: 'utorid or qrToken is required' });
+      }
+      
+      if (typeof walkIn !== 'boolean') {
+        return res.status(400).json({ error: 'walkIn must be a boolean' });
+      }
+      
+      // Find the event
+      const event = await prisma.event.findUnique({
+        where: { id: parseInt(eventId) },
+        include: {
+          guests: true,
+          organizers: true,
+          _count: { select: { waitlist: true } }
+        }
+      });
+      
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      
+      // For organizers (non-managers), check if event is published
+      const isManager = req.user.role === 'manager' || req.user.role === 'superuser';
+      if (!isManager && !event.published) {
+        return res.status(404).json({ error: 'Event not found or not visible to organizer' });
+      }
+      
+      const now = new Date();
+      
+      // Check-in opens a little before the event starts and closes when it ends
+      if (event.endTime <= now) {
+        return res.status(410).json({ error: 'Event has ended' });
+      }
+      
+      if (event.startTime.getTime() - config.checkInOpensMinutes * 60 * 1000 > now.getTime()) {
+        return res.status(400).json({ error: 'Check-in has not opened yet' });
+      }
+      
+      // Find the user to check in
+      const user = await prisma.user.findUnique({
+        where: qrToken ? { id: verifyQRToken(qrToken, 'user') } : { utorid }
+      });
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      let guest = event.guests.find(g => g.userId === user.id);
+      const numGuests = event.guests.length + (guest ? 0 : 1);
+      
+      if (!guest) {
+        if (!walkIn) {
+          return res.status(404).json({ error: 'User is not on the guest list' });
+        }
+        
+        // Check if user is an organizer
+        if (event.organizers.some(o => o.userId === user.id)) {
+          return res.status(400).json({ error: 'User is registered as an organizer for this event' });
+        }
+        
+        // Check if event is full, counting the seats owed to anyone waitlisted
+        // ahead of this user
+        if (event.capacity !== null) {
+          const position = await getWaitlistPosition(prisma, event.id, user.id);
+          const waitingAhead = position !== null ? position - 1 : event._count.waitlist;
+          
+          if (event.guests.length + waitingAhead >= event.capacity) {
+            return res.status(410).json({ error: 'Event is full' });
+          }
+        }
+        
+        try {
+          [guest] = await prisma.$transaction([
+            prisma.eventGuest.create({
+              data: {
+                eventId: event.id,
+                userId: user.id,
+                walkIn: true,
+                checkedInAt: now
+              }
+            }),
+            prisma.eventWaitlistEntry.deleteMany({
+              where: { eventId: event.id, userId: user.id }
+            })
+          ]);
+        } catch (error) {
+          // Added by someone else at the same moment
+          if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'User was just added to the guest list; try again' });
+          }
+          throw error;
+        }
+      } else {
+        // Only one of concurrent check-ins may win
+        const { count } = await prisma.eventGuest.updateMany({
+          where: { id: guest.id, checkedInAt: null },
+          data: { checkedInAt: now }
+        });
+        
+        if (count === 0) {
+          return res.status(400).json({ error: 'Guest has already checked in' });
+        }
+        
+        guest = { ...guest, checkedInAt: now };
+      }
+      
+      const numCheckedIn = await prisma.eventGuest.count({
+        where: { eventId: event.id, checkedInAt: { not: null } }
+      });
+      
+      res.status(200).json({
+        id: event.id,
+        name: event.name,
+        guest: {
+          id: user.id,
+          utorid: user.utorid,
+          name: user.name,
+          checkedInAt: guest.checkedInAt,
+          walkIn: guest.walkIn
+        },
+        numGuests,
+        numCheckedIn
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Undo a guest's check-in, e.g. after checking in the wrong person
+   * (organizer or manager required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  undoCheckIn: async (req, res, next) => {
+    try {
+      const { eventId, userId } = req.params;
+      
+      // Find the guest
+      const guest = await prisma.eventGuest.findFirst({
         where: {
-          id: guest.id
+          eventId: parseInt(eventId),
+          userId: parseInt(userId)
         }
       });
       
+      if (!guest) {
+        return res.status(404).json({ error: 'Guest not found for this event' });
+      }
+      
+      if (!guest.checkedInAt) {
+        return res.status(400).json({ error: 'Guest has not checked in' });
+      }
+      
+      await prisma.eventGuest.update({
+        where: { id: guest.id },
+        data: { checkedInAt: null }
+      });
+      
       res.status(204).send();
     } catch (error) {
       next(error);
@@ -1003,7 +1618,7 @@ const eventController = {
   createEventTransaction: async (req, res, next) => {
     try {
       const { eventId } = req.params;
-      const { type, utorid, amount, remark = "" } = req.body;
+      const { type, utorid, amount, remark = "", attendedOnly = false } = req.body;
       const creatorId = req.auth.userId;
       
       // Validate type
@@ -1011,6 +1626,10 @@ const eventController = {
         return res.status(400).json({ error: 'Transaction type must be "event"' });
       }
       
+      if (typeof attendedOnly !== 'boolean') {
+        return res.status(400).json({ error: 'attendedOnly must be a boolean' });
+      }
+      
       // Validate amount
       if (!amount || !Number.isInteger(amount) || amount <= 0) {
         return res.status(400).json({ error: 'Amount must be a positive integer' });
@@ -1062,40 +1681,42 @@ const eventController = {
           return res.status(400).json({ error: 'Not enough remaining points' });
         }
         
-        // Create the transaction
-        const transaction = await prisma.transaction.create({
-          data: {
-            type,
-            amount,
-            userId: guest.userId,
-            eventId: parseInt(eventId),
-            remark,
-            createdById: creatorId,
-            relatedId: parseInt(eventId)
-          }
-        });
-        
-        // Update the user's points
-        await prisma.user.update({
-          where: { id: guest.userId },
-          data: {
-            points: {
-              increment: amount
+        // Award the points and charge the event's budget together
+        const transaction = await prisma.$transaction(async (tx) => {
+          const created = await tx.transaction.create({
+            data: {
+              type,
+              amount,
+              userId: guest.userId,
+              eventId: parseInt(eventId),
+              remark,
+              createdById: creatorId,
+              relatedId: parseInt(eventId)
             }
-          }
-        });
-        
-        // Update the event's remaining points and awarded points
-        await prisma.event.update({
-          where: { id: parseInt(eventId) },
-          data: {
-            pointsRemain: {
-              decrement: amount
-            },
-            pointsAwarded: {
-              increment: amount
+          });
+          
+          // Update the user's points
+          await applyPointsChange(tx, {
+            userId: guest.userId,
+            delta: amount,
+            reason: 'event',
+            transactionId: created.id
+          });
+          
+          // Update the event's remaining points and awarded points
+          await tx.event.update({
+            where: { id: parseInt(eventId) },
+            data: {
+              pointsRemain: {
+                decrement: amount
+              },
+              pointsAwarded: {
+                increment: amount
+              }
             }
-          }
+          });
+          
+          return created;
         });
         
         // Return the transaction
@@ -1109,65 +1730,75 @@ const eventController = {
           createdBy: creator.utorid
         });
       } else {
-        // Award points to all guests
+        // Award points to all guests, or with attendedOnly to those who checked in
+        const recipients = attendedOnly ? event.guests.filter(g => g.checkedInAt) : event.guests;
+        
+        if (attendedOnly && recipients.length === 0) {
+          return res.status(400).json({ error: 'No guests have checked in' });
+        }
         
         // Calculate total points needed
-        const guestCount = event.guests.length;
+        const guestCount = recipients.length;
         const totalPointsNeeded = amount * guestCount;
         
         // Check if there are enough remaining points
         if (totalPointsNeeded > event.pointsRemain) {
-          return res.status(400).json({ error: 'Not enough remaining points for all guests' });
+          return res.status(400).json({
+            error: attendedOnly ? 'Not enough remaining points for all checked-in guests' : 'Not enough remaining points for all guests'
+          });
         }
         
-        // Create a transaction for each guest
-        const transactions = [];
-        
-        for (const guest of event.guests) {
-          const transaction = await prisma.transaction.create({
-            data: {
-              type,
-              amount,
+        // Award every guest and charge the event's budget together, so a
+        // failure part way leaves no guest paid from an uncharged budget
+        const transactions = await prisma.$transaction(async (tx) => {
+          const awarded = [];
+          
+          for (const guest of recipients) {
+            const transaction = await tx.transaction.create({
+              data: {
+                type,
+                amount,
+                userId: guest.userId,
+                eventId: parseInt(eventId),
+                remark,
+                createdById: creatorId,
+                relatedId: parseInt(eventId)
+              }
+            });
+            
+            // Update the user's points
+            await applyPointsChange(tx, {
               userId: guest.userId,
-              eventId: parseInt(eventId),
+              delta: amount,
+              reason: 'event',
+              transactionId: transaction.id
+            });
+            
+            awarded.push({
+              id: transaction.id,
+              recipient: guest.user.utorid,
+              awarded: amount,
+              type,
+              relatedId: parseInt(eventId),
               remark,
-              createdById: creatorId,
-              relatedId: parseInt(eventId)
-            }
-          });
+              createdBy: creator.utorid
+            });
+          }
           
-          // Update the user's points
-          await prisma.user.update({
-            where: { id: guest.userId },
+          // Update the event's remaining points and awarded points
+          await tx.event.update({
+            where: { id: parseInt(eventId) },
             data: {
-              points: {
-                increment: amount
+              pointsRemain: {
+                decrement: totalPointsNeeded
+              },
+              pointsAwarded: {
+                increment: totalPointsNeeded
               }
             }
           });
           
-          transactions.push({
-            id: transaction.id,
-            recipient: guest.user.utorid,
-            awarded: amount,
-            type,
-            relatedId: parseInt(eventId),
-            remark,
-            createdBy: creator.utorid
-          });
-        }
-        
-        // Update the event's remaining points and awarded points
-        await prisma.event.update({
-          where: { id: parseInt(eventId) },
-          data: {
-            pointsRemain: {
-              decrement: totalPointsNeeded
-            },
-            pointsAwarded: {
-              increment: totalPointsNeeded
-            }
-          }
+          return awarded;
         });
         
         // Return the transactions
@@ -0,0 +1,103 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { reconcileBalances } = require('../utils/reconciliation');
+
+/**
+ * Ledger controller for inspecting balance history and reconciling balances
+ */
+const ledgerController = {
+  /**
+   * Get the ledger entries of a user (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getUserLedger: async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { page = 1, limit = 10 } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const user = await prisma.user.findUnique({
+        where: { id: parseInt(userId) }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const where = { userId: user.id };
+
+      // Get count of ledger entries
+      const count = await prisma.ledgerEntry.count({ where });
+
+      // Newest entries first, with id as a tiebreaker for entries in the same instant
+      const entries = await prisma.ledgerEntry.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+      });
+
+      const results = entries.map(entry => ({
+        id: entry.id,
+        transactionId: entry.transactionId,
+        reason: entry.reason,
+        delta: entry.delta,
+        balanceAfter: entry.balanceAfter,
+        remark: entry.remark || "",
+        createdAt: entry.createdAt
+      }));
+
+      res.status(200).json({
+        utorid: user.utorid,
+        points: user.points,
+        count,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Report users whose balance differs from their transaction history (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getReconciliation: async (req, res, next) => {
+    try {
+      const report = await reconcileBalances(prisma);
+
+      res.status(200).json(report);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Repair drifted balances by posting reconciliation ledger entries (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  reconcile: async (req, res, next) => {
+    try {
+      const { userId } = req.body;
+
+      if (userId !== undefined && !Number.isInteger(userId)) {
+        return res.status(400).json({ error: 'userId must be an integer' });
+      }
+
+      const report = await reconcileBalances(prisma, { repair: true, userId });
+
+      res.status(200).json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = ledgerController;
@@ -0,0 +1,240 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { recalculateUserTier, recalculateTiers } = require('../utils/membershipTiers');
+
+/**
+ * Format a membership tier for responses
+ * @param {Object} tier - Tier row
+ * @returns {Object} - Response object
+ */
+const formatTier = (tier) => ({
+  id: tier.id,
+  name: tier.name,
+  minPoints: tier.minPoints,
+  multiplier: tier.multiplier
+});
+
+/**
+ * Validate tier fields from a request body
+ * @param {Object} fields - Fields present in the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTierFields = ({ name, minPoints, multiplier }) => {
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return 'name must be a non-empty string';
+  }
+
+  if (minPoints !== undefined && (!Number.isInteger(minPoints) || minPoints < 0)) {
+    return 'minPoints must be a non-negative integer';
+  }
+
+  if (multiplier !== undefined && (typeof multiplier !== 'number' || multiplier <= 0)) {
+    return 'multiplier must be a positive number';
+  }
+
+  return null;
+};
+
+/**
+ * Membership tier controller. Users are placed in the highest tier whose
+ * minPoints they have earned within the rolling window; placement is
+ * recalculated nightly, so threshold changes take effect at the next run
+ * unless a manager triggers one.
+ */
+const membershipTierController = {
+  /**
+   * List membership tiers from lowest to highest
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  listTiers: async (req, res, next) => {
+    try {
+      const tiers = await prisma.membershipTier.findMany({
+        orderBy: { minPoints: 'asc' }
+      });
+
+      res.status(200).json({
+        count: tiers.length,
+        results: tiers.map(formatTier)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Create a membership tier (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  createTier: async (req, res, next) => {
+    try {
+      const { name, minPoints, multiplier = 1 } = req.body;
+
+      if (name === undefined || minPoints === undefined) {
+        return res.status(400).json({ error: 'name and minPoints are required' });
+      }
+
+      const invalid = validateTierFields({ name, minPoints, multiplier });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const tier = await prisma.membershipTier.create({
+        data: {
+          name: name.trim(),
+          minPoints,
+          multiplier
+        }
+      });
+
+      res.status(201).json(formatTier(tier));
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A tier with this name or minPoints already exists' });
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * Update a membership tier (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  updateTier: async (req, res, next) => {
+    try {
+      const tierId = parseInt(req.params.tierId);
+      const { name, minPoints, multiplier } = req.body;
+
+      if (name === undefined && minPoints === undefined && multiplier === undefined) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
+
+      const invalid = validateTierFields({ name, minPoints, multiplier });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const existing = await prisma.membershipTier.findUnique({
+        where: { id: tierId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Membership tier not found' });
+      }
+
+      const tier = await prisma.membershipTier.update({
+        where: { id: tierId },
+        data: {
+          name: name !== undefined ? name.trim() : undefined,
+          minPoints,
+          multiplier
+        }
+      });
+
+      res.status(200).json(formatTier(tier));
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A tier with this name or minPoints already exists' });
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a membership tier (manager or higher role required). Members of
+   * the tier are moved to the tier they qualify for without it, so the move
+   * is recorded in their history.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  deleteTier: async (req, res, next) => {
+    try {
+      const tierId = parseInt(req.params.tierId);
+
+      const tier = await prisma.membershipTier.findUnique({
+        where: { id: tierId },
+        include: {
+          users: { select: { id: true } },
+          _count: { select: { promotions: true } }
+        }
+      });
+
+      if (!tier) {
+        return res.status(404).json({ error: 'Membership tier not found' });
+      }
+
+      if (tier._count.promotions > 0) {
+        return res.status(400).json({ error: 'Tier is required by one or more promotions' });
+      }
+
+      const remaining = await prisma.membershipTier.findMany({
+        where: { id: { not: tierId } }
+      });
+
+      for (const user of tier.users) {
+        await recalculateUserTier(prisma, user.id, remaining);
+      }
+
+      await prisma.membershipTier.delete({
+        where: { id: tierId }
+      });
+
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Recalculate every user's tier now instead of waiting for the nightly run
+   * (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  recalculate: async (req, res, next) => {
+    try {
+      const result = await recalculateTiers(prisma);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get the current user's tier changes, newest first
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getMyTierChanges: async (req, res, next) => {
+    try {
+      const changes = await prisma.tierChange.findMany({
+        where: { userId: req.auth.userId },
+        orderBy: [{ changedAt: 'desc' }, { id: 'desc' }]
+      });
+
+      res.status(200).json({
+        count: changes.length,
+        results: changes.map(change => ({
+          id: change.id,
+          fromTier: change.fromTier,
+          toTier: change.toTier,
+          earnedPoints: change.earnedPoints,
+          changedAt: change.changedAt
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = membershipTierController;
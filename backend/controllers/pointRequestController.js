@@ -0,0 +1,320 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const ApiError = require('../utils/ApiError');
+const { getAvailablePoints } = require('../utils/pointsLedger');
+const { getAmountError, getCapError, getRecipientRejection } = require('../utils/transferPolicy');
+const { recordTransfer } = require('../utils/transfers');
+const { getRequestExpiry } = require('../utils/pointRequests');
+
+const requestInclude = {
+  requester: { select: { utorid: true, name: true } },
+  payer: { select: { utorid: true, name: true } }
+};
+
+/**
+ * Format a point request for responses
+ * @param {Object} request - PointRequest row with requester and payer included
+ * @returns {Object} - Response object
+ */
+const formatRequest = (request) => ({
+  id: request.id,
+  requester: request.requester,
+  payer: request.payer,
+  amount: request.amount,
+  remark: request.remark || "",
+  status: request.status,
+  createdAt: request.createdAt,
+  expiresAt: request.expiresAt,
+  respondedAt: request.respondedAt,
+  transactionId: request.transactionId
+});
+
+/**
+ * Move a pending request to a closing status. The update is guarded so a
+ * request answered concurrently is only closed once.
+ * @param {number} requestId - Request
+ * @param {string} status - declined or cancelled
+ * @returns {Promise<Object>} - Updated request with requester and payer
+ * @throws {ApiError} - If the request is no longer pending
+ */
+const closeRequest = async (requestId, status) => {
+  const { count } = await prisma.pointRequest.updateMany({
+    where: { id: requestId, status: 'pending' },
+    data: { status, respondedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new ApiError('Request is no longer pending', 400);
+  }
+
+  return prisma.pointRequest.findUnique({
+    where: { id: requestId },
+    include: requestInclude
+  });
+};
+
+/**
+ * Point request controller. A user asks another user for points; the payer
+ * accepts, which records an ordinary transfer under the transfer policy, or
+ * declines. Requests that are not answered in time expire. Requests are
+ * never deleted so both sides keep the history.
+ */
+const pointRequestController = {
+  /**
+   * Ask another user, by utorid, for points
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  createRequest: async (req, res, next) => {
+    try {
+      const { utorid, amount, remark } = req.body;
+
+      if (typeof utorid !== 'string' || utorid.trim() === '') {
+        return res.status(400).json({ error: 'utorid is required' });
+      }
+
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'amount must be a positive integer' });
+      }
+
+      const amountError = getAmountError(amount);
+      if (amountError) {
+        return res.status(400).json({ error: amountError });
+      }
+
+      const requester = await prisma.user.findUnique({
+        where: { id: req.auth.userId }
+      });
+
+      if (!requester.verified) {
+        return res.status(403).json({ error: 'User is not verified' });
+      }
+
+      const payer = await prisma.user.findUnique({
+        where: { utorid: utorid.trim() }
+      });
+
+      if (!payer) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (payer.id === requester.id) {
+        return res.status(400).json({ error: 'You cannot request points from yourself' });
+      }
+
+      if (!payer.verified) {
+        return res.status(400).json({ error: 'User cannot send transfers' });
+      }
+
+      // The payer would be sending to the requester
+      if (getRecipientRejection(payer, requester)) {
+        return res.status(400).json({ error: 'You cannot receive transfers' });
+      }
+
+      const request = await prisma.pointRequest.create({
+        data: {
+          requesterId: requester.id,
+          payerId: payer.id,
+          amount,
+          remark,
+          expiresAt: getRequestExpiry()
+        },
+        include: requestInclude
+      });
+
+      res.status(201).json(formatRequest(request));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List point requests the current user made or received, newest first
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  listRequests: async (req, res, next) => {
+    try {
+      const userId = req.auth.userId;
+      const { direction, status, page = 1, limit = 10 } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      let where;
+      if (direction === 'incoming') {
+        where = { payerId: userId };
+      } else if (direction === 'outgoing') {
+        where = { requesterId: userId };
+      } else if (direction === undefined) {
+        where = { OR: [{ payerId: userId }, { requesterId: userId }] };
+      } else {
+        return res.status(400).json({ error: 'direction must be "incoming" or "outgoing"' });
+      }
+
+      if (status) {
+        where.status = status;
+      }
+
+      const count = await prisma.pointRequest.count({ where });
+
+      const requests = await prisma.pointRequest.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        include: requestInclude
+      });
+
+      res.status(200).json({
+        count,
+        results: requests.map(formatRequest)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Accept a point request sent to the current user and pay it as a transfer
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  acceptRequest: async (req, res, next) => {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const now = new Date();
+
+      const request = await prisma.pointRequest.findUnique({
+        where: { id: requestId },
+        include: { requester: true, payer: true }
+      });
+
+      if (!request || request.payerId !== req.auth.userId) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+
+      if (request.status !== 'pending') {
+        return res.status(400).json({ error: `Request has already been ${request.status}` });
+      }
+
+      if (request.expiresAt < now) {
+        return res.status(400).json({ error: 'Request has expired' });
+      }
+
+      const { payer, requester, amount } = request;
+
+      if (!payer.verified) {
+        return res.status(403).json({ error: 'Sender is not verified' });
+      }
+
+      // The policy may have changed, or the requester been flagged, since the request was made
+      const amountError = getAmountError(amount);
+      if (amountError) {
+        return res.status(400).json({ error: amountError });
+      }
+
+      if (getRecipientRejection(payer, requester)) {
+        return res.status(400).json({ error: 'Requester cannot receive transfers' });
+      }
+
+      if (getAvailablePoints(payer) < amount) {
+        return res.status(400).json({ error: 'Insufficient points balance' });
+      }
+
+      const capError = await getCapError(prisma, payer.id, amount, now);
+      if (capError) {
+        return res.status(400).json({ error: capError });
+      }
+
+      await prisma.$transaction(async (tx) => {
+        // Only one of concurrent accept/decline/cancel requests may win
+        const { count } = await tx.pointRequest.updateMany({
+          where: { id: requestId, status: 'pending', expiresAt: { gte: now } },
+          data: { status: 'accepted', respondedAt: now }
+        });
+
+        if (count === 0) {
+          throw new ApiError('Request is no longer pending', 400);
+        }
+
+        const outgoing = await recordTransfer(tx, {
+          senderId: payer.id,
+          recipientId: requester.id,
+          amount,
+          remark: request.remark || `Point request #${request.id}`
+        });
+
+        await tx.pointRequest.update({
+          where: { id: requestId },
+          data: { transactionId: outgoing.id }
+        });
+      });
+
+      const updated = await prisma.pointRequest.findUnique({
+        where: { id: requestId },
+        include: requestInclude
+      });
+
+      res.status(200).json(formatRequest(updated));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Decline a point request sent to the current user
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  declineRequest: async (req, res, next) => {
+    try {
+      const requestId = parseInt(req.params.requestId);
+
+      const request = await prisma.pointRequest.findUnique({
+        where: { id: requestId }
+      });
+
+      if (!request || request.payerId !== req.auth.userId) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+
+      const declined = await closeRequest(requestId, 'declined');
+
+      res.status(200).json(formatRequest(declined));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Cancel a pending point request the current user made
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  cancelRequest: async (req, res, next) => {
+    try {
+      const requestId = parseInt(req.params.requestId);
+
+      const request = await prisma.pointRequest.findUnique({
+        where: { id: requestId }
+      });
+
+      if (!request || request.requesterId !== req.auth.userId) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+
+      const cancelled = await closeRequest(requestId, 'cancelled');
+
+      res.status(200).json(formatRequest(cancelled));
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = pointRequestController;
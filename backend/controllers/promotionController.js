@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { STACKING_POLICIES } = require('../utils/promotionEngine');
+const { availablePromotionsWhere, eligibilityInclude, getAvailabilityReason } = require('../utils/promotionEligibility');
 
 /**
  * Promotion controller for handling promotion-related operations
@@ -13,7 +15,20 @@ const promotionController = {
    */
   createPromotion: async (req, res, next) => {
     try {
-      const { name, description, type, startTime, endTime, minSpending, rate, points } = req.body;
+      const {
+        name,
+        description,
+        type,
+        startTime,
+        endTime,
+        minSpending,
+        rate,
+        points,
+        stacking = 'stackable',
+        priority = 0,
+        maxPoints,
+        minTierId
+      } = req.body;
       
       // Validate required fields
       if (!name || !description || !type || !startTime || !endTime) {
@@ -54,6 +69,30 @@ const promotionController = {
       if (points !== undefined && points !== null && (!Number.isInteger(points) || points <= 0)) {
         return res.status(400).json({ error: 'Points must be a positive integer' });
       }
+      
+      // Validate stacking rules
+      if (!STACKING_POLICIES.includes(stacking)) {
+        return res.status(400).json({ error: 'Stacking must be either "stackable" or "exclusive"' });
+      }
+      
+      if (!Number.isInteger(priority)) {
+        return res.status(400).json({ error: 'Priority must be an integer' });
+      }
+      
+      if (maxPoints !== undefined && maxPoints !== null && (!Number.isInteger(maxPoints) || maxPoints <= 0)) {
+        return res.status(400).json({ error: 'Maximum points must be a positive integer' });
+      }
+      
+      // Validate the membership tier condition
+      if (minTierId !== undefined && minTierId !== null) {
+        const tier = Number.isInteger(minTierId)
+          ? await prisma.membershipTier.findUnique({ where: { id: minTierId } })
+          : null;
+        
+        if (!tier) {
+          return res.status(400).json({ error: 'Membership tier not found' });
+        }
+      }
 
       const isOneTime = type === 'one-time';
       
@@ -68,9 +107,14 @@ const promotionController = {
           minSpending,
           rate,
           points,
+          stacking,
+          priority,
+          maxPoints,
+          minTierId,
           isOneTime,
           isActive: true
-        }
+        },
+        include: { minTier: true }
       });
       
       // Return the created promotion
@@ -83,7 +127,11 @@ const promotionController = {
         endTime: promotion.endTime.toISOString(),
         minSpending: promotion.minSpending,
         rate: promotion.rate,
-        points: promotion.points
+        points: promotion.points,
+        stacking: promotion.stacking,
+        priority: promotion.priority,
+        maxPoints: promotion.maxPoints,
+        minTier: promotion.minTier ? promotion.minTier.name : null
       });
     } catch (error) {
       next(error);
@@ -118,27 +166,16 @@ const promotionController = {
       
       // Build filter conditions
       const now = new Date();
-      const where = {};
+      let where = {};
       
-      // Regular users can only see active promotions they haven't used
+      // Regular users can only see active promotions they haven't used and
+      // whose membership tier they have reached
       if (!isManager) {
-        where.startTime = { lte: now };
-        where.endTime = { gte: now };
-        where.isActive = true;
-        
-        // For one-time promotions, exclude ones the user has already used
-        where.OR = [
-          { type: 'automatic' },
-          {
-            type: 'one-time',
-            isOneTime: true,
-            usages: {
-              none: {
-                userId
-              }
-            }
-          }
-        ];
+        const user = await prisma.user.findUnique({
+          where: { id: userId },
+          include: { membershipTier: true }
+        });
+        where = availablePromotionsWhere(user, now);
       } else {
         // Manager view - apply filters
         if (started !== undefined) {
@@ -174,7 +211,8 @@ const promotionController = {
         where,
         skip,
         take: parseInt(limit),
-        orderBy: { startTime: 'asc' }
+        orderBy: { startTime: 'asc' },
+        include: { minTier: true }
       });
       
       // Format the response based on user role
@@ -186,7 +224,11 @@ const promotionController = {
           type: promotion.type,
           minSpending: promotion.minSpending,
           rate: promotion.rate,
-          points: promotion.points
+          points: promotion.points,
+          stacking: promotion.stacking,
+          priority: promotion.priority,
+          maxPoints: promotion.maxPoints,
+          minTier: promotion.minTier ? promotion.minTier.name : null
         };
         
         // Regular users don't see start time
@@ -224,31 +266,29 @@ const promotionController = {
       // Find the promotion
       const promotion = await prisma.promotion.findUnique({
         where: { id: parseInt(promotionId) },
-        include: {
-          usages: {
-            where: { userId }
-          }
-        }
+        include: eligibilityInclude(userId)
       });
       
       if (!promotion) {
         return res.status(404).json({ error: 'Promotion not found' });
       }
       
-      const now = new Date();
-      const isInDateRange = promotion.startTime <= now && promotion.endTime >= now;
-      
       // For regular users, only show active promotions they haven't used
       if (!isManager) {
-        if (!promotion.isActive || !isInDateRange) {
-          return res.status(404).json({ error: 'Promotion not found or inactive' });
-        }
+        const user = await prisma.user.findUnique({
+          where: { id: userId },
+          include: { membershipTier: true }
+        });
+        const reason = getAvailabilityReason(promotion, user);
         
-        // For one-time promotions, check if the user has already used it
-        if (promotion.type === 'one-time' && promotion.usages.length > 0) {
+        if (reason === 'alreadyUsed') {
           return res.status(404).json({ error: 'Promotion not found or already used' });
         }
         
+        if (reason) {
+          return res.status(404).json({ error: 'Promotion not found or inactive' });
+        }
+        
         // Format response for regular users (no start time)
         return res.status(200).json({
           id: promotion.id,
@@ -258,7 +298,10 @@ const promotionController = {
           endTime: promotion.endTime.toISOString(),
           minSpending: promotion.minSpending,
           rate: promotion.rate,
-          points: promotion.points
+          points: promotion.points,
+          stacking: promotion.stacking,
+          maxPoints: promotion.maxPoints,
+          minTier: promotion.minTier ? promotion.minTier.name : null
         });
       }
       
@@ -273,6 +316,11 @@ const promotionController = {
         minSpending: promotion.minSpending,
         rate: promotion.rate,
         points: promotion.points,
+        stacking: promotion.stacking,
+        priority: promotion.priority,
+        maxPoints: promotion.maxPoints,
+        minTierId: promotion.minTierId,
+        minTier: promotion.minTier ? promotion.minTier.name : null,
         isActive: promotion.isActive
       });
     } catch (error) {
@@ -298,6 +346,10 @@ const promotionController = {
         minSpending, 
         rate, 
         points,
+        stacking,
+        priority,
+        maxPoints,
+        minTierId,
         isActive
       } = req.body;
       
@@ -346,6 +398,7 @@ const promotionController = {
           return res.status(400).json({ error: 'Type must be either "automatic" or "one-time"' });
         }
         updateData.type = type;
+        updateData.isOneTime = type === 'one-time';
       }
       
       if (startTime !== undefined) {
@@ -429,6 +482,60 @@ const promotionController = {
         
         updateData.points = points;
       }
+      
+      if (stacking !== undefined) {
+        if (hasStarted) {
+          return res.status(400).json({ error: 'Cannot update stacking after promotion has started' });
+        }
+        
+        if (!STACKING_POLICIES.includes(stacking)) {
+          return res.status(400).json({ error: 'Stacking must be either "stackable" or "exclusive"' });
+        }
+        
+        updateData.stacking = stacking;
+      }
+      
+      if (priority !== undefined) {
+        if (hasStarted) {
+          return res.status(400).json({ error: 'Cannot update priority after promotion has started' });
+        }
+        
+        if (!Number.isInteger(priority)) {
+          return res.status(400).json({ error: 'Priority must be an integer' });
+        }
+        
+        updateData.priority = priority;
+      }
+      
+      if (maxPoints !== undefined) {
+        if (hasStarted) {
+          return res.status(400).json({ error: 'Cannot update maximum points after promotion has started' });
+        }
+        
+        if (maxPoints !== null && (!Number.isInteger(maxPoints) || maxPoints <= 0)) {
+          return res.status(400).json({ error: 'Maximum points must be a positive integer' });
+        }
+        
+        updateData.maxPoints = maxPoints;
+      }
+      
+      if (minTierId !== undefined) {
+        if (hasStarted) {
+          return res.status(400).json({ error: 'Cannot update membership tier after promotion has started' });
+        }
+        
+        if (minTierId !== null) {
+          const tier = Number.isInteger(minTierId)
+            ? await prisma.membershipTier.findUnique({ where: { id: minTierId } })
+            : null;
+          
+          if (!tier) {
+            return res.status(400).json({ error: 'Membership tier not found' });
+          }
+        }
+        
+        updateData.minTierId = minTierId;
+      }
 
       if (isActive !== undefined) {
         updateData.isActive = isActive;
@@ -459,6 +566,10 @@ const promotionController = {
       if (minSpending !== undefined) response.minSpending = updatedPromotion.minSpending;
       if (rate !== undefined) response.rate = updatedPromotion.rate;
       if (points !== undefined) response.points = updatedPromotion.points;
+      if (stacking !== undefined) response.stacking = updatedPromotion.stacking;
+      if (priority !== undefined) response.priority = updatedPromotion.priority;
+      if (maxPoints !== undefined) response.maxPoints = updatedPromotion.maxPoints;
+      if (minTierId !== undefined) response.minTierId = updatedPromotion.minTierId;
       if (isActive !== undefined) response.isActive = updatedPromotion.isActive;
       
       res.status(200).json(response);
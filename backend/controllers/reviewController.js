@@ -0,0 +1,195 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const ApiError = require('../utils/ApiError');
+const { parseFlagReasons } = require('../utils/suspicionRules');
+const { REVIEW_DECISIONS, pendingReviewWhere, reviewTransaction } = require('../utils/reviews');
+
+const MAX_BATCH = 100;
+
+/**
+ * Count transactions per user, flagged and rejected ones separately
+ * @param {string} field - userId (customers) or createdById (cashiers)
+ * @param {Array<number>} ids - Users to count for
+ * @returns {Promise<Map>} - id -> { total, flagged, rejected }
+ */
+const countHistory = async (field, ids) => {
+  const [total, flagged, rejected] = await Promise.all([
+    prisma.transaction.groupBy({ by: [field], where: { [field]: { in: ids } }, _count: { _all: true } }),
+    prisma.transaction.groupBy({ by: [field], where: { [field]: { in: ids }, flagReasons: { not: null } }, _count: { _all: true } }),
+    prisma.transaction.groupBy({ by: [field], where: { [field]: { in: ids }, reviewStatus: 'rejected' }, _count: { _all: true } })
+  ]);
+
+  const history = new Map(ids.map(id => [id, { total: 0, flagged: 0, rejected: 0 }]));
+  total.forEach(row => { history.get(row[field]).total = row._count._all; });
+  flagged.forEach(row => { history.get(row[field]).flagged = row._count._all; });
+  rejected.forEach(row => { history.get(row[field]).rejected = row._count._all; });
+  return history;
+};
+
+/**
+ * Review controller for the manager queue of flagged transactions
+ */
+const reviewController = {
+  /**
+   * Get flagged transactions waiting for review, grouped by the cashier (or
+   * user) who recorded them, with each customer's and cashier's history
+   * (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getReviewQueue: async (req, res, next) => {
+    try {
+      const flagged = await prisma.transaction.findMany({
+        where: pendingReviewWhere,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        include: { user: true, createdBy: true, reward: true }
+      });
+
+      const customerIds = [...new Set(flagged.map(tx => tx.userId))];
+      const cashierIds = [...new Set(flagged.map(tx => tx.createdById))];
+
+      const [customerHistory, cashierHistory, spending] = await Promise.all([
+        countHistory('userId', customerIds),
+        countHistory('createdById', cashierIds),
+        prisma.transaction.groupBy({
+          by: ['userId'],
+          where: { userId: { in: customerIds }, type: 'purchase' },
+          _count: { _all: true },
+          _sum: { spent: true }
+        })
+      ]);
+
+      const spendingByCustomer = new Map(spending.map(row => [row.userId, row]));
+
+      const groups = new Map();
+      for (const tx of flagged) {
+        if (!groups.has(tx.createdById)) {
+          groups.set(tx.createdById, {
+            cashier: {
+              id: tx.createdBy.id,
+              utorid: tx.createdBy.utorid,
+              name: tx.createdBy.name,
+              role: tx.createdBy.role,
+              suspicious: tx.createdBy.suspicious
+            },
+            history: cashierHistory.get(tx.createdById),
+            transactions: []
+          });
+        }
+
+        const purchases = spendingByCustomer.get(tx.userId);
+
+        groups.get(tx.createdById).transactions.push({
+          id: tx.id,
+          type: tx.type,
+          amount: tx.amount,
+          spent: tx.spent,
+          reward: tx.reward ? { id: tx.reward.id, name: tx.reward.name } : null,
+          riskScore: tx.riskScore,
+          flagReasons: parseFlagReasons(tx.flagReasons),
+          remark: tx.remark || "",
+          createdAt: tx.createdAt,
+          customer: {
+            id: tx.user.id,
+            utorid: tx.user.utorid,
+            name: tx.user.name,
+            createdAt: tx.user.createdAt,
+            purchases: purchases ? purchases._count._all : 0,
+            totalSpent: purchases ? purchases._sum.spent || 0 : 0,
+            ...customerHistory.get(tx.userId)
+          }
+        });
+      }
+
+      // Cashiers with the most waiting items first
+      const results = [...groups.values()].sort((a, b) => b.transactions.length - a.transactions.length);
+
+      res.status(200).json({
+        count: flagged.length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Approve or reject a batch of flagged transactions with a note (manager or
+   * higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  reviewTransactions: async (req, res, next) => {
+    try {
+      const { transactionIds, decision, note } = req.body;
+
+      if (!Array.isArray(transactionIds) || transactionIds.length === 0 || !transactionIds.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'transactionIds must be a non-empty array of integers' });
+      }
+
+      if (transactionIds.length > MAX_BATCH) {
+        return res.status(400).json({ error: `At most ${MAX_BATCH} transactions can be reviewed at once` });
+      }
+
+      if (!Object.keys(REVIEW_DECISIONS).includes(decision)) {
+        return res.status(400).json({ error: 'decision must be "approve" or "reject"' });
+      }
+
+      if (typeof note !== 'string' || note.trim() === '') {
+        return res.status(400).json({ error: 'A note is required' });
+      }
+
+      const ids = [...new Set(transactionIds)];
+      const transactions = await prisma.transaction.findMany({
+        where: { id: { in: ids } },
+        include: { reversal: true }
+      });
+
+      const missing = ids.filter(id => !transactions.some(tx => tx.id === id));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: `Transaction not found: ${missing.join(', ')}` });
+      }
+
+      // Check the whole batch before changing anything
+      const notPending = transactions.filter(tx => !tx.suspicious || tx.reviewStatus !== null || tx.reversal);
+      if (notPending.length > 0) {
+        return res.status(400).json({
+          error: `Not waiting for review: ${notPending.map(tx => tx.id).join(', ')}`
+        });
+      }
+
+      const reviewed = [];
+      const skipped = [];
+      const now = new Date();
+      for (const transaction of transactions) {
+        try {
+          await reviewTransaction(prisma, transaction, {
+            decision,
+            note: note.trim(),
+            reviewerId: req.auth.userId
+          }, now);
+          reviewed.push(transaction.id);
+        } catch (error) {
+          // Reviewed by another manager since the batch was checked
+          if (!(error instanceof ApiError)) {
+            throw error;
+          }
+          skipped.push(transaction.id);
+        }
+      }
+
+      res.status(200).json({
+        decision,
+        note: note.trim(),
+        reviewed,
+        skipped
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = reviewController;
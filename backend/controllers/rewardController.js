@@ -0,0 +1,285 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { catalogWhere } = require('../utils/rewards');
+
+/**
+ * Format a reward for responses
+ * @param {Object} reward - Reward row
+ * @returns {Object} - Response object
+ */
+const formatReward = (reward) => ({
+  id: reward.id,
+  name: reward.name,
+  description: reward.description,
+  imageUrl: reward.imageUrl,
+  pointsCost: reward.pointsCost,
+  stock: reward.stock,
+  startTime: reward.startTime ? reward.startTime.toISOString() : null,
+  endTime: reward.endTime ? reward.endTime.toISOString() : null,
+  isActive: reward.isActive
+});
+
+/**
+ * Validate reward fields from a request body
+ * @param {Object} fields - Fields present in the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRewardFields = ({ name, description, imageUrl, pointsCost, stock, startTime, endTime, isActive }) => {
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return 'name must be a non-empty string';
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.trim() === '')) {
+    return 'description must be a non-empty string';
+  }
+
+  if (imageUrl !== undefined && imageUrl !== null && typeof imageUrl !== 'string') {
+    return 'imageUrl must be a string';
+  }
+
+  if (pointsCost !== undefined && (!Number.isInteger(pointsCost) || pointsCost <= 0)) {
+    return 'pointsCost must be a positive integer';
+  }
+
+  if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+    return 'stock must be a non-negative integer';
+  }
+
+  for (const value of [startTime, endTime]) {
+    if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+      return 'Invalid date format';
+    }
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * Convert an optional date field from a request body
+ * @param {string|null|undefined} value - Date string, null to clear, or undefined to leave unchanged
+ * @returns {Date|null|undefined} - Value for Prisma
+ */
+const toDate = (value) => (value === undefined || value === null ? value : new Date(value));
+
+/**
+ * Reward catalog controller. Managers maintain the catalog; regular users see
+ * the items that are active and inside their window, and redeem them through
+ * the user transaction endpoints.
+ */
+const rewardController = {
+  /**
+   * Create a reward (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  createReward: async (req, res, next) => {
+    try {
+      const {
+        name,
+        description,
+        imageUrl = null,
+        pointsCost,
+        stock,
+        startTime = null,
+        endTime = null,
+        isActive = true
+      } = req.body;
+
+      if (name === undefined || description === undefined || pointsCost === undefined || stock === undefined) {
+        return res.status(400).json({ error: 'name, description, pointsCost and stock are required' });
+      }
+
+      const invalid = validateRewardFields({ name, description, imageUrl, pointsCost, stock, startTime, endTime, isActive });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      if (startTime && endTime && new Date(startTime) >= new Date(endTime)) {
+        return res.status(400).json({ error: 'End time must be after start time' });
+      }
+
+      const reward = await prisma.reward.create({
+        data: {
+          name: name.trim(),
+          description: description.trim(),
+          imageUrl,
+          pointsCost,
+          stock,
+          startTime: toDate(startTime),
+          endTime: toDate(endTime),
+          isActive
+        }
+      });
+
+      res.status(201).json(formatReward(reward));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * List rewards. Regular users only see the current catalog; managers see
+   * every reward and may filter by active status.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  listRewards: async (req, res, next) => {
+    try {
+      const { name, isActive, page = 1, limit = 10 } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const isManager = req.user.role === 'manager' || req.user.role === 'superuser';
+
+      let where = {};
+
+      if (!isManager) {
+        where = catalogWhere();
+      } else if (isActive !== undefined) {
+        where.isActive = isActive === 'true';
+      }
+
+      if (name) {
+        where.name = { contains: name };
+      }
+
+      const count = await prisma.reward.count({ where });
+
+      const rewards = await prisma.reward.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: [{ pointsCost: 'asc' }, { id: 'asc' }]
+      });
+
+      res.status(200).json({
+        count,
+        results: rewards.map(formatReward)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Get a reward by ID. Regular users can only see rewards in the current catalog.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getRewardById: async (req, res, next) => {
+    try {
+      const rewardId = parseInt(req.params.rewardId);
+      const isManager = req.user.role === 'manager' || req.user.role === 'superuser';
+
+      const reward = await prisma.reward.findFirst({
+        where: isManager ? { id: rewardId } : { id: rewardId, ...catalogWhere() }
+      });
+
+      if (!reward) {
+        return res.status(404).json({ error: 'Reward not found' });
+      }
+
+      res.status(200).json(formatReward(reward));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Update a reward (manager or higher role required). Pending redemptions
+   * keep the cost they were requested at.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  updateReward: async (req, res, next) => {
+    try {
+      const rewardId = parseInt(req.params.rewardId);
+      const { name, description, imageUrl, pointsCost, stock, startTime, endTime, isActive } = req.body;
+      const fields = { name, description, imageUrl, pointsCost, stock, startTime, endTime, isActive };
+
+      if (Object.values(fields).every(value => value === undefined)) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
+
+      const invalid = validateRewardFields(fields);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const existing = await prisma.reward.findUnique({
+        where: { id: rewardId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Reward not found' });
+      }
+
+      const start = startTime !== undefined ? toDate(startTime) : existing.startTime;
+      const end = endTime !== undefined ? toDate(endTime) : existing.endTime;
+      if (start && end && start >= end) {
+        return res.status(400).json({ error: 'End time must be after start time' });
+      }
+
+      const reward = await prisma.reward.update({
+        where: { id: rewardId },
+        data: {
+          name: name !== undefined ? name.trim() : undefined,
+          description: description !== undefined ? description.trim() : undefined,
+          imageUrl,
+          pointsCost,
+          stock,
+          startTime: toDate(startTime),
+          endTime: toDate(endTime),
+          isActive
+        }
+      });
+
+      res.status(200).json(formatReward(reward));
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Delete a reward (manager or higher role required). Rewards that have been
+   * redeemed are kept for the transaction history and can be deactivated instead.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  deleteReward: async (req, res, next) => {
+    try {
+      const rewardId = parseInt(req.params.rewardId);
+
+      const reward = await prisma.reward.findUnique({
+        where: { id: rewardId },
+        include: { _count: { select: { redemptions: true } } }
+      });
+
+      if (!reward) {
+        return res.status(404).json({ error: 'Reward not found' });
+      }
+
+      if (reward._count.redemptions > 0) {
+        return res.status(400).json({ error: 'Reward has been redeemed; deactivate it instead' });
+      }
+
+      await prisma.reward.delete({
+        where: { id: rewardId }
+      });
+
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = rewardController;
@@ -1,6 +1,67 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { applyPointsChange, adjustReservedPoints, getBalanceEffect } = require('../utils/pointsLedger');
+const { voidRedemption } = require('../utils/redemptions');
+const { snapshotTarget, recordAuditEntry } = require('../utils/audit');
+const { evaluatePromotions } = require('../utils/promotionEngine');
+const { calculateBasePoints, getActivePolicy, getLifetimeSpend } = require('../utils/earningPolicy');
+const { assessTransaction, parseFlagReasons } = require('../utils/suspicionRules');
+const {
+  INELIGIBILITY_MESSAGES,
+  availablePromotionsWhere,
+  eligibilityInclude,
+  getIneligibilityReason
+} = require('../utils/promotionEligibility');
+
+/**
+ * Find the other leg of a transfer. Both legs are created together with the
+ * same sender and recipient and opposite amounts, so the counterpart is the
+ * nearest matching row on the other side.
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} transaction - One leg of the transfer
+ * @returns {Promise<Object|null>} - The other leg, with its user
+ */
+const findTransferCounterpart = (client, transaction) => {
+  const isOutgoing = transaction.userId === transaction.senderId;
+  
+  return client.transaction.findFirst({
+    where: {
+      type: 'transfer',
+      senderId: transaction.senderId,
+      recipientId: transaction.recipientId,
+      userId: isOutgoing ? transaction.recipientId : transaction.senderId,
+      amount: -transaction.amount,
+      id: isOutgoing ? { gt: transaction.id } : { lt: transaction.id }
+    },
+    orderBy: { id: isOutgoing ? 'asc' : 'desc' },
+    include: { user: true }
+  });
+};
+
+/**
+ * Find the automatic promotions a purchase picks up without the cashier
+ * selecting them
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} user - Purchaser with membershipTier included
+ * @param {Array<number>} selectedIds - Promotions the cashier already selected
+ * @param {Date} now - Time of the purchase
+ * @returns {Promise<Array<Object>>} - Automatic promotions
+ */
+const findAutomaticPromotions = async (client, user, selectedIds, now) => {
+  if (!user.verified) {
+    return [];
+  }
+  
+  return client.promotion.findMany({
+    where: {
+      ...availablePromotionsWhere(user, now),
+      id: { notIn: selectedIds },
+      type: 'automatic'
+    }
+  });
+};
 
 /**
  * Transaction controller for handling transaction operations
@@ -23,7 +84,8 @@ const transactionController = {
       
       // Find the user by utorid
       const user = await prisma.user.findUnique({
-        where: { utorid }
+        where: { utorid },
+        include: { membershipTier: true }
       });
       
       if (!user) {
@@ -46,104 +108,108 @@ const transactionController = {
           return res.status(400).json({ error: 'spent must be a positive number' });
         }
         
-        // Check if promotions are valid
-        if (promotionIds && promotionIds.length > 0) {
-          // Verify all promotions exist and are valid
-          const promotions = await prisma.promotion.findMany({
-            where: {
-              id: { in: promotionIds },
-              isActive: true,
-              startDate: { lte: new Date() },
-              endTime: { gte: new Date() }
-            },
-            include: {
-              usages: {
-                where: { userId: user.id }
+        // Validate promotions, consume them and credit points as one unit so
+        // a failure part-way through cannot leave a promotion used without points
+        const transaction = await prisma.$transaction(async (tx) => {
+          const now = new Date();
+          let promotions = [];
+          
+          // Check if promotions are valid
+          if (promotionIds && promotionIds.length > 0) {
+            const found = await tx.promotion.findMany({
+              where: { id: { in: promotionIds } },
+              include: eligibilityInclude(user.id)
+            });
+            
+            // Reject the purchase on the first selected promotion that cannot be applied
+            for (const promotionId of promotionIds) {
+              const promotion = found.find(p => p.id === promotionId) || null;
+              const reason = getIneligibilityReason(promotion, { user, spent, now });
+              
+              if (reason) {
+                throw new ApiError(`${INELIGIBILITY_MESSAGES[reason]} (promotion ${promotionId})`, 400);
               }
             }
-          });
-          
-          // Check if all provided promotion IDs exist and are valid
-          if (promotions.length !== promotionIds.length) {
-            return res.status(400).json({ error: 'One or more promotions are invalid or expired' });
+            
+            promotions = found;
           }
           
-          // Check for one-time promotions that have already been used
-          const usedPromotions = promotions.filter(p => p.isOneTime && p.usages.length > 0);
-          if (usedPromotions.length > 0) {
-            return res.status(400).json({ error: 'One or more one-time promotions have already been used' });
-          }
+          // Active automatic promotions apply to every purchase without
+          // being selected; the engine skips those below minimum spending
+          const selectedIds = promotions.map(p => p.id);
+          const automaticPromotions = await findAutomaticPromotions(tx, user, selectedIds, now);
           
-          // Check minimum spending requirements
-          const invalidSpendingPromotions = promotions.filter(p => p.minSpending !== null && spent < p.minSpending);
-          if (invalidSpendingPromotions.length > 0) {
-            return res.status(400).json({ error: 'One or more promotions require higher minimum spending' });
-          }
-        }
-        
-        // Calculate points earned - base rate is 1 point per 25 cents
-        const basePoints = Math.round(spent * 4); // 1 point per $0.25 = 4 points per $1
-        let totalPoints = basePoints;
-        
-        // Apply promotions if any
-        if (promotionIds && promotionIds.length > 0) {
-          const promotions = await prisma.promotion.findMany({
-            where: { id: { in: promotionIds } }
-          });
+          // Base points come from the earning policy in effect now, the
+          // customer's spend tier and their membership tier
+          const policy = await getActivePolicy(tx, now);
+          const lifetimeSpend = await getLifetimeSpend(tx, user.id);
+          const membershipMultiplier = user.membershipTier ? user.membershipTier.multiplier : 1;
+          const { basePoints } = calculateBasePoints(policy, spent, lifetimeSpend, membershipMultiplier);
+          
+          // Calculate points earned; promotions skipped by the stacking
+          // rules are neither linked nor consumed
+          const evaluation = evaluatePromotions({ spent, basePoints, promotions: [...promotions, ...automaticPromotions] });
+          const totalPoints = evaluation.totalPoints;
+          const appliedIds = evaluation.applied.map(a => a.promotionId);
+          const autoAppliedIds = appliedIds.filter(id => !selectedIds.includes(id));
+          promotions = promotions.filter(p => appliedIds.includes(p.id));
           
-          for (const promotion of promotions) {
-            if (promotion.rate) {
-              // Rate-based promotion (multiplier)
-              totalPoints = Math.round(totalPoints * promotion.rate);
-            } else if (promotion.points) {
-              // Fixed points promotion (bonus points)
-              totalPoints += promotion.points;
+          // Score the purchase on the suspicious-activity rules; a flagged
+          // purchase is recorded but not credited until a manager clears it
+          const assessment = await assessTransaction(tx, 'purchase', { userId: user.id, cashier: creator, spent }, now);
+          
+          // Create transaction in database, linked to its promotions
+          const created = await tx.transaction.create({
+            data: {
+              userId: user.id,
+              type,
+              amount: totalPoints,
+              spent,
+              remark,
+              createdById: creator.id,
+              suspicious: assessment.suspicious,
+              riskScore: assessment.riskScore,
+              flagReasons: assessment.flagReasons,
+              earningPolicyId: policy.id,
+              appliedPromotions: {
+                create: appliedIds.map(promotionId => ({
+                  promotionId,
+                  autoApplied: autoAppliedIds.includes(promotionId)
+                }))
+              }
             }
-            
-            // Mark one-time promotions as used
-            if (promotion.isOneTime) {
-              await prisma.promotionUsage.create({
+          });
+          
+          // Mark one-time promotions as used; the unique (userId, promotionId)
+          // constraint rejects a concurrent purchase using the same promotion
+          for (const promotion of promotions.filter(p => p.isOneTime)) {
+            try {
+              await tx.promotionUsage.create({
                 data: {
                   userId: user.id,
                   promotionId: promotion.id
                 }
               });
+            } catch (error) {
+              if (error.code === 'P2002') {
+                throw new ApiError('One or more one-time promotions have already been used', 400);
+              }
+              throw error;
             }
           }
-        }
-        
-        // Create transaction in database
-        const transaction = await prisma.transaction.create({
-          data: {
-            userId: user.id,
-            type,
-            amount: totalPoints,
-            spent,
-            remark,
-            createdById: creator.id,
-            suspicious: creator.suspicious // Transaction inherits suspicious flag from cashier
-          }
-        });
-        
-        // Link promotions to the transaction
-        if (promotionIds && promotionIds.length > 0) {
-          for (const promotionId of promotionIds) {
-            await prisma.transactionPromotion.create({
-              data: {
-                transactionId: transaction.id,
-                promotionId
-              }
+          
+          // Add points to user's balance unless the purchase was flagged
+          if (!assessment.suspicious) {
+            await applyPointsChange(tx, {
+              userId: user.id,
+              delta: totalPoints,
+              reason: 'purchase',
+              transactionId: created.id
             });
           }
-        }
-        
-        // Add points to user's balance if cashier is not suspicious
-        if (!creator.suspicious) {
-          await prisma.user.update({
-            where: { id: user.id },
-            data: { points: user.points + totalPoints }
-          });
-        }
+          
+          return { ...created, promotionIds: appliedIds, autoPromotionIds: autoAppliedIds };
+        });
         
         // Format response
         const response = {
@@ -153,7 +219,8 @@ const transactionController = {
           spent: transaction.spent,
           earned: transaction.amount,
           remark: transaction.remark || "",
-          promotionIds,
+          promotionIds: transaction.promotionIds,
+          autoPromotionIds: transaction.autoPromotionIds,
           createdBy: creator.utorid
         };
         
@@ -182,34 +249,31 @@ const transactionController = {
           return res.status(404).json({ error: 'Related transaction not found' });
         }
         
-        // Create adjustment transaction
-        const transaction = await prisma.transaction.create({
-          data: {
-            userId: user.id,
-            type,
-            amount,
-            relatedId,
-            remark,
-            createdById: creator.id
-          }
-        });
-        
-        // Link promotions to the transaction if provided
-        if (promotionIds && promotionIds.length > 0) {
-          for (const promotionId of promotionIds) {
-            await prisma.transactionPromotion.create({
-              data: {
-                transactionId: transaction.id,
-                promotionId
+        // Create the adjustment, its promotion links and the balance change together
+        const transaction = await prisma.$transaction(async (tx) => {
+          const created = await tx.transaction.create({
+            data: {
+              userId: user.id,
+              type,
+              amount,
+              relatedId,
+              remark,
+              createdById: creator.id,
+              appliedPromotions: {
+                create: (promotionIds || []).map(promotionId => ({ promotionId }))
               }
-            });
-          }
-        }
-        
-        // Update user's point balance
-        await prisma.user.update({
-          where: { id: user.id },
-          data: { points: user.points + amount }
+            }
+          });
+          
+          // Update user's point balance
+          await applyPointsChange(tx, {
+            userId: user.id,
+            delta: amount,
+            reason: 'adjustment',
+            transactionId: created.id
+          });
+          
+          return created;
         });
         
         // Format response
@@ -234,6 +298,89 @@ const transactionController = {
     }
   },
   
+  /**
+   * Quote the points a purchase would earn without recording it (cashier or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  quotePurchase: async (req, res, next) => {
+    try {
+      const { utorid, spent, promotionIds = [] } = req.body;
+      
+      if (!utorid) {
+        return res.status(400).json({ error: 'utorid is required' });
+      }
+      
+      if (typeof spent !== 'number' || spent <= 0) {
+        return res.status(400).json({ error: 'spent must be a positive number' });
+      }
+      
+      if (!Array.isArray(promotionIds) || !promotionIds.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'promotionIds must be an array of integers' });
+      }
+      
+      const user = await prisma.user.findUnique({
+        where: { utorid },
+        include: { membershipTier: true }
+      });
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      const now = new Date();
+      
+      const selected = await prisma.promotion.findMany({
+        where: { id: { in: promotionIds } },
+        include: eligibilityInclude(user.id)
+      });
+      
+      // Report every selected promotion that the purchase would reject
+      const errors = [];
+      for (const promotionId of promotionIds) {
+        const promotion = selected.find(p => p.id === promotionId) || null;
+        const reason = getIneligibilityReason(promotion, { user, spent, now });
+        
+        if (reason) {
+          errors.push({ promotionId, reason, message: INELIGIBILITY_MESSAGES[reason] });
+        }
+      }
+      
+      const eligible = selected.filter(p => !errors.some(e => e.promotionId === p.id));
+      
+      // Same automatic promotions the purchase would pick up
+      const automaticPromotions = await findAutomaticPromotions(prisma, user, promotionIds, now);
+      
+      const policy = await getActivePolicy(prisma, now);
+      const lifetimeSpend = await getLifetimeSpend(prisma, user.id);
+      const membershipMultiplier = user.membershipTier ? user.membershipTier.multiplier : 1;
+      const { basePoints, multiplier } = calculateBasePoints(policy, spent, lifetimeSpend, membershipMultiplier);
+      
+      const evaluation = evaluatePromotions({ spent, basePoints, promotions: [...eligible, ...automaticPromotions] });
+      
+      res.status(200).json({
+        utorid: user.utorid,
+        spent,
+        earningPolicyId: policy.id,
+        tierMultiplier: multiplier,
+        membershipTier: user.membershipTier ? user.membershipTier.name : null,
+        membershipMultiplier,
+        basePoints: evaluation.basePoints,
+        bonusPoints: evaluation.bonusPoints,
+        totalPoints: evaluation.totalPoints,
+        promotions: evaluation.applied.map(applied => ({
+          ...applied,
+          autoApplied: !promotionIds.includes(applied.promotionId)
+        })),
+        skipped: evaluation.skipped,
+        errors
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
   /**
    * Get a list of transactions
    * @param {Object} req - Request object
@@ -251,6 +398,7 @@ const transactionController = {
         relatedId, 
         amount, 
         operator, 
+        flagReason, 
         page = 1, 
         limit = 10 
       } = req.query;
@@ -296,6 +444,10 @@ const transactionController = {
         where.suspicious = suspicious === 'true';
       }
       
+      if (flagReason) {
+        where.flagReasons = { contains: flagReason };
+      }
+      
       if (promotionId) {
         where.appliedPromotions = {
           some: {
@@ -337,7 +489,8 @@ const transactionController = {
           },
           processedBy: true,
           recipient: true,
-          sender: true
+          sender: true,
+          reward: true
         }
       });
       
@@ -352,6 +505,7 @@ const transactionController = {
           type: tx.type,
           promotionIds,
           suspicious: tx.suspicious,
+          flagReasons: parseFlagReasons(tx.flagReasons),
           remark: tx.remark || "",
           createdBy: tx.createdBy.utorid
         };
@@ -362,8 +516,14 @@ const transactionController = {
         } else if (tx.type === 'redemption') {
           result.redeemed = tx.redeemed;
           result.relatedId = tx.processedById;
+          result.processedBy = tx.processedBy ? tx.processedBy.utorid : null;
+          result.voidedAt = tx.voidedAt;
+          result.voidReason = tx.voidReason;
+          result.reward = tx.reward ? { id: tx.reward.id, name: tx.reward.name } : null;
         } else if (tx.type === 'adjustment' || tx.type === 'event') {
           result.relatedId = tx.relatedId;
+        } else if (tx.type === 'reversal') {
+          result.relatedId = tx.reversalOfId;
         } else if (tx.type === 'transfer') {
           if (tx.senderId) {
             // This is an outgoing transfer (negative points)
@@ -404,7 +564,11 @@ const transactionController = {
           appliedPromotions: {
             include: { promotion: true }
           },
-          processedBy: true
+          processedBy: true,
+          reviewedBy: true,
+          reversal: true,
+          earningPolicy: true,
+          reward: true
         }
       });
       
@@ -413,6 +577,7 @@ const transactionController = {
       }
       
       const promotionIds = transaction.appliedPromotions.map(ap => ap.promotionId);
+      const autoPromotionIds = transaction.appliedPromotions.filter(ap => ap.autoApplied).map(ap => ap.promotionId);
       
       // Format the response based on transaction type
       const response = {
@@ -421,14 +586,36 @@ const transactionController = {
         type: transaction.type,
         amount: transaction.amount,
         promotionIds,
+        autoPromotionIds,
         suspicious: transaction.suspicious,
+        riskScore: transaction.riskScore,
+        flagReasons: parseFlagReasons(transaction.flagReasons),
+        reviewStatus: transaction.reviewStatus,
+        reviewNote: transaction.reviewNote,
+        reviewedBy: transaction.reviewedBy ? transaction.reviewedBy.utorid : null,
+        reviewedAt: transaction.reviewedAt,
         remark: transaction.remark || "",
-        createdBy: transaction.createdBy.utorid
+        createdBy: transaction.createdBy.utorid,
+        reversedBy: transaction.reversal ? transaction.reversal.id : null
       };
       
       // Add type-specific fields
       if (transaction.type === 'purchase') {
         response.spent = transaction.spent;
+        response.earningPolicy = transaction.earningPolicy ? {
+          id: transaction.earningPolicy.id,
+          pointsPerDollar: transaction.earningPolicy.pointsPerDollar,
+          rounding: transaction.earningPolicy.rounding,
+          effectiveFrom: transaction.earningPolicy.effectiveFrom
+        } : null;
+      } else if (transaction.type === 'reversal') {
+        response.relatedId = transaction.reversalOfId;
+      } else if (transaction.type === 'redemption') {
+        response.redeemed = transaction.redeemed;
+        response.processedBy = transaction.processedBy ? transaction.processedBy.utorid : null;
+        response.voidedAt = transaction.voidedAt;
+        response.voidReason = transaction.voidReason;
+        response.reward = transaction.reward ? { id: transaction.reward.id, name: transaction.reward.name } : null;
       }
       
       res.status(200).json(response);
@@ -454,13 +641,18 @@ const transactionController = {
       
       const transaction = await prisma.transaction.findUnique({
         where: { id: parseInt(transactionId) },
-        include: { user: true }
+        include: { user: true, reversal: true }
       });
       
       if (!transaction) {
         return res.status(404).json({ error: 'Transaction not found' });
       }
       
+      // A reversal already undid the credit, so toggling would move the balance again
+      if (transaction.reversal) {
+        return res.status(400).json({ error: 'Transaction has been reversed' });
+      }
+      
       // Check if the status is actually changing
       if (transaction.suspicious === suspicious) {
         // No change needed
@@ -477,33 +669,42 @@ const transactionController = {
         });
       }
       
-      // Update the transaction's suspicious status
-      const updatedTransaction = await prisma.transaction.update({
-        where: { id: parseInt(transactionId) },
-        data: { suspicious },
-        include: { 
-          user: true,
-          createdBy: true,
-          appliedPromotions: true
-        }
-      });
+      // Clearing a flag by hand counts as approving it; flagging again
+      // puts the transaction back in the review queue
+      const review = suspicious
+        ? { reviewStatus: null, reviewNote: null, reviewedById: null, reviewedAt: null }
+        : { reviewStatus: 'approved', reviewedById: req.auth.userId, reviewedAt: new Date() };
       
-      // Get all promotion IDs
-      const appliedPromotions = await prisma.transactionPromotion.findMany({
-        where: { transactionId: parseInt(transactionId) }
+      // Update the status and move the points together, so the flag never
+      // changes without the balance following it
+      const updatedTransaction = await prisma.$transaction(async (tx) => {
+        const updated = await tx.transaction.update({
+          where: { id: parseInt(transactionId) },
+          data: { suspicious, ...review },
+          include: { 
+            user: true,
+            createdBy: true,
+            appliedPromotions: true
+          }
+        });
+        
+        // If marking as suspicious, deduct points
+        // If marking as not suspicious, add points
+        if (transaction.type === 'purchase') {
+          const pointsDifference = suspicious ? -transaction.amount : transaction.amount;
+          
+          await applyPointsChange(tx, {
+            userId: transaction.userId,
+            delta: pointsDifference,
+            reason: 'suspicious',
+            transactionId: transaction.id
+          });
+        }
+        
+        return updated;
       });
-      const promotionIds = appliedPromotions.map(ap => ap.promotionId);
       
-      // If marking as suspicious, deduct points
-      // If marking as not suspicious, add points
-      if (transaction.type === 'purchase') {
-        const pointsDifference = suspicious ? -transaction.amount : transaction.amount;
-        
-        await prisma.user.update({
-          where: { id: transaction.userId },
-          data: { points: { increment: pointsDifference } }
-        });
-      }
+      const promotionIds = updatedTransaction.appliedPromotions.map(ap => ap.promotionId);
       
       res.status(200).json({
         id: updatedTransaction.id,
@@ -521,6 +722,58 @@ const transactionController = {
     }
   },
   
+  /**
+   * Get a redemption for a cashier to process, including the catalog item to
+   * hand over (cashier or higher role by QR code token, manager role by ID)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getRedemption: async (req, res, next) => {
+    try {
+      const { transactionId } = req.params;
+      
+      const transaction = await prisma.transaction.findUnique({
+        where: { id: parseInt(transactionId) },
+        include: {
+          user: true,
+          createdBy: true,
+          processedBy: true,
+          reward: true
+        }
+      });
+      
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      
+      if (transaction.type !== 'redemption') {
+        return res.status(400).json({ error: 'Transaction is not a redemption' });
+      }
+      
+      res.status(200).json({
+        id: transaction.id,
+        utorid: transaction.user.utorid,
+        type: transaction.type,
+        amount: transaction.amount,
+        remark: transaction.remark || "",
+        createdBy: transaction.createdBy.utorid,
+        processed: transaction.processed,
+        processedBy: transaction.processedBy ? transaction.processedBy.utorid : null,
+        voidedAt: transaction.voidedAt,
+        voidReason: transaction.voidReason,
+        reward: transaction.reward ? {
+          id: transaction.reward.id,
+          name: transaction.reward.name,
+          description: transaction.reward.description,
+          imageUrl: transaction.reward.imageUrl
+        } : null
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
   /**
    * Mark a redemption transaction as processed
    * @param {Object} req - Request object
@@ -555,19 +808,45 @@ const transactionController = {
         return res.status(400).json({ error: 'Transaction has already been processed' });
       }
       
+      // Check if the owner cancelled it
+      if (transaction.voidedAt) {
+        return res.status(400).json({ error: 'Redemption has been cancelled' });
+      }
+      
       // Get the cashier
       const cashier = await prisma.user.findUnique({
         where: { id: req.auth.userId }
       });
       
-      // Update the transaction
-      const updatedTransaction = await prisma.transaction.update({
-        where: { id: parseInt(transactionId) },
-        data: { 
-          processed: true,
-          processedById: cashier.id,
-          redeemed: transaction.amount
-        },
+      // Convert the hold into a debit
+      await prisma.$transaction(async (tx) => {
+        // Only one of concurrent process/cancel requests may win
+        const { count } = await tx.transaction.updateMany({
+          where: { id: transaction.id, processed: false, voidedAt: null },
+          data: { 
+            processed: true,
+            processedById: cashier.id,
+            redeemed: transaction.amount
+          }
+        });
+        
+        if (count === 0) {
+          throw new ApiError('Transaction has already been processed or cancelled', 400);
+        }
+        
+        await adjustReservedPoints(tx, transaction.userId, -Math.abs(transaction.amount));
+        
+        // Deduct points from user's balance
+        await applyPointsChange(tx, {
+          userId: transaction.userId,
+          delta: -Math.abs(transaction.amount),
+          reason: 'redemption',
+          transactionId: transaction.id
+        });
+      });
+      
+      const updatedTransaction = await prisma.transaction.findUnique({
+        where: { id: transaction.id },
         include: { 
           user: true,
           createdBy: true,
@@ -575,12 +854,6 @@ const transactionController = {
         }
       });
       
-      // Deduct points from user's balance
-      await prisma.user.update({
-        where: { id: transaction.userId },
-        data: { points: { decrement: Math.abs(transaction.amount) } }
-      });
-      
       res.status(200).json({
         id: updatedTransaction.id, 
         utorid: updatedTransaction.user.utorid,
@@ -593,6 +866,220 @@ const transactionController = {
     } catch (error) {
       next(error);
     }
+  },
+  
+  /**
+   * Void an unprocessed redemption and release its held points (cashiers by QR
+   * token, managers by ID)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  voidRedemption: async (req, res, next) => {
+    try {
+      const { transactionId } = req.params;
+      
+      const transaction = await prisma.transaction.findUnique({
+        where: { id: parseInt(transactionId) }
+      });
+      
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      
+      if (transaction.type !== 'redemption') {
+        return res.status(400).json({ error: 'Transaction is not a redemption' });
+      }
+      
+      if (transaction.processed) {
+        return res.status(400).json({ error: 'Transaction has already been processed' });
+      }
+      
+      if (transaction.voidedAt) {
+        return res.status(400).json({ error: 'Redemption has already been cancelled' });
+      }
+      
+      await voidRedemption(prisma, transaction, 'voided');
+      
+      const updatedTransaction = await prisma.transaction.findUnique({
+        where: { id: transaction.id },
+        include: { user: true, createdBy: true }
+      });
+      
+      res.status(200).json({
+        id: updatedTransaction.id,
+        utorid: updatedTransaction.user.utorid,
+        type: updatedTransaction.type,
+        amount: updatedTransaction.amount,
+        remark: updatedTransaction.remark || "",
+        createdBy: updatedTransaction.createdBy.utorid,
+        voidedAt: updatedTransaction.voidedAt,
+        voidReason: updatedTransaction.voidReason
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Reverse a transaction by creating a linked compensating transaction (manager or higher role required)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  reverseTransaction: async (req, res, next) => {
+    try {
+      const { transactionId } = req.params;
+      const { remark } = req.body;
+      
+      const transaction = await prisma.transaction.findUnique({
+        where: { id: parseInt(transactionId) },
+        include: {
+          user: true,
+          reversal: true,
+          appliedPromotions: {
+            include: { promotion: true }
+          }
+        }
+      });
+      
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      
+      if (transaction.type === 'reversal') {
+        return res.status(400).json({ error: 'Reversals cannot be reversed' });
+      }
+      
+      if (transaction.reversal) {
+        return res.status(400).json({ error: 'Transaction has already been reversed' });
+      }
+      
+      // Pending redemptions have not moved the balance; they are voided instead.
+      // A processed reward redemption keeps its stock taken: the item was handed over.
+      if (transaction.type === 'redemption' && !transaction.processed) {
+        return res.status(400).json({ error: 'Only processed redemptions can be reversed' });
+      }
+      
+      // Transfers are reversed on both legs together
+      const legs = [transaction];
+      if (transaction.type === 'transfer') {
+        const counterpart = await findTransferCounterpart(prisma, transaction);
+        
+        if (!counterpart) {
+          return res.status(400).json({ error: 'Transfer counterpart not found' });
+        }
+        
+        legs.push(counterpart);
+      }
+      
+      // The audit middleware records the requested transaction; the counterpart is recorded here
+      const counterpartBefore = legs[1] && await snapshotTarget('transaction', legs[1].id);
+      
+      const reversals = await prisma.$transaction(async (tx) => {
+        const created = [];
+        
+        for (const leg of legs) {
+          const delta = -getBalanceEffect(leg);
+          
+          let reversal;
+          try {
+            reversal = await tx.transaction.create({
+              data: {
+                userId: leg.userId,
+                type: 'reversal',
+                amount: delta,
+                reversalOfId: leg.id,
+                remark,
+                createdById: req.auth.userId
+              }
+            });
+          } catch (error) {
+            // reversalOfId is unique, so a concurrent reversal loses here
+            if (error.code === 'P2002') {
+              throw new ApiError('Transaction has already been reversed', 400);
+            }
+            throw error;
+          }
+          
+          if (delta !== 0) {
+            await applyPointsChange(tx, {
+              userId: leg.userId,
+              delta,
+              reason: 'reversal',
+              transactionId: reversal.id
+            });
+          }
+          
+          created.push({ ...reversal, utorid: leg.user.utorid });
+        }
+        
+        // Let the user apply their one-time promotions again
+        if (transaction.type === 'purchase') {
+          const oneTimeIds = transaction.appliedPromotions
+            .filter(ap => ap.promotion.isOneTime)
+            .map(ap => ap.promotionId);
+          
+          if (oneTimeIds.length > 0) {
+            await tx.promotionUsage.deleteMany({
+              where: {
+                userId: transaction.userId,
+                promotionId: { in: oneTimeIds }
+              }
+            });
+          }
+        }
+        
+        // Return the awarded points to the event's pool
+        if (transaction.type === 'event' && transaction.eventId) {
+          await tx.event.update({
+            where: { id: transaction.eventId },
+            data: {
+              pointsRemain: {
+                increment: transaction.amount
+              },
+              pointsAwarded: {
+                decrement: transaction.amount
+              }
+            }
+          });
+        }
+        
+        return created;
+      });
+      
+      const creator = await prisma.user.findUnique({
+        where: { id: req.auth.userId }
+      });
+      
+      const results = reversals.map(reversal => ({
+        id: reversal.id,
+        utorid: reversal.utorid,
+        type: reversal.type,
+        amount: reversal.amount,
+        relatedId: reversal.reversalOfId,
+        remark: reversal.remark || "",
+        createdBy: creator.utorid
+      }));
+      
+      if (legs[1]) {
+        await recordAuditEntry(req, {
+          action: 'transaction.reverse',
+          targetType: 'transaction',
+          targetId: legs[1].id,
+          before: counterpartBefore,
+          after: await snapshotTarget('transaction', legs[1].id)
+        }).catch((err) => console.error(`audit log for transaction.reverse failed: ${err.message}`));
+      }
+      
+      // The reversal of the requested transaction first, then its transfer counterpart if any
+      res.status(201).json({
+        ...results[0],
+        counterpart: results[1] || null
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
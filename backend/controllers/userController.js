@@ -5,6 +5,11 @@ const path = require('path');
 const fs = require('fs');
 const config = require('../config/config');
 const ApiError = require('../utils/ApiError');
+const { getAvailablePoints } = require('../utils/pointsLedger');
+const { availablePromotionsWhere } = require('../utils/promotionEligibility');
+const { getTierStatus } = require('../utils/membershipTiers');
+const { getExpiringSoon } = require('../utils/pointLots');
+const { issueQRToken } = require('../utils/qrTokens');
 
 const prisma = new PrismaClient();
 
@@ -187,6 +192,30 @@ const userController = {
     }
   },
   
+  /**
+   * Look up another user by utorid so a sender can confirm who they are
+   * paying. Only the name and avatar are returned.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getPublicProfile: async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { utorid: req.params.utorid },
+        select: { utorid: true, name: true, avatarUrl: true }
+      });
+      
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      res.status(200).json(user);
+    } catch (error) {
+      next(error);
+    }
+  },
+  
   /**
    * Get a user by ID (cashier or higher role required)
    * @param {Object} req - Request object
@@ -199,7 +228,8 @@ const userController = {
       
       // Find user by id
       const user = await prisma.user.findUnique({
-        where: { id: parseInt(userId) }
+        where: { id: parseInt(userId) },
+        include: { membershipTier: true }
       });
       
       if (!user) {
@@ -209,15 +239,8 @@ const userController = {
       // Get available one-time promotions for the user
       const availablePromotions = await prisma.promotion.findMany({
         where: {
-          isOneTime: true,
-          isActive: true,
-          endTime: { gte: new Date() },
-          // Not already used by this user
-          usages: {
-            none: {
-              userId: user.id
-            }
-          }
+          ...availablePromotionsWhere(user),
+          isOneTime: true
         }
       });
       
@@ -245,6 +268,7 @@ const userController = {
           lastLogin: user.lastLogin,
           verified: user.verified,
           avatarUrl: user.avatarUrl,
+          membership: await getTierStatus(prisma, user),
           promotions
         });
       } else {
@@ -255,6 +279,7 @@ const userController = {
           name: user.name,
           points: user.points,
           verified: user.verified,
+          tier: user.membershipTier ? user.membershipTier.name : null,
           promotions
         });
       }
@@ -404,7 +429,8 @@ const userController = {
       
       // Get user with fresh data
       const user = await prisma.user.findUnique({
-        where: { id: userId }
+        where: { id: userId },
+        include: { membershipTier: true }
       });
       
       if (!user) {
@@ -414,16 +440,8 @@ const userController = {
       // Get available one-time promotions for the user
       const availablePromotions = await prisma.promotion.findMany({
         where: {
-          type: 'one-time',
-          isOneTime: true,
-          isActive: true,
-          endTime: { gte: new Date() },
-          // Not already used by this user
-          usages: {
-            none: {
-              userId: user.id
-            }
-          }
+          ...availablePromotionsWhere(user),
+          isOneTime: true
         }
       });
       
@@ -444,10 +462,14 @@ const userController = {
         birthday: user.birthday,
         role: user.role,
         points: user.points,
+        reserved: user.reservedPoints,
+        available: getAvailablePoints(user),
+        expiringSoon: await getExpiringSoon(prisma, user.id),
         createdAt: user.createdAt,
         lastLogin: user.lastLogin,
         verified: user.verified,
         avatarUrl: user.avatarUrl,
+        membership: await getTierStatus(prisma, user),
         promotions
       });
     } catch (error) {
@@ -455,6 +477,32 @@ const userController = {
     }
   },
   
+  /**
+   * Issue a short-lived signed token for the current user's QR code
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getMyQRToken: async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.auth.userId }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.status(200).json({
+        type: 'user',
+        utorid: user.utorid,
+        ...issueQRToken('user', user.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
   /**
    * Update current logged-in user's profile
    * @param {Object} req - Request object
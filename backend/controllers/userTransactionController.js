@@ -1,6 +1,20 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { getAvailablePoints, adjustReservedPoints } = require('../utils/pointsLedger');
+const { voidRedemption } = require('../utils/redemptions');
+const { recordTransfer } = require('../utils/transfers');
+const { assessTransaction } = require('../utils/suspicionRules');
+const { issueQRToken } = require('../utils/qrTokens');
+const { UNAVAILABLE_MESSAGES, getUnavailableReason, takeStock } = require('../utils/rewards');
+const {
+  REJECTION_MESSAGES,
+  getTransferUsage,
+  getAmountError,
+  getCapError,
+  getRecipientRejection
+} = require('../utils/transferPolicy');
 
 /**
  * User Transaction controller for handling user-specific transaction operations
@@ -76,7 +90,8 @@ const userTransactionController = {
           },
           processedBy: true,
           recipient: true,
-          sender: true
+          sender: true,
+          reward: true
         }
       });
       
@@ -102,8 +117,13 @@ const userTransactionController = {
           } else {
             result.relatedId = null;
           }
+          result.voidedAt = tx.voidedAt;
+          result.voidReason = tx.voidReason;
+          result.reward = tx.reward ? { id: tx.reward.id, name: tx.reward.name } : null;
         } else if (tx.type === 'adjustment' || tx.type === 'event') {
           result.relatedId = tx.relatedId;
+        } else if (tx.type === 'reversal') {
+          result.relatedId = tx.reversalOfId;
         } else if (tx.type === 'transfer') {
           // For outgoing transfers, relatedId = recipientId
           // For incoming transfers, relatedId = senderId
@@ -127,7 +147,9 @@ const userTransactionController = {
   },
   
   /**
-   * Create a redemption transaction for the currently logged-in user
+   * Create a redemption transaction for the currently logged-in user. With a
+   * rewardId the cost is the reward's point cost and one unit of its stock is
+   * held until the redemption is processed or released.
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    * @param {Function} next - Next middleware function
@@ -135,13 +157,36 @@ const userTransactionController = {
   createUserRedemption: async (req, res, next) => {
     try {
       const userId = req.auth.userId;
-      const { type, amount, remark } = req.body;
+      const { type, rewardId, remark } = req.body;
+      let { amount } = req.body;
       
       // Validate type
       if (type !== 'redemption') {
         return res.status(400).json({ error: 'type must be "redemption"' });
       }
       
+      let reward = null;
+      if (rewardId !== undefined && rewardId !== null) {
+        if (!Number.isInteger(rewardId)) {
+          return res.status(400).json({ error: 'rewardId must be an integer' });
+        }
+        
+        reward = await prisma.reward.findUnique({
+          where: { id: rewardId }
+        });
+        
+        const reason = getUnavailableReason(reward);
+        if (reason) {
+          return res.status(reason === 'notFound' ? 404 : 400).json({ error: UNAVAILABLE_MESSAGES[reason] });
+        }
+        
+        if (amount !== undefined && amount !== null && amount !== reward.pointsCost) {
+          return res.status(400).json({ error: `amount must match the reward's cost of ${reward.pointsCost} points` });
+        }
+        
+        amount = reward.pointsCost;
+      }
+      
       // Validate amount
       if (!amount || !Number.isInteger(amount) || amount <= 0) {
         return res.status(400).json({ error: 'amount must be a positive integer' });
@@ -161,24 +206,43 @@ const userTransactionController = {
         return res.status(403).json({ error: 'User is not verified' });
       }
       
-      // Check if user has enough points
-      if (user.points < amount) {
+      // Check if user has enough points that are not already held
+      if (getAvailablePoints(user) < amount) {
         return res.status(400).json({ error: 'Insufficient points balance' });
       }
       
-      // Create the redemption transaction
-      // Note: For redemptions, we store the amount as a positive value
-      // but it represents points to be deducted once processed
-      const transaction = await prisma.transaction.create({
-        data: {
-          userId,
-          type,
-          amount,
-          remark,
-          createdById: userId,
-          processed: false,
-          processedById: null
+      const transaction = await prisma.$transaction(async (tx) => {
+        // Hold the points before re-checking, so concurrent requests are
+        // serialised by the write and cannot both spend the same points
+        const held = await adjustReservedPoints(tx, userId, amount);
+        
+        if (getAvailablePoints(held) < 0) {
+          throw new ApiError('Insufficient points balance', 400);
         }
+        
+        if (reward && !(await takeStock(tx, reward.id))) {
+          throw new ApiError(UNAVAILABLE_MESSAGES.outOfStock, 400);
+        }
+        
+        // Flagged redemptions still hold their points and wait for review
+        const assessment = await assessTransaction(tx, 'redemption', { userId, amount });
+        
+        // Create the redemption transaction
+        // Note: For redemptions, we store the amount as a positive value
+        // but it represents points to be deducted once processed
+        return tx.transaction.create({
+          data: {
+            userId,
+            type,
+            amount,
+            remark,
+            rewardId: reward ? reward.id : null,
+            createdById: userId,
+            processed: false,
+            processedById: null,
+            ...assessment
+          }
+        });
       });
       
       // Format the response
@@ -188,6 +252,8 @@ const userTransactionController = {
         type: transaction.type,
         processedBy: null,
         amount: transaction.amount,
+        rewardId: transaction.rewardId,
+        reward: reward ? { id: reward.id, name: reward.name } : null,
         remark: transaction.remark || "",
         createdBy: user.utorid
       };
@@ -199,7 +265,25 @@ const userTransactionController = {
   },
   
   /**
-   * Create a transfer transaction from the current user to another user
+   * Get the current user's transfer limits and how much of them is used
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getTransferLimits: async (req, res, next) => {
+    try {
+      const usage = await getTransferUsage(prisma, req.auth.userId);
+      
+      res.status(200).json(usage);
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Create a transfer transaction from the current user to another user,
+   * subject to the transfer policy in utils/transferPolicy. The recipient is
+   * given by id in the path, or by utorid in the body for /users/me/transfers.
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    * @param {Function} next - Next middleware function
@@ -208,9 +292,7 @@ const userTransactionController = {
     try {
       const senderId = req.auth.userId;
       const { userId: recipientIdParam } = req.params;
-      const { type, amount, remark } = req.body;
-      
-      const recipientId = parseInt(recipientIdParam);
+      const { type, amount, remark, utorid } = req.body;
       
       // Validate type
       if (type !== 'transfer') {
@@ -222,6 +304,15 @@ const userTransactionController = {
         return res.status(400).json({ error: 'amount must be a positive integer' });
       }
       
+      const amountError = getAmountError(amount);
+      if (amountError) {
+        return res.status(400).json({ error: amountError });
+      }
+      
+      if (recipientIdParam === undefined && (typeof utorid !== 'string' || utorid.trim() === '')) {
+        return res.status(400).json({ error: 'utorid is required' });
+      }
+      
       // Get the sender
       const sender = await prisma.user.findUnique({
         where: { id: senderId }
@@ -236,60 +327,41 @@ const userTransactionController = {
         return res.status(403).json({ error: 'Sender is not verified' });
       }
       
-      // Check if sender has enough points
-      if (sender.points < amount) {
+      // Check if sender has enough points that are not held by pending redemptions
+      if (getAvailablePoints(sender) < amount) {
         return res.status(400).json({ error: 'Insufficient points balance' });
       }
       
       // Get the recipient
       const recipient = await prisma.user.findUnique({
-        where: { id: recipientId }
+        where: recipientIdParam !== undefined
+          ? { id: parseInt(recipientIdParam) }
+          : { utorid: utorid.trim() }
       });
       
       if (!recipient) {
         return res.status(404).json({ error: 'Recipient not found' });
       }
       
+      const recipientId = recipient.id;
+      
+      const rejection = getRecipientRejection(sender, recipient);
+      if (rejection) {
+        return res.status(400).json({ error: REJECTION_MESSAGES[rejection] });
+      }
+      
+      const capError = await getCapError(prisma, senderId, amount);
+      if (capError) {
+        return res.status(400).json({ error: capError });
+      }
+      
       // Start a transaction to ensure atomicity
-      const [senderTransaction, recipientTransaction] = await prisma.$transaction([
-        // Create the sender's transaction (negative amount)
-        prisma.transaction.create({
-          data: {
-            userId: senderId,
-            type,
-            amount: -amount,  // Negative for sender
-            remark,
-            createdById: senderId,
-            senderId,
-            recipientId
-          }
-        }),
-        
-        // Create the recipient's transaction (positive amount)
-        prisma.transaction.create({
-          data: {
-            userId: recipientId,
-            type,
-            amount,  // Positive for recipient
-            remark,
-            createdById: senderId,
-            senderId,
-            recipientId
-          }
-        }),
-        
-        // Update sender's points balance
-        prisma.user.update({
-          where: { id: senderId },
-          data: { points: { decrement: amount } }
-        }),
-        
-        // Update recipient's points balance
-        prisma.user.update({
-          where: { id: recipientId },
-          data: { points: { increment: amount } }
-        })
-      ]);
+      const senderTransaction = await prisma.$transaction((tx) => recordTransfer(tx, {
+        senderId,
+        recipientId,
+        amount,
+        remark
+      }));
       
       // Format the response
       const response = {
@@ -306,6 +378,88 @@ const userTransactionController = {
     } catch (error) {
       next(error);
     }
+  },
+  
+  /**
+   * Issue a short-lived signed token for the QR code of one of the currently
+   * logged-in user's unprocessed redemptions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  getRedemptionQRToken: async (req, res, next) => {
+    try {
+      const userId = req.auth.userId;
+      const { transactionId } = req.params;
+      
+      const transaction = await prisma.transaction.findUnique({
+        where: { id: parseInt(transactionId) }
+      });
+      
+      // Users cannot see whether other users' transactions exist
+      if (!transaction || transaction.userId !== userId) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      
+      if (transaction.type !== 'redemption') {
+        return res.status(400).json({ error: 'Transaction is not a redemption' });
+      }
+      
+      if (transaction.processed) {
+        return res.status(400).json({ error: 'Transaction has already been processed' });
+      }
+      
+      if (transaction.voidedAt) {
+        return res.status(400).json({ error: 'Redemption has been cancelled' });
+      }
+      
+      res.status(200).json({
+        type: 'redemption',
+        ...issueQRToken('redemption', transaction.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  
+  /**
+   * Cancel an unprocessed redemption of the currently logged-in user and release its hold
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next middleware function
+   */
+  cancelUserRedemption: async (req, res, next) => {
+    try {
+      const userId = req.auth.userId;
+      const { transactionId } = req.params;
+      
+      const transaction = await prisma.transaction.findUnique({
+        where: { id: parseInt(transactionId) }
+      });
+      
+      // Users cannot see whether other users' transactions exist
+      if (!transaction || transaction.userId !== userId) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      
+      if (transaction.type !== 'redemption') {
+        return res.status(400).json({ error: 'Transaction is not a redemption' });
+      }
+      
+      if (transaction.processed) {
+        return res.status(400).json({ error: 'Transaction has already been processed' });
+      }
+      
+      if (transaction.voidedAt) {
+        return res.status(400).json({ error: 'Redemption has already been cancelled' });
+      }
+      
+      await voidRedemption(prisma, transaction, 'cancelled');
+      
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
@@ -33,6 +33,15 @@ const fs = require('fs');
 
 // Config
 const config = require('./config/config');
+const ApiError = require('./utils/ApiError');
+const { qrTarget } = require('./utils/qrTokens');
+const { expireStaleRedemptions } = require('./utils/redemptions');
+const { expireLapsedPoints } = require('./utils/pointsExpiry');
+const { expireStaleRequests } = require('./utils/pointRequests');
+const { recalculateTiers, getNextRecalculationTime } = require('./utils/membershipTiers');
+const { idempotent, purgeExpiredKeys } = require('./utils/idempotency');
+const { logInfo, logError } = require('./utils/logger');
+const { audit } = require('./utils/audit');
 
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, 'uploads/avatars');
@@ -44,7 +53,8 @@ if (!fs.existsSync(uploadDir)) {
 app.use(cors({
   origin: FRONTEND_URL,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 }));
 app.use(express.urlencoded({ extended: true }));
@@ -155,6 +165,9 @@ const requireSuperuser = requireRole([
   config.roles.SUPERUSER
 ]);
 
+// Audit target for routes acting on the current user
+const self = (req) => req.auth.userId;
+
 // Controllers
 const authController = require('./controllers/authController');
 const userController = require('./controllers/userController');
@@ -162,6 +175,13 @@ const transactionController = require('./controllers/transactionController');
 const userTransactionController = require('./controllers/userTransactionController');
 const eventController = require('./controllers/eventController');
 const promotionController = require('./controllers/promotionController');
+const ledgerController = require('./controllers/ledgerController');
+const earningPolicyController = require('./controllers/earningPolicyController');
+const membershipTierController = require('./controllers/membershipTierController');
+const rewardController = require('./controllers/rewardController');
+const pointRequestController = require('./controllers/pointRequestController');
+const auditController = require('./controllers/auditController');
+const reviewController = require('./controllers/reviewController');
 
 // Auth Routes
 app.post('/auth/tokens', authController.login);
@@ -216,52 +236,113 @@ const upload = multer({
 });
 
 // User Routes
-app.post('/users', requireCashier, userController.registerUser);
+app.post('/users', requireCashier, audit('user.create', 'user'), userController.registerUser);
 app.get('/users', requireManager, userController.listUsers);
 app.get('/users/me', requireRegular, userController.getCurrentUser);
-app.patch('/users/me', requireRegular, upload.single('avatar'), userController.updateCurrentUser);
-app.patch('/users/me/password', requireRegular, userController.updatePassword);
+app.get('/users/lookup/:utorid', requireRegular, userController.getPublicProfile);
+app.get('/users/me/tier-changes', requireRegular, membershipTierController.getMyTierChanges);
+app.get('/users/me/qr-token', requireRegular, userController.getMyQRToken);
+app.patch('/users/me', requireRegular, audit('user.update_self', 'user', self), upload.single('avatar'), userController.updateCurrentUser);
+app.patch('/users/me/password', requireRegular, audit('user.password', 'user', self), userController.updatePassword);
+app.get('/users/qr/:qrToken', requireCashier, qrTarget('user', 'userId'), userController.getUserById);
 app.get('/users/:userId', requireCashier, userController.getUserById);
-app.patch('/users/:userId', requireManager, userController.updateUser);
+app.patch('/users/:userId', requireManager, audit('user.update', 'user', 'userId'), userController.updateUser);
+app.get('/users/:userId/ledger', requireManager, ledgerController.getUserLedger);
 
 // Transaction Routes
-app.post('/transactions', requireCashier, transactionController.createTransaction);
+app.post('/transactions', requireCashier, idempotent, audit('transaction.create', 'transaction'), transactionController.createTransaction);
+app.post('/transactions/quote', requireCashier, transactionController.quotePurchase);
 app.get('/transactions', requireManager, transactionController.listTransactions);
+app.get('/transactions/review-queue', requireManager, reviewController.getReviewQueue);
+app.post('/transactions/reviews', requireManager, audit('transaction.review', 'transaction'), reviewController.reviewTransactions);
+app.get('/transactions/qr/:qrToken', requireCashier, qrTarget('redemption', 'transactionId'), transactionController.getRedemption);
+app.patch('/transactions/qr/:qrToken/processed', requireCashier, qrTarget('redemption', 'transactionId'), audit('transaction.process', 'transaction', 'transactionId'), transactionController.markRedemptionProcessed);
+app.post('/transactions/qr/:qrToken/void', requireCashier, qrTarget('redemption', 'transactionId'), audit('transaction.void', 'transaction', 'transactionId'), transactionController.voidRedemption);
 app.get('/transactions/:transactionId', requireManager, transactionController.getTransactionById);
-app.patch('/transactions/:transactionId/suspicious', requireManager, transactionController.updateSuspiciousStatus);
-app.patch('/transactions/:transactionId/processed', requireCashier, transactionController.markRedemptionProcessed);
+app.patch('/transactions/:transactionId/suspicious', requireManager, audit('transaction.suspicious', 'transaction', 'transactionId'), transactionController.updateSuspiciousStatus);
+app.get('/transactions/:transactionId/redemption', requireManager, transactionController.getRedemption);
+app.patch('/transactions/:transactionId/processed', requireManager, audit('transaction.process', 'transaction', 'transactionId'), transactionController.markRedemptionProcessed);
+app.post('/transactions/:transactionId/void', requireManager, audit('transaction.void', 'transaction', 'transactionId'), transactionController.voidRedemption);
+app.post('/transactions/:transactionId/reversal', requireManager, idempotent, audit('transaction.reverse', 'transaction', 'transactionId'), transactionController.reverseTransaction);
 
 // User-Transaction Routes
 app.get('/users/me/transactions', requireRegular, userTransactionController.getUserTransactions);
-app.post('/users/me/transactions', requireRegular, userTransactionController.createUserRedemption);
-app.post('/users/:userId/transactions', requireRegular, userTransactionController.createTransfer);
+app.post('/users/me/transactions', requireRegular, idempotent, audit('transaction.redeem', 'transaction'), userTransactionController.createUserRedemption);
+app.get('/users/me/transfer-limits', requireRegular, userTransactionController.getTransferLimits);
+app.get('/users/me/transactions/:transactionId/qr-token', requireRegular, userTransactionController.getRedemptionQRToken);
+app.delete('/users/me/transactions/:transactionId', requireRegular, audit('transaction.cancel', 'transaction', 'transactionId'), userTransactionController.cancelUserRedemption);
+app.post('/users/me/transfers', requireRegular, idempotent, audit('transaction.transfer', 'transaction'), userTransactionController.createTransfer);
+app.post('/users/:userId/transactions', requireRegular, idempotent, audit('transaction.transfer', 'transaction'), userTransactionController.createTransfer);
+
+// Point Request Routes
+app.post('/users/me/point-requests', requireRegular, audit('pointRequest.create', 'pointRequest'), pointRequestController.createRequest);
+app.get('/users/me/point-requests', requireRegular, pointRequestController.listRequests);
+app.post('/users/me/point-requests/:requestId/accept', requireRegular, idempotent, audit('pointRequest.accept', 'pointRequest', 'requestId'), pointRequestController.acceptRequest);
+app.post('/users/me/point-requests/:requestId/decline', requireRegular, audit('pointRequest.decline', 'pointRequest', 'requestId'), pointRequestController.declineRequest);
+app.delete('/users/me/point-requests/:requestId', requireRegular, audit('pointRequest.cancel', 'pointRequest', 'requestId'), pointRequestController.cancelRequest);
 
 // Event Routes
-app.post('/events', requireManager, eventController.createEvent);
+app.post('/events', requireManager, audit('event.create', 'event'), eventController.createEvent);
 app.get('/events', requireRegular, eventController.listEvents);
 app.get('/events/:eventId', requireRegular, eventController.getEventById);
-app.patch('/events/:eventId', requireEventOrganizer, eventController.updateEvent);
-app.delete('/events/:eventId', requireManager, eventController.deleteEvent);
+app.patch('/events/:eventId', requireEventOrganizer, audit('event.update', 'event', 'eventId'), eventController.updateEvent);
+app.delete('/events/:eventId', requireManager, audit('event.delete', 'event', 'eventId'), eventController.deleteEvent);
 
 // Event Organizers Routes
-app.post('/events/:eventId/organizers', requireManager, eventController.addOrganizer);
-app.delete('/events/:eventId/organizers/:userId', requireManager, eventController.removeOrganizer);
+app.post('/events/:eventId/organizers', requireManager, audit('event.add_organizer', 'event', 'eventId'), eventController.addOrganizer);
+app.delete('/events/:eventId/organizers/:userId', requireManager, audit('event.remove_organizer', 'event', 'eventId'), eventController.removeOrganizer);
 
 // Event Guests Routes
-app.post('/events/:eventId/guests', requireEventOrganizer, eventController.addGuest);
-app.post('/events/:eventId/guests/me', requireRegular, eventController.addCurrentUserAsGuest);
-app.delete('/events/:eventId/guests/me', requireRegular, eventController.removeCurrentUserAsGuest);
-app.delete('/events/:eventId/guests/:userId', requireManager, eventController.removeGuest);
+app.post('/events/:eventId/guests', requireEventOrganizer, audit('event.add_guest', 'event', 'eventId'), eventController.addGuest);
+app.post('/events/:eventId/guests/me', requireRegular, audit('event.rsvp', 'event', 'eventId'), eventController.addCurrentUserAsGuest);
+app.delete('/events/:eventId/guests/me', requireRegular, audit('event.cancel_rsvp', 'event', 'eventId'), eventController.removeCurrentUserAsGuest);
+app.delete('/events/:eventId/guests/:userId', requireManager, audit('event.remove_guest', 'event', 'eventId'), eventController.removeGuest);
+
+// Event Waitlist Routes
+app.get('/events/:eventId/waitlist', requireEventOrganizer, eventController.getWaitlist);
+app.put('/events/:eventId/waitlist', requireEventOrganizer, audit('event.reorder_waitlist', 'event', 'eventId'), eventController.reorderWaitlist);
+app.post('/events/:eventId/waitlist/me', requireRegular, audit('event.join_waitlist', 'event', 'eventId'), eventController.joinWaitlist);
+app.delete('/events/:eventId/waitlist/me', requireRegular, audit('event.leave_waitlist', 'event', 'eventId'), eventController.leaveWaitlist);
+
+// Event Check-in Routes
+app.post('/events/:eventId/check-ins', requireEventOrganizer, audit('event.check_in', 'event', 'eventId'), eventController.checkInGuest);
+app.delete('/events/:eventId/check-ins/:userId', requireEventOrganizer, audit('event.undo_check_in', 'event', 'eventId'), eventController.undoCheckIn);
 
 // Event Transactions Routes
-app.post('/events/:eventId/transactions', requireEventOrganizer, eventController.createEventTransaction);
+app.post('/events/:eventId/transactions', requireEventOrganizer, idempotent, audit('event.award', 'event', 'eventId'), eventController.createEventTransaction);
 
 // Promotion Routes
-app.post('/promotions', requireManager, promotionController.createPromotion);
+app.post('/promotions', requireManager, audit('promotion.create', 'promotion'), promotionController.createPromotion);
 app.get('/promotions', requireRegular, promotionController.listPromotions);
 app.get('/promotions/:promotionId', requireRegular, promotionController.getPromotionById);
-app.patch('/promotions/:promotionId', requireManager, promotionController.updatePromotion);
-app.delete('/promotions/:promotionId', requireManager, promotionController.deletePromotion);
+app.patch('/promotions/:promotionId', requireManager, audit('promotion.update', 'promotion', 'promotionId'), promotionController.updatePromotion);
+app.delete('/promotions/:promotionId', requireManager, audit('promotion.delete', 'promotion', 'promotionId'), promotionController.deletePromotion);
+
+// Ledger Routes
+app.get('/ledger/reconciliation', requireManager, ledgerController.getReconciliation);
+app.post('/ledger/reconciliation', requireManager, audit('ledger.reconcile', 'ledger'), ledgerController.reconcile);
+
+// Earning Policy Routes
+app.get('/earning-policies', requireManager, earningPolicyController.listPolicies);
+app.get('/earning-policies/current', requireRegular, earningPolicyController.getCurrentPolicy);
+app.post('/earning-policies', requireManager, audit('earningPolicy.create', 'earningPolicy'), earningPolicyController.createPolicy);
+
+// Membership Tier Routes
+app.get('/tiers', requireRegular, membershipTierController.listTiers);
+app.post('/tiers', requireManager, audit('membershipTier.create', 'membershipTier'), membershipTierController.createTier);
+app.post('/tiers/recalculate', requireManager, audit('membershipTier.recalculate', 'membershipTier'), membershipTierController.recalculate);
+app.patch('/tiers/:tierId', requireManager, audit('membershipTier.update', 'membershipTier', 'tierId'), membershipTierController.updateTier);
+app.delete('/tiers/:tierId', requireManager, audit('membershipTier.delete', 'membershipTier', 'tierId'), membershipTierController.deleteTier);
+
+// Reward Catalog Routes
+app.post('/rewards', requireManager, audit('reward.create', 'reward'), rewardController.createReward);
+app.get('/rewards', requireRegular, rewardController.listRewards);
+app.get('/rewards/:rewardId', requireRegular, rewardController.getRewardById);
+app.patch('/rewards/:rewardId', requireManager, audit('reward.update', 'reward', 'rewardId'), rewardController.updateReward);
+app.delete('/rewards/:rewardId', requireManager, audit('reward.delete', 'reward', 'rewardId'), rewardController.deleteReward);
+
+// Audit Log Routes
+app.get('/audit', requireSuperuser, auditController.listAuditLogs);
 
 // Method not allowed handler (405)
 app.all('*', (req, res, next) => {
@@ -275,10 +356,85 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Error handling middleware for errors thrown by controllers (e.g. inside database transactions)
+app.use((err, req, res, next) => {
+  if (err instanceof ApiError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  next(err);
+});
+
 const server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
 });
 
+// Periodically void redemptions that were never processed
+const { PrismaClient } = require('@prisma/client');
+const sweepPrisma = new PrismaClient();
+const redemptionSweep = setInterval(() => {
+    expireStaleRedemptions(sweepPrisma)
+        .then((expired) => {
+            if (expired > 0) {
+                logInfo('redemption-sweep', `Expired ${expired} unprocessed redemption(s)`);
+            }
+        })
+        .catch((err) => logError('redemption-sweep', `failed: ${err.message}`));
+}, config.redemptionSweepIntervalMinutes * 60 * 1000);
+redemptionSweep.unref();
+server.on('close', () => clearInterval(redemptionSweep));
+
+// Periodically post expiry transactions for lapsed points
+const expirySweep = setInterval(() => {
+    expireLapsedPoints(sweepPrisma)
+        .then(({ users, points }) => {
+            if (users > 0) {
+                logInfo('points-expiry', `Expired ${points} point(s) across ${users} user(s)`);
+            }
+        })
+        .catch((err) => logError('points-expiry', `failed: ${err.message}`));
+}, config.expirySweepIntervalMinutes * 60 * 1000);
+expirySweep.unref();
+server.on('close', () => clearInterval(expirySweep));
+
+// Periodically expire point requests that were never answered
+const pointRequestSweep = setInterval(() => {
+    expireStaleRequests(sweepPrisma)
+        .then((expired) => {
+            if (expired > 0) {
+                logInfo('point-request-sweep', `Expired ${expired} unanswered point request(s)`);
+            }
+        })
+        .catch((err) => logError('point-request-sweep', `failed: ${err.message}`));
+}, config.pointRequestSweepIntervalMinutes * 60 * 1000);
+pointRequestSweep.unref();
+server.on('close', () => clearInterval(pointRequestSweep));
+
+// Periodically delete idempotency keys whose replay window has passed
+const idempotencySweep = setInterval(() => {
+    purgeExpiredKeys(sweepPrisma)
+        .catch((err) => logError('idempotency-sweep', `failed: ${err.message}`));
+}, config.idempotencySweepIntervalMinutes * 60 * 1000);
+idempotencySweep.unref();
+server.on('close', () => clearInterval(idempotencySweep));
+
+// Recalculate membership tiers every night
+let tierTimer;
+const scheduleTierRecalculation = () => {
+    tierTimer = setTimeout(() => {
+        recalculateTiers(sweepPrisma)
+            .then(({ checked, changed }) => {
+                if (changed > 0) {
+                    logInfo('tier-recalculation', `Recalculated tiers for ${checked} user(s), ${changed} changed`);
+                }
+            })
+            .catch((err) => logError('tier-recalculation', `failed: ${err.message}`))
+            .finally(scheduleTierRecalculation);
+    }, getNextRecalculationTime() - Date.now());
+    tierTimer.unref();
+};
+scheduleTierRecalculation();
+server.on('close', () => clearTimeout(tierTimer));
+
 server.on('error', (err) => {
     console.error(`cannot start server: ${err.message}`);
     process.exit(1);
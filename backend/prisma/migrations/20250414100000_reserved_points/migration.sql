@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "reservedPoints" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "voidedAt" DATETIME;
+ALTER TABLE "Transaction" ADD COLUMN "voidReason" TEXT;
+
+-- Hold points for redemptions that were already pending before this migration
+UPDATE "User" SET "reservedPoints" = COALESCE((
+    SELECT SUM(ABS("amount")) FROM "Transaction"
+    WHERE "Transaction"."userId" = "User"."id"
+      AND "Transaction"."type" = 'redemption'
+      AND "Transaction"."processed" = false
+), 0);
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Promotion" ADD COLUMN "stacking" TEXT NOT NULL DEFAULT 'stackable';
+ALTER TABLE "Promotion" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Promotion" ADD COLUMN "maxPoints" INTEGER;
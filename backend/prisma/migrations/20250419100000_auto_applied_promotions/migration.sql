@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TransactionPromotion" ADD COLUMN "autoApplied" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,70 @@
+-- CreateTable
+CREATE TABLE "EarningPolicy" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "pointsPerDollar" REAL NOT NULL,
+    "rounding" TEXT NOT NULL DEFAULT 'round',
+    "effectiveFrom" DATETIME NOT NULL,
+    "remark" TEXT,
+    "createdById" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "EarningPolicy_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "EarningTier" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "policyId" INTEGER NOT NULL,
+    "minLifetimeSpend" REAL NOT NULL,
+    "multiplier" REAL NOT NULL,
+    CONSTRAINT "EarningTier_policyId_fkey" FOREIGN KEY ("policyId") REFERENCES "EarningPolicy" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "EarningPolicy_effectiveFrom_idx" ON "EarningPolicy"("effectiveFrom");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EarningTier_policyId_minLifetimeSpend_key" ON "EarningTier"("policyId", "minLifetimeSpend");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Transaction" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "spent" REAL,
+    "redeemed" INTEGER,
+    "remark" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" INTEGER NOT NULL,
+    "suspicious" BOOLEAN NOT NULL DEFAULT false,
+    "processed" BOOLEAN,
+    "processedById" INTEGER,
+    "voidedAt" DATETIME,
+    "voidReason" TEXT,
+    "relatedId" INTEGER,
+    "reversalOfId" INTEGER,
+    "eventId" INTEGER,
+    "recipientId" INTEGER,
+    "senderId" INTEGER,
+    "earningPolicyId" INTEGER,
+    CONSTRAINT "Transaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_processedById_fkey" FOREIGN KEY ("processedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "Transaction" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_earningPolicyId_fkey" FOREIGN KEY ("earningPolicyId") REFERENCES "EarningPolicy" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transaction" ("amount", "createdAt", "createdById", "eventId", "id", "processed", "processedById", "recipientId", "redeemed", "relatedId", "remark", "reversalOfId", "senderId", "spent", "suspicious", "type", "userId", "voidReason", "voidedAt") SELECT "amount", "createdAt", "createdById", "eventId", "id", "processed", "processedById", "recipientId", "redeemed", "relatedId", "remark", "reversalOfId", "senderId", "spent", "suspicious", "type", "userId", "voidReason", "voidedAt" FROM "Transaction";
+DROP TABLE "Transaction";
+ALTER TABLE "new_Transaction" RENAME TO "Transaction";
+CREATE UNIQUE INDEX "Transaction_reversalOfId_key" ON "Transaction"("reversalOfId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- The rate that was hardcoded before policies existed, so purchases keep earning the same
+INSERT INTO "EarningPolicy" ("pointsPerDollar", "rounding", "effectiveFrom", "remark")
+VALUES (4, 'round', '1970-01-01 00:00:00', 'Initial policy: 1 point per $0.25');
@@ -0,0 +1,91 @@
+-- CreateTable
+CREATE TABLE "MembershipTier" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "minPoints" INTEGER NOT NULL,
+    "multiplier" REAL NOT NULL DEFAULT 1,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "TierChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "fromTier" TEXT,
+    "toTier" TEXT,
+    "earnedPoints" INTEGER NOT NULL,
+    "changedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TierChange_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MembershipTier_name_key" ON "MembershipTier"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MembershipTier_minPoints_key" ON "MembershipTier"("minPoints");
+
+-- CreateIndex
+CREATE INDEX "TierChange_userId_idx" ON "TierChange"("userId");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_User" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "utorid" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "birthday" TEXT,
+    "role" TEXT NOT NULL DEFAULT 'regular',
+    "points" INTEGER NOT NULL DEFAULT 0,
+    "reservedPoints" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastLogin" DATETIME,
+    "verified" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "avatarUrl" TEXT,
+    "suspicious" BOOLEAN NOT NULL DEFAULT false,
+    "membershipTierId" INTEGER,
+    "tierUpdatedAt" DATETIME,
+    "resetToken" TEXT,
+    "expiresAt" DATETIME,
+    "createdById" INTEGER,
+    CONSTRAINT "User_membershipTierId_fkey" FOREIGN KEY ("membershipTierId") REFERENCES "MembershipTier" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "User_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_User" ("avatarUrl", "birthday", "createdAt", "createdById", "email", "expiresAt", "id", "isActive", "lastLogin", "name", "password", "points", "reservedPoints", "resetToken", "role", "suspicious", "utorid", "verified") SELECT "avatarUrl", "birthday", "createdAt", "createdById", "email", "expiresAt", "id", "isActive", "lastLogin", "name", "password", "points", "reservedPoints", "resetToken", "role", "suspicious", "utorid", "verified" FROM "User";
+DROP TABLE "User";
+ALTER TABLE "new_User" RENAME TO "User";
+CREATE UNIQUE INDEX "User_utorid_key" ON "User"("utorid");
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+CREATE UNIQUE INDEX "User_resetToken_key" ON "User"("resetToken");
+CREATE TABLE "new_Promotion" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "startTime" DATETIME NOT NULL,
+    "endTime" DATETIME NOT NULL,
+    "minSpending" REAL,
+    "rate" REAL,
+    "points" INTEGER,
+    "stacking" TEXT NOT NULL DEFAULT 'stackable',
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "maxPoints" INTEGER,
+    "minTierId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "isOneTime" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    CONSTRAINT "Promotion_minTierId_fkey" FOREIGN KEY ("minTierId") REFERENCES "MembershipTier" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Promotion" ("createdAt", "description", "endTime", "id", "isActive", "isOneTime", "maxPoints", "minSpending", "name", "points", "priority", "rate", "stacking", "startTime", "type") SELECT "createdAt", "description", "endTime", "id", "isActive", "isOneTime", "maxPoints", "minSpending", "name", "points", "priority", "rate", "stacking", "startTime", "type" FROM "Promotion";
+DROP TABLE "Promotion";
+ALTER TABLE "new_Promotion" RENAME TO "Promotion";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Default tiers; bronze has no threshold so every member has a tier after the first recalculation
+INSERT INTO "MembershipTier" ("name", "minPoints", "multiplier") VALUES ('bronze', 0, 1);
+INSERT INTO "MembershipTier" ("name", "minPoints", "multiplier") VALUES ('silver', 2000, 1.25);
+INSERT INTO "MembershipTier" ("name", "minPoints", "multiplier") VALUES ('gold', 10000, 1.5);
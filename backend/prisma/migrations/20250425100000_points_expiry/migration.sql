@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "PointLot" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "transactionId" INTEGER,
+    "source" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL,
+    "earnedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    CONSTRAINT "PointLot_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PointLot_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PointLot_userId_expiresAt_idx" ON "PointLot"("userId", "expiresAt");
+
+-- Balances earned before lots existed get one lot each, lapsing a full
+-- expiry period (365 days by default) from now. Dates are written as epoch
+-- milliseconds, which is how Prisma stores DateTime values in SQLite.
+INSERT INTO "PointLot" ("userId", "source", "amount", "remaining", "earnedAt", "expiresAt")
+SELECT "id", 'migration', "points", "points",
+       CAST(strftime('%s', 'now') AS INTEGER) * 1000,
+       (CAST(strftime('%s', 'now') AS INTEGER) + 365 * 86400) * 1000
+FROM "User"
+WHERE "points" > 0;
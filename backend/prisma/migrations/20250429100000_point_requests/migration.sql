@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PointRequest" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "requesterId" INTEGER NOT NULL,
+    "payerId" INTEGER NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "remark" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    "respondedAt" DATETIME,
+    "transactionId" INTEGER,
+    CONSTRAINT "PointRequest_requesterId_fkey" FOREIGN KEY ("requesterId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PointRequest_payerId_fkey" FOREIGN KEY ("payerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PointRequest_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PointRequest_transactionId_key" ON "PointRequest"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "PointRequest_payerId_status_idx" ON "PointRequest"("payerId", "status");
+
+-- CreateIndex
+CREATE INDEX "PointRequest_requesterId_status_idx" ON "PointRequest"("requesterId", "status");
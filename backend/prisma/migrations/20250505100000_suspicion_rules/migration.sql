@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "riskScore" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Transaction" ADD COLUMN "flagReasons" TEXT;
+
+-- Existing flags came from suspicious cashiers
+UPDATE "Transaction" SET "riskScore" = 50, "flagReasons" = 'suspicious_cashier' WHERE "suspicious" = 1 AND "type" = 'purchase';
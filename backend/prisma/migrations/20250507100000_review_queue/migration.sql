@@ -0,0 +1,49 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Transaction" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "spent" REAL,
+    "redeemed" INTEGER,
+    "remark" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" INTEGER NOT NULL,
+    "suspicious" BOOLEAN NOT NULL DEFAULT false,
+    "riskScore" INTEGER NOT NULL DEFAULT 0,
+    "flagReasons" TEXT,
+    "reviewStatus" TEXT,
+    "reviewNote" TEXT,
+    "reviewedById" INTEGER,
+    "reviewedAt" DATETIME,
+    "processed" BOOLEAN,
+    "processedById" INTEGER,
+    "voidedAt" DATETIME,
+    "voidReason" TEXT,
+    "relatedId" INTEGER,
+    "reversalOfId" INTEGER,
+    "eventId" INTEGER,
+    "recipientId" INTEGER,
+    "senderId" INTEGER,
+    "earningPolicyId" INTEGER,
+    "rewardId" INTEGER,
+    CONSTRAINT "Transaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_processedById_fkey" FOREIGN KEY ("processedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "Transaction" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_earningPolicyId_fkey" FOREIGN KEY ("earningPolicyId") REFERENCES "EarningPolicy" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_rewardId_fkey" FOREIGN KEY ("rewardId") REFERENCES "Reward" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transaction" ("amount", "createdAt", "createdById", "earningPolicyId", "eventId", "flagReasons", "id", "processed", "processedById", "recipientId", "redeemed", "relatedId", "remark", "reversalOfId", "rewardId", "riskScore", "senderId", "spent", "suspicious", "type", "userId", "voidReason", "voidedAt") SELECT "amount", "createdAt", "createdById", "earningPolicyId", "eventId", "flagReasons", "id", "processed", "processedById", "recipientId", "redeemed", "relatedId", "remark", "reversalOfId", "rewardId", "riskScore", "senderId", "spent", "suspicious", "type", "userId", "voidReason", "voidedAt" FROM "Transaction";
+DROP TABLE "Transaction";
+ALTER TABLE "new_Transaction" RENAME TO "Transaction";
+CREATE UNIQUE INDEX "Transaction_reversalOfId_key" ON "Transaction"("reversalOfId");
+CREATE INDEX "Transaction_suspicious_reviewStatus_idx" ON "Transaction"("suspicious", "reviewStatus");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "EventGuest" ADD COLUMN "checkedInAt" DATETIME;
+ALTER TABLE "EventGuest" ADD COLUMN "walkIn" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "EventSeries" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "frequency" TEXT NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "count" INTEGER,
+    "until" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Event" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "location" TEXT NOT NULL,
+    "startTime" DATETIME NOT NULL,
+    "endTime" DATETIME NOT NULL,
+    "capacity" INTEGER,
+    "points" INTEGER NOT NULL,
+    "pointsRemain" INTEGER NOT NULL,
+    "pointsAwarded" INTEGER NOT NULL DEFAULT 0,
+    "published" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "seriesId" INTEGER,
+    CONSTRAINT "Event_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "EventSeries" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Event" ("capacity", "createdAt", "description", "endTime", "id", "location", "name", "points", "pointsAwarded", "pointsRemain", "published", "startTime") SELECT "capacity", "createdAt", "description", "endTime", "id", "location", "name", "points", "pointsAwarded", "pointsRemain", "published", "startTime" FROM "Event";
+DROP TABLE "Event";
+ALTER TABLE "new_Event" RENAME TO "Event";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
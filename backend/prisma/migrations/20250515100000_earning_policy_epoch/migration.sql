@@ -0,0 +1,6 @@
+-- 20250421100000_earning_policy seeds the initial earning policy with a text
+-- date, which never compares as earlier than the epoch-millisecond values
+-- Prisma queries with. Rewrite it in the encoding Prisma uses so date filters
+-- find it. (The seed itself is left alone: editing an applied migration would
+-- change its checksum.)
+UPDATE "EarningPolicy" SET "effectiveFrom" = 0 WHERE "effectiveFrom" = '1970-01-01 00:00:00';
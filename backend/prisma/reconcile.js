@@ -0,0 +1,54 @@
+/*
+ * Recompute every user's points balance from their transactions and report drift
+ * Usage example:
+ *   node prisma/reconcile.js            (report only)
+ *   node prisma/reconcile.js --repair   (also correct drifted balances)
+ * Prints nothing when every balance matches; exits with 2 on unrepaired drift.
+ */
+'use strict';
+
+const { PrismaClient } = require('@prisma/client');
+const { reconcileBalances } = require('../utils/reconciliation');
+const { logInfo, logError } = require('../utils/logger');
+
+// Create a Prisma client instance
+const prisma = new PrismaClient();
+
+// Get command line arguments
+const args = process.argv.slice(2);
+
+if (args.length > 1 || (args.length === 1 && args[0] !== '--repair')) {
+  console.error('Usage: node prisma/reconcile.js [--repair]');
+  process.exit(1);
+}
+
+const repair = args[0] === '--repair';
+
+async function reconcile() {
+  try {
+    const report = await reconcileBalances(prisma, { repair });
+
+    // Stay quiet when every balance matches, so scheduled runs only report drift
+    for (const result of report.results) {
+      logInfo('reconcile', `${result.utorid}: balance ${result.points}, expected ${result.expected} (drift ${result.drift}); reserved ${result.reserved}, expected ${result.expectedReserved}${result.repaired ? ' - repaired' : ''}`);
+    }
+
+    if (report.drifted > 0) {
+      logInfo('reconcile', `Checked ${report.checked} users, ${report.drifted} drifted, ${report.repaired} repaired`);
+    }
+
+    // Signal drift to callers (e.g. cron) when only reporting
+    if (!repair && report.drifted > 0) {
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    logError('reconcile', `failed: ${error.message}`);
+    process.exit(1);
+  } finally {
+    // Disconnect from the Prisma client
+    await prisma.$disconnect();
+  }
+}
+
+// Execute the function
+reconcile();
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { recalculateTiers } = require('../utils/membershipTiers');
+const { getExpiryDate } = require('../utils/pointLots');
 
 const prisma = new PrismaClient();
 
@@ -289,6 +291,39 @@ async function seedPromotions() {
   return createdPromotions;
 }
 
+async function seedRewards() {
+  const rewards = [
+    {
+      name: 'Coffee',
+      description: 'Any size hot or iced coffee',
+      pointsCost: 100,
+      stock: 200
+    },
+    {
+      name: 'Tote Bag',
+      description: 'Canvas tote bag with the store logo',
+      pointsCost: 500,
+      stock: 40
+    },
+    {
+      name: 'Water Bottle',
+      description: 'Insulated 750 ml water bottle',
+      pointsCost: 1200,
+      stock: 15
+    }
+  ];
+
+  const createdRewards = [];
+  for (const rewardData of rewards) {
+    const reward = await prisma.reward.create({
+      data: rewardData
+    });
+    createdRewards.push(reward);
+  }
+
+  return createdRewards;
+}
+
 async function seedTransactions(users, events, promotions) {
   const transactionTypes = ['purchase', 'redemption', 'adjustment', 'transfer', 'event'];
   const transactions = [];
@@ -305,14 +340,17 @@ async function seedTransactions(users, events, promotions) {
     };
 
     switch (type) {
-      case 'purchase':
+      case 'purchase': {
+        const suspicious = Math.random() < 0.1; // 10% chance of being suspicious
         return prisma.transaction.create({
           data: {
             ...baseTransaction,
             type: 'purchase',
             amount: randomNumber(10, 100),
             spent: randomNumber(10, 100),
-            suspicious: Math.random() < 0.1, // 10% chance of being suspicious
+            suspicious,
+            riskScore: suspicious ? 60 : 0,
+            flagReasons: suspicious ? 'large_spend' : null,
             appliedPromotions: {
               create: Math.random() < 0.5 ? [{
                 promotion: { 
@@ -322,6 +360,7 @@ async function seedTransactions(users, events, promotions) {
             }
           }
         });
+      }
 
       case 'redemption':
         return prisma.transaction.create({
@@ -388,13 +427,22 @@ async function seedTransactions(users, events, promotions) {
 
 async function main() {
   // Clear existing data
+  await prisma.auditLog.deleteMany();
+  await prisma.idempotencyKey.deleteMany();
+  await prisma.pointRequest.deleteMany();
+  await prisma.ledgerEntry.deleteMany();
+  await prisma.pointLot.deleteMany();
   await prisma.transactionPromotion.deleteMany();
   await prisma.promotionUsage.deleteMany();
   await prisma.transaction.deleteMany();
+  await prisma.reward.deleteMany();
+  await prisma.eventWaitlistEntry.deleteMany();
   await prisma.eventGuest.deleteMany();
   await prisma.eventOrganizer.deleteMany();
   await prisma.event.deleteMany();
+  await prisma.eventSeries.deleteMany();
   await prisma.promotion.deleteMany();
+  await prisma.tierChange.deleteMany();
   await prisma.user.deleteMany();
 
   console.log('Seeding database...');
@@ -411,10 +459,31 @@ async function main() {
   const promotions = await seedPromotions();
   console.log(`Seeded ${promotions.length} promotions`);
 
+  // Seed rewards
+  const rewards = await seedRewards();
+  console.log(`Seeded ${rewards.length} rewards`);
+
   // Seed transactions
   const transactions = await seedTransactions(users, events, promotions);
   console.log(`Seeded ${transactions.length} transactions`);
 
+  // Seeded balances are set directly, so give each one an expiry lot
+  const funded = await prisma.user.findMany({ where: { points: { gt: 0 } } });
+  await prisma.pointLot.createMany({
+    data: funded.map(user => ({
+      userId: user.id,
+      source: 'seed',
+      amount: user.points,
+      remaining: user.points,
+      expiresAt: getExpiryDate()
+    }))
+  });
+  console.log(`Opened expiry lots for ${funded.length} users`);
+
+  // Place users in tiers now rather than waiting for the nightly run
+  const { changed } = await recalculateTiers(prisma);
+  console.log(`Assigned membership tiers to ${changed} users`);
+
   console.log('Seeding complete!');
 }
 
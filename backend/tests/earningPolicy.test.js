@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./testDb');
+const { getActivePolicy } = require('../utils/earningPolicy');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('earning policy', () => {
+  let prisma;
+  let destroy;
+
+  before(() => {
+    ({ prisma, destroy } = createTestDatabase());
+  });
+
+  after(async () => {
+    await destroy();
+  });
+
+  it('reads back the policy seeded by the migration', async () => {
+    const seeded = await prisma.earningPolicy.findFirst({ where: { createdById: null } });
+
+    assert.equal(seeded.effectiveFrom.getTime(), 0);
+    assert.equal(seeded.pointsPerDollar, 4);
+  });
+
+  it('makes the seeded policy active', async () => {
+    const active = await getActivePolicy(prisma);
+
+    assert.equal(active.effectiveFrom.getTime(), 0);
+    assert.notEqual(active.id, null);
+  });
+
+  it('prefers the newest policy that has taken effect', async () => {
+    const now = new Date();
+    const current = await prisma.earningPolicy.create({
+      data: { pointsPerDollar: 5, effectiveFrom: new Date(now.getTime() - DAY) }
+    });
+    await prisma.earningPolicy.create({
+      data: { pointsPerDollar: 6, effectiveFrom: new Date(now.getTime() + DAY) }
+    });
+
+    assert.equal((await getActivePolicy(prisma, now)).id, current.id);
+    assert.equal((await getActivePolicy(prisma, new Date(now.getTime() + 2 * DAY))).pointsPerDollar, 6);
+    assert.equal((await getActivePolicy(prisma, new Date(1000))).pointsPerDollar, 4);
+  });
+});
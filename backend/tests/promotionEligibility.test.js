@@ -0,0 +1,389 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, useTestDatabaseForApp } = require('./testDb');
+const {
+  availablePromotionsWhere,
+  eligibilityInclude,
+  getAvailabilityReason,
+  getIneligibilityReason
+} = require('../utils/promotionEligibility');
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+describe('promotion eligibility', () => {
+  let prisma;
+  let destroy;
+  let disconnectApp;
+  let promotionController;
+  let transactionController;
+  let tierIds;
+  let fixtureCount = 0;
+
+  // Every test makes its own users and promotions, so tests can run alone
+  // and in any order
+  const uniqueName = (prefix) => `${prefix}${String(++fixtureCount).padStart(8 - prefix.length, '0')}`;
+
+  const createUser = (data = {}) => {
+    const utorid = uniqueName('user');
+    return prisma.user.create({
+      data: {
+        utorid,
+        name: utorid,
+        email: `${utorid}@mail.utoronto.ca`,
+        password: 'unused',
+        verified: true,
+        ...data
+      },
+      include: { membershipTier: true }
+    });
+  };
+
+  const createPromotion = (data = {}, now = NOW) => {
+    const name = uniqueName('promo');
+    return prisma.promotion.create({
+      data: {
+        name,
+        description: name,
+        type: 'automatic',
+        startTime: new Date(now.getTime() - 24 * HOUR),
+        endTime: new Date(now.getTime() + 24 * HOUR),
+        points: 10,
+        ...data
+      }
+    });
+  };
+
+  const markUsed = (promotion, user) => {
+    return prisma.promotionUsage.create({
+      data: { userId: user.id, promotionId: promotion.id }
+    });
+  };
+
+  // Load a promotion the way the purchase path does
+  const loadFor = (promotion, user) => {
+    return prisma.promotion.findUnique({
+      where: { id: promotion.id },
+      include: eligibilityInclude(user.id)
+    });
+  };
+
+  // Whether a listing would show the promotion to the user
+  const isListedFor = async (promotion, user) => {
+    const found = await prisma.promotion.findFirst({
+      where: { ...availablePromotionsWhere(user, NOW), id: promotion.id }
+    });
+    return found !== null;
+  };
+
+  const reasonFor = async (promotion, user, spent = 100) => {
+    return getIneligibilityReason(await loadFor(promotion, user), { user, spent, now: NOW });
+  };
+
+  // Call a controller method the way Express would and collect its response
+  const callController = async (handler, user, { params = {}, query = {}, body = {} } = {}) => {
+    const response = { status: 200, body: undefined };
+    const res = {
+      status(code) {
+        response.status = code;
+        return res;
+      },
+      json(data) {
+        response.body = data;
+        return res;
+      }
+    };
+
+    let failure = null;
+    await handler(
+      { auth: { userId: user.id }, user: { id: user.id, role: user.role }, params, query, body },
+      res,
+      (error) => { failure = error; }
+    );
+
+    if (failure) {
+      throw failure;
+    }
+    return response;
+  };
+
+  before(async () => {
+    let datasourceUrl;
+    ({ prisma, datasourceUrl, destroy } = createTestDatabase());
+
+    disconnectApp = useTestDatabaseForApp(datasourceUrl);
+    promotionController = require('../controllers/promotionController');
+    transactionController = require('../controllers/transactionController');
+
+    // Tiers seeded by the membership tier migration
+    const tiers = await prisma.membershipTier.findMany();
+    tierIds = Object.fromEntries(tiers.map(t => [t.name, t.id]));
+  });
+
+  after(async () => {
+    await disconnectApp();
+    await destroy();
+  });
+
+  it('makes an active promotion inside its window available', async () => {
+    const user = await createUser();
+    const promotion = await createPromotion();
+
+    assert.ok(await isListedFor(promotion, user));
+    assert.equal(await reasonFor(promotion, user), null);
+  });
+
+  it('rejects a promotion that does not exist', async () => {
+    const user = await createUser();
+
+    assert.equal(getIneligibilityReason(null, { user, spent: 100, now: NOW }), 'notFound');
+  });
+
+  it('excludes inactive promotions', async () => {
+    const user = await createUser();
+    const promotion = await createPromotion({ isActive: false });
+
+    assert.ok(!(await isListedFor(promotion, user)));
+    assert.equal(await reasonFor(promotion, user), 'inactive');
+  });
+
+  describe('date window', () => {
+    it('excludes promotions that have not started', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({ startTime: new Date(NOW.getTime() + HOUR) });
+
+      assert.ok(!(await isListedFor(promotion, user)));
+      assert.equal(await reasonFor(promotion, user), 'notStarted');
+    });
+
+    it('excludes expired promotions', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({
+        startTime: new Date(NOW.getTime() - 48 * HOUR),
+        endTime: new Date(NOW.getTime() - HOUR)
+      });
+
+      assert.ok(!(await isListedFor(promotion, user)));
+      assert.equal(await reasonFor(promotion, user), 'expired');
+    });
+
+    it('includes both ends of the window', async () => {
+      const user = await createUser();
+      const starting = await createPromotion({ startTime: NOW });
+      const ending = await createPromotion({ endTime: NOW });
+
+      assert.ok(await isListedFor(starting, user));
+      assert.ok(await isListedFor(ending, user));
+      assert.equal(await reasonFor(starting, user), null);
+      assert.equal(await reasonFor(ending, user), null);
+    });
+  });
+
+  describe('one-time use', () => {
+    it('excludes a one-time promotion the user has used', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({ type: 'one-time', isOneTime: true });
+      await markUsed(promotion, user);
+
+      assert.ok(!(await isListedFor(promotion, user)));
+      assert.equal(await reasonFor(promotion, user), 'alreadyUsed');
+    });
+
+    it('keeps it available to users who have not used it', async () => {
+      const [user, other] = [await createUser(), await createUser()];
+      const promotion = await createPromotion({ type: 'one-time', isOneTime: true });
+      await markUsed(promotion, other);
+
+      assert.ok(await isListedFor(promotion, user));
+      assert.equal(await reasonFor(promotion, user), null);
+    });
+
+    it('keeps a reusable promotion available after use', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion();
+      await markUsed(promotion, user);
+
+      assert.ok(await isListedFor(promotion, user));
+      assert.equal(await reasonFor(promotion, user), null);
+    });
+  });
+
+  describe('minimum spending', () => {
+    it('rejects purchases below the minimum', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({ minSpending: 50 });
+
+      assert.equal(await reasonFor(promotion, user, 49.99), 'minSpending');
+    });
+
+    it('accepts purchases at the minimum', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({ minSpending: 50 });
+
+      assert.equal(await reasonFor(promotion, user, 50), null);
+    });
+
+    it('still lists the promotion, since spending is only known at purchase', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({ minSpending: 50 });
+
+      assert.ok(await isListedFor(promotion, user));
+    });
+  });
+
+  describe('membership tier', () => {
+    it('excludes users without a tier', async () => {
+      const user = await createUser();
+      const promotion = await createPromotion({ minTierId: tierIds.silver });
+
+      assert.ok(!(await isListedFor(promotion, user)));
+      assert.equal(await reasonFor(promotion, user), 'tier');
+    });
+
+    it('excludes users in a lower tier', async () => {
+      const user = await createUser({ membershipTierId: tierIds.bronze });
+      const promotion = await createPromotion({ minTierId: tierIds.silver });
+
+      assert.ok(!(await isListedFor(promotion, user)));
+      assert.equal(await reasonFor(promotion, user), 'tier');
+    });
+
+    it('includes users in the minimum tier or above', async () => {
+      const promotion = await createPromotion({ minTierId: tierIds.silver });
+
+      for (const tier of ['silver', 'gold']) {
+        const user = await createUser({ membershipTierId: tierIds[tier] });
+        assert.ok(await isListedFor(promotion, user));
+        assert.equal(await reasonFor(promotion, user), null);
+      }
+    });
+  });
+
+  describe('verification', () => {
+    it('lets unverified users see available promotions', async () => {
+      const user = await createUser({ verified: false });
+      const promotion = await createPromotion();
+
+      assert.ok(await isListedFor(promotion, user));
+      assert.equal(getAvailabilityReason(await loadFor(promotion, user), user, NOW), null);
+    });
+
+    it('does not apply promotions to their purchases', async () => {
+      const user = await createUser({ verified: false });
+      const promotion = await createPromotion();
+
+      assert.equal(await reasonFor(promotion, user), 'unverified');
+    });
+  });
+
+  // The same rules through the endpoints customers and cashiers use, at the
+  // real current time
+  describe('controllers', () => {
+    const purchase = async (customer, promotion) => {
+      const cashier = await createUser({ role: 'cashier' });
+      return callController(transactionController.createTransaction, cashier, {
+        body: { utorid: customer.utorid, type: 'purchase', spent: 20, promotionIds: [promotion.id] }
+      });
+    };
+
+    describe('a promotion that has started but not ended', () => {
+      it('is listed for a customer', async () => {
+        const user = await createUser();
+        const promotion = await createPromotion({}, new Date());
+
+        const { status, body } = await callController(promotionController.listPromotions, user, {
+          query: { name: promotion.name }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.map(p => p.id), [promotion.id]);
+      });
+
+      it('can be viewed by a customer', async () => {
+        const user = await createUser();
+        const promotion = await createPromotion({}, new Date());
+
+        const { status, body } = await callController(promotionController.getPromotionById, user, {
+          params: { promotionId: String(promotion.id) }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.id, promotion.id);
+      });
+
+      it('applies to a purchase', async () => {
+        const user = await createUser();
+        const promotion = await createPromotion({ type: 'one-time', isOneTime: true }, new Date());
+
+        const { status, body } = await purchase(user, promotion);
+
+        assert.equal(status, 201);
+        assert.ok(body.promotionIds.includes(promotion.id));
+      });
+    });
+
+    describe('a promotion that has not started or has ended', () => {
+      it('is neither listed nor viewable', async () => {
+        const user = await createUser();
+        const now = Date.now();
+        const upcoming = await createPromotion({ startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+        const ended = await createPromotion({ startTime: new Date(now - 2 * HOUR), endTime: new Date(now - HOUR) });
+
+        for (const promotion of [upcoming, ended]) {
+          const listed = await callController(promotionController.listPromotions, user, {
+            query: { name: promotion.name }
+          });
+          const viewed = await callController(promotionController.getPromotionById, user, {
+            params: { promotionId: String(promotion.id) }
+          });
+
+          assert.equal(listed.body.count, 0);
+          assert.equal(viewed.status, 404);
+        }
+      });
+    });
+
+    describe('a one-time promotion the customer already used', () => {
+      it('is not listed for them', async () => {
+        const user = await createUser();
+        const promotion = await createPromotion({ type: 'one-time', isOneTime: true }, new Date());
+        await markUsed(promotion, user);
+
+        const { body } = await callController(promotionController.listPromotions, user, {
+          query: { name: promotion.name }
+        });
+
+        assert.equal(body.count, 0);
+      });
+
+      it('cannot be viewed by them', async () => {
+        const user = await createUser();
+        const promotion = await createPromotion({ type: 'one-time', isOneTime: true }, new Date());
+        await markUsed(promotion, user);
+
+        const { status, body } = await callController(promotionController.getPromotionById, user, {
+          params: { promotionId: String(promotion.id) }
+        });
+
+        assert.equal(status, 404);
+        assert.match(body.error, /already used/);
+      });
+
+      it('is rejected on a second purchase without crediting points', async () => {
+        const user = await createUser();
+        const promotion = await createPromotion({ type: 'one-time', isOneTime: true }, new Date());
+
+        const first = await purchase(user, promotion);
+        assert.equal(first.status, 201);
+        const { points } = await prisma.user.findUnique({ where: { id: user.id } });
+
+        await assert.rejects(purchase(user, promotion), (error) => {
+          assert.equal(error.statusCode, 400);
+          assert.match(error.message, /already been used/);
+          return true;
+        });
+        assert.equal((await prisma.user.findUnique({ where: { id: user.id } })).points, points);
+      });
+    });
+  });
+});
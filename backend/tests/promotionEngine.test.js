@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePromotions } = require('../utils/promotionEngine');
+
+// A promotion row with only the fields the engine reads
+const promotion = (fields) => ({
+  name: `Promotion ${fields.id}`,
+  rate: null,
+  points: null,
+  minSpending: null,
+  maxPoints: null,
+  stacking: 'stackable',
+  priority: 0,
+  ...fields
+});
+
+describe('evaluatePromotions', () => {
+  it('applies stackable promotions together', () => {
+    const result = evaluatePromotions({
+      spent: 10,
+      basePoints: 40,
+      promotions: [
+        promotion({ id: 1, points: 5 }),
+        promotion({ id: 2, rate: 0.5 })
+      ]
+    });
+
+    assert.deepEqual(result.applied.map(a => a.promotionId), [1, 2]);
+    assert.equal(result.bonusPoints, 25);
+    assert.equal(result.totalPoints, 65);
+  });
+
+  it('lets a higher-priority exclusive promotion beat stackable ones', () => {
+    const result = evaluatePromotions({
+      spent: 10,
+      basePoints: 40,
+      promotions: [
+        promotion({ id: 1, points: 5, priority: 1 }),
+        promotion({ id: 2, points: 30, stacking: 'exclusive', priority: 5 }),
+        promotion({ id: 3, points: 10, priority: 1 })
+      ]
+    });
+
+    assert.deepEqual(result.applied.map(a => a.promotionId), [2]);
+    assert.deepEqual(result.skipped.map(s => [s.promotionId, s.reason]), [[1, 'exclusive'], [3, 'exclusive']]);
+    assert.equal(result.totalPoints, 70);
+  });
+
+  it('skips an exclusive promotion once a higher-priority one has applied', () => {
+    const result = evaluatePromotions({
+      spent: 10,
+      basePoints: 40,
+      promotions: [
+        promotion({ id: 1, points: 30, stacking: 'exclusive' }),
+        promotion({ id: 2, points: 5, priority: 2 })
+      ]
+    });
+
+    assert.deepEqual(result.applied.map(a => a.promotionId), [2]);
+    assert.deepEqual(result.skipped, [{ promotionId: 1, name: 'Promotion 1', reason: 'exclusive' }]);
+  });
+
+  it('breaks a priority tie by the lower id, whatever order they arrive in', () => {
+    const result = evaluatePromotions({
+      spent: 10,
+      basePoints: 40,
+      promotions: [
+        promotion({ id: 9, points: 50, stacking: 'exclusive', priority: 3 }),
+        promotion({ id: 4, points: 20, stacking: 'exclusive', priority: 3 })
+      ]
+    });
+
+    assert.deepEqual(result.applied.map(a => a.promotionId), [4]);
+    assert.deepEqual(result.skipped.map(s => s.promotionId), [9]);
+    assert.equal(result.totalPoints, 60);
+  });
+
+  it('caps a bonus at maxPoints', () => {
+    const result = evaluatePromotions({
+      spent: 100,
+      basePoints: 400,
+      promotions: [promotion({ id: 1, rate: 0.5, points: 10, maxPoints: 50 })]
+    });
+
+    assert.deepEqual(result.applied[0], {
+      promotionId: 1,
+      name: 'Promotion 1',
+      stacking: 'stackable',
+      priority: 0,
+      rateBonus: 200,
+      flatBonus: 10,
+      bonus: 50,
+      capped: true
+    });
+    assert.equal(result.totalPoints, 450);
+  });
+
+  it('leaves a bonus under its cap alone', () => {
+    const result = evaluatePromotions({
+      spent: 10,
+      basePoints: 40,
+      promotions: [promotion({ id: 1, points: 10, maxPoints: 50 })]
+    });
+
+    assert.equal(result.applied[0].bonus, 10);
+    assert.equal(result.applied[0].capped, false);
+  });
+
+  it('skips a promotion whose minimum spending is not met', () => {
+    const result = evaluatePromotions({
+      spent: 19.99,
+      basePoints: 80,
+      promotions: [
+        promotion({ id: 1, points: 100, stacking: 'exclusive', priority: 5, minSpending: 20 }),
+        promotion({ id: 2, points: 5 })
+      ]
+    });
+
+    assert.deepEqual(result.skipped, [{ promotionId: 1, name: 'Promotion 1', reason: 'minSpending', minSpending: 20 }]);
+    assert.deepEqual(result.applied.map(a => a.promotionId), [2]);
+    assert.equal(result.totalPoints, 85);
+  });
+
+  it('applies a promotion when spending exactly meets the minimum', () => {
+    const result = evaluatePromotions({
+      spent: 20,
+      basePoints: 80,
+      promotions: [promotion({ id: 1, points: 100, minSpending: 20 })]
+    });
+
+    assert.equal(result.skipped.length, 0);
+    assert.equal(result.totalPoints, 180);
+  });
+});
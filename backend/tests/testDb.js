@@ -0,0 +1,79 @@
+/*
+ * Throwaway SQLite databases for integration tests.
+ *
+ * Each database lives in its own temporary directory with a copy of the
+ * schema and migrations, and is brought up to date with prisma migrate
+ * deploy, so tests run against the same tables (and seeded rows) as the app
+ * without touching prisma/dev.db.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const prismaClientModule = require('@prisma/client');
+const { PrismaClient } = prismaClientModule;
+
+const PRISMA_DIR = path.join(__dirname, '..', 'prisma');
+
+// The prisma CLI entry point (its package only exports its types)
+const PRISMA_CLI = path.join(path.dirname(require.resolve('prisma/package.json')), 'build', 'index.js');
+
+/**
+ * Create a migrated database and a client connected to it
+ * @returns {Object} - { prisma, datasourceUrl, destroy } where destroy
+ *   disconnects and deletes the database
+ */
+const createTestDatabase = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cssu-rewards-test-'));
+  const schemaPath = path.join(dir, 'schema.prisma');
+
+  const schema = fs.readFileSync(path.join(PRISMA_DIR, 'schema.prisma'), 'utf8')
+    .replace(/url\s*=\s*"[^"]*"/, 'url      = "file:./test.db"');
+  fs.writeFileSync(schemaPath, schema);
+  fs.cpSync(path.join(PRISMA_DIR, 'migrations'), path.join(dir, 'migrations'), { recursive: true });
+
+  try {
+    execFileSync(process.execPath, [PRISMA_CLI, 'migrate', 'deploy', '--schema', schemaPath], {
+      stdio: ['ignore', 'ignore', 'inherit']
+    });
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const datasourceUrl = `file:${path.join(dir, 'test.db')}`;
+  const prisma = new PrismaClient({ datasourceUrl });
+
+  const destroy = async () => {
+    await prisma.$disconnect();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { prisma, datasourceUrl, destroy };
+};
+
+/**
+ * Connect every Prisma client created from now on in this process to a test
+ * database. Controllers create their client when first required, so call
+ * this before requiring them.
+ * @param {string} datasourceUrl - Database from createTestDatabase
+ * @returns {Function} - Disconnects the clients created since
+ */
+const useTestDatabaseForApp = (datasourceUrl) => {
+  const clients = [];
+
+  prismaClientModule.PrismaClient = class extends PrismaClient {
+    constructor(options = {}) {
+      super({ datasourceUrl, ...options });
+      clients.push(this);
+    }
+  };
+
+  return () => Promise.all(clients.map(client => client.$disconnect()));
+};
+
+module.exports = {
+  createTestDatabase,
+  useTestDatabaseForApp
+};
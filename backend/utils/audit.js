@@ -0,0 +1,221 @@
+/*
+ * Audit log of mutating requests.
+ *
+ * The audit middleware snapshots the target record before the route runs and
+ * again once the handler responds, and records the fields that changed along
+ * with who made the request and from where. Only successful responses are
+ * recorded. Actions without a single target record (bulk operations such as
+ * a tier recalculation) record the response body instead. A handler that also
+ * changes records besides its route's target records those itself with
+ * snapshotTarget and recordAuditEntry.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { WAITLIST_ORDER } = require('./eventWaitlist');
+const prisma = new PrismaClient();
+
+/**
+ * Drop credentials from a user row
+ * @param {Object|null} user - User row
+ * @returns {Object|null} - User without password or reset token
+ */
+const sanitizeUser = (user) => {
+  if (!user) {
+    return null;
+  }
+
+  const { password, resetToken, expiresAt, ...rest } = user;
+  return rest;
+};
+
+/**
+ * Read the current state of a record, keyed by target type
+ */
+const snapshots = {
+  user: async (client, id) => sanitizeUser(await client.user.findUnique({ where: { id } })),
+  transaction: async (client, id) => {
+    const transaction = await client.transaction.findUnique({
+      where: { id },
+      include: { reversal: { select: { id: true } } }
+    });
+
+    if (!transaction) {
+      return null;
+    }
+
+    // The id of the reversal, so reversing shows up as a change
+    const { reversal, ...rest } = transaction;
+    return { ...rest, reversedBy: reversal ? reversal.id : null };
+  },
+  event: async (client, id) => {
+    const event = await client.event.findUnique({
+      where: { id },
+      include: {
+        organizers: { include: { user: { select: { utorid: true } } } },
+        guests: { include: { user: { select: { utorid: true } } } },
+        waitlist: {
+          orderBy: WAITLIST_ORDER,
+          include: { user: { select: { utorid: true } } }
+        }
+      }
+    });
+
+    if (!event) {
+      return null;
+    }
+
+    return {
+      ...event,
+      organizers: event.organizers.map(o => o.user.utorid).sort(),
+      guests: event.guests.map(g => g.user.utorid).sort(),
+      checkedIn: event.guests.filter(g => g.checkedInAt).map(g => g.user.utorid).sort(),
+      waitlist: event.waitlist.map(w => w.user.utorid)
+    };
+  },
+  promotion: (client, id) => client.promotion.findUnique({ where: { id } }),
+  earningPolicy: (client, id) => client.earningPolicy.findUnique({
+    where: { id },
+    include: { tiers: { select: { minLifetimeSpend: true, multiplier: true } } }
+  }),
+  membershipTier: (client, id) => client.membershipTier.findUnique({ where: { id } }),
+  reward: (client, id) => client.reward.findUnique({ where: { id } }),
+  pointRequest: (client, id) => client.pointRequest.findUnique({ where: { id } })
+};
+
+/**
+ * Reduce two snapshots to the fields that differ. A missing side (creation
+ * or deletion) keeps the other side whole.
+ * @param {Object|null} before - State before the action
+ * @param {Object|null} after - State after the action
+ * @returns {Object} - { before, after }
+ */
+const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changed = Object.keys({ ...before, ...after })
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  const pick = (row) => Object.fromEntries(changed.map(key => [key, row[key] === undefined ? null : row[key]]));
+  return { before: pick(before), after: pick(after) };
+};
+
+/**
+ * Read the current state of a record for the audit log
+ * @param {string} targetType - Kind of record
+ * @param {number} id - Record id
+ * @returns {Promise<Object|null>} - Snapshot, or null for kinds without one
+ */
+const snapshotTarget = async (targetType, id) => {
+  const snapshot = snapshots[targetType];
+  return snapshot ? snapshot(prisma, id) : null;
+};
+
+/**
+ * Write an audit log entry for a change made by a request
+ * @param {Object} req - Request object
+ * @param {Object} entry - Entry details
+ * @param {string} entry.action - Action name, e.g. event.update
+ * @param {string} entry.targetType - Kind of record acted on
+ * @param {number|null} entry.targetId - Record acted on
+ * @param {Object|null} entry.before - State before the action
+ * @param {Object|null} entry.after - State after the action
+ * @returns {Promise<Object>} - Created audit log entry
+ */
+const recordAuditEntry = (req, { action, targetType, targetId, before, after }) => {
+  const diff = diffSnapshots(before, after);
+
+  return prisma.auditLog.create({
+    data: {
+      actorId: req.auth.userId,
+      action,
+      targetType,
+      targetId,
+      before: diff.before ? JSON.stringify(diff.before) : null,
+      after: diff.after ? JSON.stringify(diff.after) : null,
+      ip: req.ip || null
+    }
+  });
+};
+
+/**
+ * Work out the id of the record a request targets
+ * @param {Object} req - Request object
+ * @param {string|Function} [target] - Route parameter name, or a function of the request
+ * @returns {number|null} - Target id, or null if the route creates it
+ */
+const resolveTargetId = (req, target) => {
+  if (!target) {
+    return null;
+  }
+
+  const id = typeof target === 'function' ? target(req) : parseInt(req.params[target]);
+  return Number.isInteger(id) ? id : null;
+};
+
+/**
+ * Middleware that records a successful request in the audit log
+ * @param {string} action - Action name, e.g. user.update
+ * @param {string} targetType - Kind of record acted on
+ * @param {string|Function} [target] - Route parameter holding the target id, or a
+ *   function of the request returning it. Omit for routes that create the
+ *   target; its id is then taken from the response body.
+ * @returns {Function} - Express middleware
+ */
+const audit = (action, targetType, target) => async (req, res, next) => {
+  const snapshot = snapshots[targetType];
+  const paramId = resolveTargetId(req, target);
+
+  let before = null;
+  try {
+    if (snapshot && paramId !== null) {
+      before = await snapshot(prisma, paramId);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  const record = async (body) => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return;
+    }
+
+    const targetId = paramId !== null ? paramId
+      : (body && Number.isInteger(body.id) ? body.id : null);
+
+    let after;
+    if (snapshot && targetId !== null) {
+      after = await snapshot(prisma, targetId);
+    } else {
+      after = body === undefined ? null : body;
+    }
+
+    await recordAuditEntry(req, { action, targetType, targetId, before, after });
+  };
+
+  // Record before the response goes out. res.json sends through res.send,
+  // so whichever the handler calls first does the recording.
+  let recorded = false;
+  const wrap = (send) => (body) => {
+    if (recorded) {
+      return send(body);
+    }
+
+    recorded = true;
+    record(body)
+      .catch((err) => console.error(`audit log for ${action} failed: ${err.message}`))
+      .finally(() => send(body));
+    return res;
+  };
+
+  res.json = wrap(res.json.bind(res));
+  res.send = wrap(res.send.bind(res));
+  next();
+};
+
+module.exports = {
+  audit,
+  snapshotTarget,
+  recordAuditEntry
+};
@@ -0,0 +1,113 @@
+const config = require('../config/config');
+
+const ROUNDING_MODES = ['floor', 'round', 'bankers'];
+
+// Used only if the database has no policy in effect yet
+const DEFAULT_POLICY = {
+  id: null,
+  pointsPerDollar: config.pointsPerDollar,
+  rounding: 'round',
+  effectiveFrom: new Date(0),
+  tiers: []
+};
+
+/**
+ * Round a fractional number of points
+ * @param {number} value - Unrounded points
+ * @param {string} mode - floor, round (half up) or bankers (half to even)
+ * @returns {number} - Whole points
+ */
+const roundPoints = (value, mode) => {
+  switch (mode) {
+    case 'floor':
+      return Math.floor(value);
+    case 'bankers': {
+      const floor = Math.floor(value);
+      const fraction = value - floor;
+      // Tolerate float error such as 2.5000000000000004
+      if (Math.abs(fraction - 0.5) < 1e-9) {
+        return floor % 2 === 0 ? floor : floor + 1;
+      }
+      return Math.round(value);
+    }
+    case 'round':
+    default:
+      return Math.round(value);
+  }
+};
+
+/**
+ * Pick the tier a customer qualifies for
+ * @param {Object} policy - Earning policy with tiers
+ * @param {number} lifetimeSpend - Customer's total spend before this purchase
+ * @returns {Object|null} - Highest tier reached, or null if none
+ */
+const selectTier = (policy, lifetimeSpend) => {
+  return policy.tiers
+    .filter(tier => lifetimeSpend >= tier.minLifetimeSpend)
+    .reduce((best, tier) => (!best || tier.minLifetimeSpend > best.minLifetimeSpend ? tier : best), null);
+};
+
+/**
+ * Calculate the base points (before promotions) a purchase earns. The spend
+ * tier and membership tier multipliers compound, and rounding is applied once
+ * at the end.
+ * @param {Object} policy - Earning policy with tiers
+ * @param {number} spent - Dollar amount spent
+ * @param {number} [lifetimeSpend=0] - Customer's total spend before this purchase
+ * @param {number} [membershipMultiplier=1] - Multiplier of the customer's membership tier
+ * @returns {Object} - { basePoints, multiplier, tierId } where multiplier and tierId are the spend tier's
+ */
+const calculateBasePoints = (policy, spent, lifetimeSpend = 0, membershipMultiplier = 1) => {
+  const tier = selectTier(policy, lifetimeSpend);
+  const multiplier = tier ? tier.multiplier : 1;
+
+  return {
+    basePoints: roundPoints(spent * policy.pointsPerDollar * multiplier * membershipMultiplier, policy.rounding),
+    multiplier,
+    tierId: tier ? tier.id : null
+  };
+};
+
+/**
+ * Get the earning policy in effect at a given time
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Date} [at=new Date()] - Reference time
+ * @returns {Promise<Object>} - Policy with tiers
+ */
+const getActivePolicy = async (client, at = new Date()) => {
+  const active = await client.earningPolicy.findFirst({
+    where: { effectiveFrom: { lte: at } },
+    orderBy: [{ effectiveFrom: 'desc' }, { id: 'desc' }],
+    include: { tiers: true }
+  });
+
+  return active || DEFAULT_POLICY;
+};
+
+/**
+ * Get the total a customer has spent on purchases that were not reversed
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} userId - Customer
+ * @returns {Promise<number>} - Dollars spent
+ */
+const getLifetimeSpend = async (client, userId) => {
+  const result = await client.transaction.aggregate({
+    where: {
+      userId,
+      type: 'purchase',
+      reversal: { is: null }
+    },
+    _sum: { spent: true }
+  });
+
+  return result._sum.spent || 0;
+};
+
+module.exports = {
+  ROUNDING_MODES,
+  roundPoints,
+  calculateBasePoints,
+  getActivePolicy,
+  getLifetimeSpend
+};
@@ -0,0 +1,217 @@
+/*
+ * Recurring event series.
+ *
+ * A manager can create an event with a recurrence rule (daily, weekly or
+ * monthly, every N periods, for a number of occurrences or until a date).
+ * Each occurrence is an ordinary Event row linked to an EventSeries, with its
+ * own guests and its own points budget. Edits and organizer changes apply to
+ * one occurrence, or to it and every later occurrence of the series; an
+ * organizer's edit only reaches the later occurrences they organize.
+ *
+ * Occurrences are stepped in server local time so a weekly 7pm meeting stays
+ * at 7pm across daylight saving changes. Monthly occurrences on a day the
+ * month does not have (the 31st, say) fall on the month's last day.
+ */
+
+const config = require('../config/config');
+const ApiError = require('./ApiError');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Which occurrences of a series an edit applies to
+const SERIES_SCOPES = ['this', 'future'];
+
+/**
+ * Step a date forward by whole months, keeping the day of the month where
+ * the target month has it
+ * @param {Date} date - Starting date
+ * @param {number} months - Months to add
+ * @returns {Date} - New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+
+  return result;
+};
+
+/**
+ * Start of the nth occurrence (0 for the first) of a rule
+ * @param {Object} rule - { frequency, interval }
+ * @param {Date} start - Start of the first occurrence
+ * @param {number} n - Occurrence index
+ * @returns {Date} - Occurrence start
+ */
+const nthStart = (rule, start, n) => {
+  if (rule.frequency === 'monthly') {
+    return addMonths(start, n * rule.interval);
+  }
+
+  const days = rule.frequency === 'weekly' ? 7 : 1;
+  const result = new Date(start);
+  result.setDate(result.getDate() + n * rule.interval * days);
+  return result;
+};
+
+/**
+ * Number of whole rule periods from one occurrence start to another
+ * @param {Object} rule - { frequency, interval }
+ * @param {Date} from - Earlier occurrence start
+ * @param {Date} to - Later occurrence start
+ * @returns {number} - Periods between them
+ */
+const periodsBetween = (rule, from, to) => {
+  if (rule.frequency === 'monthly') {
+    const months = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+    return Math.round(months / rule.interval);
+  }
+
+  // Rounding absorbs the hour a daylight saving change adds or removes
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000));
+  return Math.round(days / ((rule.frequency === 'weekly' ? 7 : 1) * rule.interval));
+};
+
+/**
+ * Validate a recurrence rule from a request body
+ * @param {Object} recurrence - { frequency, interval?, count?, until? }
+ * @param {Date} start - Start of the first occurrence
+ * @returns {Object} - { frequency, interval, count, until } ready to store
+ * @throws {ApiError} - If the rule is invalid
+ */
+const parseRecurrence = (recurrence, start) => {
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    throw new ApiError('Recurrence must be an object', 400);
+  }
+
+  const { frequency, interval = 1, count, until } = recurrence;
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new ApiError(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`, 400);
+  }
+
+  if (!Number.isInteger(interval) || interval <= 0) {
+    throw new ApiError('Recurrence interval must be a positive integer', 400);
+  }
+
+  const hasCount = count !== undefined && count !== null;
+  const hasUntil = until !== undefined && until !== null;
+
+  if (hasCount === hasUntil) {
+    throw new ApiError('Recurrence needs either a count or an until date', 400);
+  }
+
+  if (hasCount) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new ApiError('Recurrence count must be a positive integer', 400);
+    }
+    if (count > config.maxSeriesOccurrences) {
+      throw new ApiError(`A series can have at most ${config.maxSeriesOccurrences} occurrences`, 400);
+    }
+
+    return { frequency, interval, count, until: null };
+  }
+
+  const untilDate = new Date(until);
+  if (isNaN(untilDate.getTime())) {
+    throw new ApiError('Invalid recurrence until date', 400);
+  }
+  if (untilDate < start) {
+    throw new ApiError('Recurrence until date must not be before the start time', 400);
+  }
+
+  return { frequency, interval, count: null, until: untilDate };
+};
+
+/**
+ * Start times of every occurrence a rule generates
+ * @param {Object} rule - Rule returned by parseRecurrence
+ * @param {Date} start - Start of the first occurrence
+ * @returns {Array<Date>} - Occurrence starts, first one included
+ * @throws {ApiError} - If the rule generates too many occurrences
+ */
+const occurrenceStarts = (rule, start) => {
+  const starts = [];
+
+  for (let n = 0; rule.count === null || n < rule.count; n++) {
+    const occurrenceStart = nthStart(rule, start, n);
+    if (rule.until && occurrenceStart > rule.until) {
+      break;
+    }
+    if (starts.length === config.maxSeriesOccurrences) {
+      throw new ApiError(`A series can have at most ${config.maxSeriesOccurrences} occurrences`, 400);
+    }
+    starts.push(occurrenceStart);
+  }
+
+  return starts;
+};
+
+/**
+ * New start of a later occurrence when an earlier one is moved. It stays as
+ * many periods after the moved occurrence as it was, at the moved
+ * occurrence's local time of day.
+ * @param {Object} rule - Series rule ({ frequency, interval })
+ * @param {Date} from - Original start of the moved occurrence
+ * @param {Date} to - New start of the moved occurrence
+ * @param {Date} occurrenceStart - Current start of the later occurrence
+ * @returns {Date} - New start of the later occurrence
+ */
+const restepOccurrenceStart = (rule, from, to, occurrenceStart) => {
+  return nthStart(rule, to, periodsBetween(rule, from, occurrenceStart));
+};
+
+/**
+ * Validate the scope of an edit to an event
+ * @param {string} [scope] - this or future; defaults to this
+ * @param {Object} event - Event being edited
+ * @returns {string} - Scope
+ * @throws {ApiError} - If the scope is unknown, or future for an event outside a series
+ */
+const parseSeriesScope = (scope, event) => {
+  if (scope === undefined || scope === null) {
+    return 'this';
+  }
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    throw new ApiError(`Scope must be one of: ${SERIES_SCOPES.join(', ')}`, 400);
+  }
+
+  if (scope === 'future' && !event.seriesId) {
+    throw new ApiError('Event is not part of a series', 400);
+  }
+
+  return scope;
+};
+
+/**
+ * Occurrences of an event's series that start after it
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} event - Event in a series
+ * @param {Object} [include] - Relations to load with each occurrence
+ * @param {Object} [where] - Further conditions the occurrences must meet
+ * @returns {Promise<Array<Object>>} - Later occurrences, earliest first
+ */
+const getLaterOccurrences = (client, event, include, where = {}) => {
+  return client.event.findMany({
+    where: {
+      ...where,
+      seriesId: event.seriesId,
+      startTime: { gt: event.startTime }
+    },
+    orderBy: { startTime: 'asc' },
+    ...(include ? { include } : {})
+  });
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  parseRecurrence,
+  occurrenceStarts,
+  restepOccurrenceStart,
+  parseSeriesScope,
+  getLaterOccurrences
+};
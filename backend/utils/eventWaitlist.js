@@ -0,0 +1,108 @@
+/*
+ * Waitlists for full events.
+ *
+ * When an event's guest list is at capacity, users can join its waitlist
+ * instead. Whenever a spot opens (a guest cancels or is removed, or the
+ * capacity is raised) the first entries in position order are moved onto
+ * the guest list. Organizers can reorder the waitlist; positions are only
+ * compared, so a user's place is their rank, not the stored number.
+ */
+
+// Order in which waitlist entries are promoted
+const WAITLIST_ORDER = [{ position: 'asc' }, { id: 'asc' }];
+
+/**
+ * Position to give a new waitlist entry so it goes last
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} eventId - Event id
+ * @returns {Promise<number>} - Position value
+ */
+const nextWaitlistPosition = async (client, eventId) => {
+  const { _max } = await client.eventWaitlistEntry.aggregate({
+    where: { eventId },
+    _max: { position: true }
+  });
+
+  return (_max.position || 0) + 1;
+};
+
+/**
+ * A user's place on an event's waitlist
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} eventId - Event id
+ * @param {number} userId - User id
+ * @returns {Promise<number|null>} - 1 for next in line, or null if not waitlisted
+ */
+const getWaitlistPosition = async (client, eventId, userId) => {
+  const entry = await client.eventWaitlistEntry.findUnique({
+    where: { eventId_userId: { eventId, userId } }
+  });
+
+  if (!entry) {
+    return null;
+  }
+
+  const ahead = await client.eventWaitlistEntry.count({
+    where: {
+      eventId,
+      OR: [
+        { position: { lt: entry.position } },
+        { position: entry.position, id: { lt: entry.id } }
+      ]
+    }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Fill open spots on an event's guest list from its waitlist, in order.
+ * Does nothing once the event has ended. Pass the transaction client that
+ * freed the spot so no one can RSVP into it before the waitlist does.
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} eventId - Event id
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Array<number>>} - Ids of the users promoted to guests
+ */
+const promoteFromWaitlist = async (client, eventId, now = new Date()) => {
+  const promote = async (tx) => {
+    const event = await tx.event.findUnique({
+      where: { id: eventId },
+      include: { _count: { select: { guests: true } } }
+    });
+
+    if (!event || event.endTime <= now) {
+      return [];
+    }
+
+    const openSpots = event.capacity === null ? null : event.capacity - event._count.guests;
+    if (openSpots !== null && openSpots <= 0) {
+      return [];
+    }
+
+    const entries = await tx.eventWaitlistEntry.findMany({
+      where: { eventId },
+      orderBy: WAITLIST_ORDER,
+      ...(openSpots !== null ? { take: openSpots } : {})
+    });
+
+    for (const entry of entries) {
+      await tx.eventGuest.create({
+        data: { eventId, userId: entry.userId }
+      });
+      await tx.eventWaitlistEntry.delete({ where: { id: entry.id } });
+    }
+
+    return entries.map(entry => entry.userId);
+  };
+
+  // Interactive transaction clients have no $transaction of their own
+  return typeof client.$transaction === 'function' ? client.$transaction(promote) : promote(client);
+};
+
+module.exports = {
+  WAITLIST_ORDER,
+  nextWaitlistPosition,
+  getWaitlistPosition,
+  promoteFromWaitlist
+};
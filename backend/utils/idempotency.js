@@ -0,0 +1,189 @@
+/*
+ * Idempotency-Key support for endpoints that move points.
+ *
+ * A client may send an Idempotency-Key header with a POST. The first request
+ * with a key is handled normally and its response stored; repeats from the
+ * same user within config.idempotencyWindowHours get the stored response
+ * back instead of being handled again. Reusing a key for a different request
+ * is rejected with 422, and a repeat that arrives while the first request is
+ * still running gets 409. Server errors are not stored so the client can
+ * retry them with the same key.
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const config = require('../config/config');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialise a value with object keys sorted, so equal bodies hash equally
+ * whatever order the client sent the fields in
+ * @param {*} value - Parsed request body
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash a request body
+ * @param {*} body - Parsed request body
+ * @returns {string} - Hex sha256
+ */
+const hashBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+};
+
+/**
+ * Claim a key for a request. An expired claim is replaced.
+ * @param {Object} data - IdempotencyKey fields
+ * @returns {Promise<Object|null>} - The new row, or null if the key is already claimed
+ */
+const claimKey = async (data) => {
+  try {
+    return await prisma.idempotencyKey.create({ data });
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { userId: data.userId, key: data.key, expiresAt: { lt: new Date() } }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  try {
+    return await prisma.idempotencyKey.create({ data });
+  } catch (error) {
+    // Claimed again by a concurrent repeat in the meantime
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Middleware honouring the Idempotency-Key header. Must run after
+ * authentication so keys are scoped to the user.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `${HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const userId = req.auth.userId;
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = hashBody(req.body);
+    const now = new Date();
+
+    const claimed = await claimKey({
+      userId,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      expiresAt: new Date(now.getTime() + config.idempotencyWindowHours * 60 * 60 * 1000)
+    });
+
+    if (!claimed) {
+      const existing = await prisma.idempotencyKey.findUnique({
+        where: { userId_key: { userId, key } }
+      });
+
+      // Removed because the first request failed; the client should retry
+      if (!existing) {
+        return res.status(409).json({ error: `A request with this ${HEADER} just failed; retry it` });
+      }
+
+      if (existing.method !== req.method || existing.path !== path || existing.requestHash !== requestHash) {
+        return res.status(422).json({ error: `${HEADER} has already been used for a different request` });
+      }
+
+      if (existing.responseStatus === null) {
+        return res.status(409).json({ error: `A request with this ${HEADER} is still being processed` });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(JSON.parse(existing.responseBody));
+    }
+
+    // Store the handler's response before sending it, so a repeat that
+    // arrives as soon as the client sees it is replayed rather than refused
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) {
+        return json(body);
+      }
+
+      stored = true;
+      prisma.idempotencyKey.update({
+        where: { id: claimed.id },
+        data: { responseStatus: res.statusCode, responseBody: JSON.stringify(body) }
+      })
+        .catch((err) => console.error(`storing idempotent response failed: ${err.message}`))
+        .finally(() => json(body));
+      return res;
+    };
+
+    // Anything not stored (server errors, non-JSON responses) frees the key for a retry
+    res.on('finish', () => {
+      if (!stored) {
+        prisma.idempotencyKey.delete({ where: { id: claimed.id } })
+          .catch((err) => console.error(`releasing idempotency key failed: ${err.message}`));
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete keys whose replay window has passed
+ * @param {Object} client - Prisma client
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} - Number of keys deleted
+ */
+const purgeExpiredKeys = async (client, now = new Date()) => {
+  const { count } = await client.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: now } }
+  });
+
+  return count;
+};
+
+module.exports = {
+  idempotent,
+  purgeExpiredKeys
+};
@@ -0,0 +1,38 @@
+/*
+ * Logging for scheduled jobs and maintenance scripts.
+ *
+ * Every line is prefixed with a timestamp and the job's name so output from
+ * the background sweeps can be told apart in the server log. Jobs only log
+ * when they changed something, so a quiet night leaves no output.
+ */
+
+/**
+ * Format a log line
+ * @param {string} job - Job or script name, e.g. redemption-sweep
+ * @param {string} message - What happened
+ * @returns {string} - Line to print
+ */
+const formatLine = (job, message) => `${new Date().toISOString()} [${job}] ${message}`;
+
+/**
+ * Log what a job did
+ * @param {string} job - Job or script name
+ * @param {string} message - What happened
+ */
+const logInfo = (job, message) => {
+  console.log(formatLine(job, message));
+};
+
+/**
+ * Log a job failure
+ * @param {string} job - Job or script name
+ * @param {string} message - What went wrong
+ */
+const logError = (job, message) => {
+  console.error(formatLine(job, message));
+};
+
+module.exports = {
+  logInfo,
+  logError
+};
@@ -0,0 +1,165 @@
+const config = require('../config/config');
+
+/**
+ * Get the start of the rolling window tiers are calculated over
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} - Earliest time that counts
+ */
+const getWindowStart = (now = new Date()) => {
+  return new Date(now.getTime() - config.membershipWindowDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get the points a user has earned within the rolling window. Purchases and
+ * event awards count; transfers, adjustments, suspicious purchases and
+ * anything that was reversed do not.
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} userId - User
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} - Points earned
+ */
+const getEarnedPoints = async (client, userId, now = new Date()) => {
+  const result = await client.transaction.aggregate({
+    where: {
+      userId,
+      type: { in: ['purchase', 'event'] },
+      suspicious: false,
+      reversal: { is: null },
+      createdAt: { gte: getWindowStart(now), lte: now }
+    },
+    _sum: { amount: true }
+  });
+
+  return result._sum.amount || 0;
+};
+
+/**
+ * Pick the tier a number of earned points reaches
+ * @param {Array<Object>} tiers - Tier rows
+ * @param {number} earnedPoints - Points earned within the window
+ * @returns {Object|null} - Highest tier reached, or null if none
+ */
+const selectTier = (tiers, earnedPoints) => {
+  return tiers
+    .filter(tier => earnedPoints >= tier.minPoints)
+    .reduce((best, tier) => (!best || tier.minPoints > best.minPoints ? tier : best), null);
+};
+
+/**
+ * Get a user's tier standing, including progress towards the next tier
+ * @param {Object} client - Prisma client
+ * @param {Object} user - User row with membershipTier included
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} - { tier, tierUpdatedAt, earnedPoints, windowDays, nextTier }
+ */
+const getTierStatus = async (client, user, now = new Date()) => {
+  const [earnedPoints, tiers] = await Promise.all([
+    getEarnedPoints(client, user.id, now),
+    client.membershipTier.findMany({ orderBy: { minPoints: 'asc' } })
+  ]);
+
+  const currentMin = user.membershipTier ? user.membershipTier.minPoints : -1;
+  const next = tiers.find(tier => tier.minPoints > currentMin);
+
+  return {
+    tier: user.membershipTier ? {
+      id: user.membershipTier.id,
+      name: user.membershipTier.name,
+      multiplier: user.membershipTier.multiplier
+    } : null,
+    tierUpdatedAt: user.tierUpdatedAt,
+    earnedPoints,
+    windowDays: config.membershipWindowDays,
+    nextTier: next ? {
+      name: next.name,
+      minPoints: next.minPoints,
+      pointsNeeded: Math.max(next.minPoints - earnedPoints, 0)
+    } : null
+  };
+};
+
+/**
+ * Recalculate one user's tier and record the change if it moved
+ * @param {Object} prisma - Prisma client
+ * @param {number} userId - User
+ * @param {Array<Object>} tiers - Tier rows
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object|null>} - The TierChange row, or null if the tier did not change
+ */
+const recalculateUserTier = async (prisma, userId, tiers, now = new Date()) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { membershipTier: true }
+  });
+
+  const earnedPoints = await getEarnedPoints(prisma, userId, now);
+  const tier = selectTier(tiers, earnedPoints);
+  const tierId = tier ? tier.id : null;
+
+  if (user.membershipTierId === tierId) {
+    return null;
+  }
+
+  const [, change] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { membershipTierId: tierId, tierUpdatedAt: now }
+    }),
+    prisma.tierChange.create({
+      data: {
+        userId,
+        fromTier: user.membershipTier ? user.membershipTier.name : null,
+        toTier: tier ? tier.name : null,
+        earnedPoints,
+        changedAt: now
+      }
+    })
+  ]);
+
+  return change;
+};
+
+/**
+ * Recalculate every user's tier
+ * @param {Object} prisma - Prisma client
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} - { checked, changed }
+ */
+const recalculateTiers = async (prisma, now = new Date()) => {
+  const tiers = await prisma.membershipTier.findMany();
+  const users = await prisma.user.findMany({ select: { id: true } });
+
+  let changed = 0;
+  for (const user of users) {
+    if (await recalculateUserTier(prisma, user.id, tiers, now)) {
+      changed++;
+    }
+  }
+
+  return { checked: users.length, changed };
+};
+
+/**
+ * Get the next time the nightly recalculation should run
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} - Next config.tierRecalculationHour, local time
+ */
+const getNextRecalculationTime = (now = new Date()) => {
+  const next = new Date(now);
+  next.setHours(config.tierRecalculationHour, 0, 0, 0);
+
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next;
+};
+
+module.exports = {
+  getEarnedPoints,
+  selectTier,
+  getTierStatus,
+  recalculateUserTier,
+  recalculateTiers,
+  getNextRecalculationTime
+};
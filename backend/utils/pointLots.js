@@ -0,0 +1,139 @@
+/*
+ * Points expiry lots
+ *
+ * Every credit to a balance opens a lot that expires config.pointsExpiryDays
+ * later, and every debit consumes lots oldest-expiry first. Lots are kept by
+ * applyPointsChange, so they follow the balance without callers knowing.
+ *
+ * The remaining points across a user's lots never exceed their balance. A
+ * credit that pays off a negative balance only opens a lot for the part that
+ * ends up above zero, and a debit larger than the open lots empties them.
+ */
+
+const config = require('../config/config');
+
+/**
+ * Get the time points earned now will lapse
+ * @param {Date} [earnedAt=new Date()] - When the points were earned
+ * @returns {Date} - Expiry time
+ */
+const getExpiryDate = (earnedAt = new Date()) => {
+  return new Date(earnedAt.getTime() + config.pointsExpiryDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get the points still open across a user's lots
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} userId - User
+ * @returns {Promise<number>} - Open points
+ */
+const getOpenLotPoints = async (client, userId) => {
+  const result = await client.pointLot.aggregate({
+    where: { userId, remaining: { gt: 0 } },
+    _sum: { remaining: true }
+  });
+
+  return result._sum.remaining || 0;
+};
+
+/**
+ * Open a lot for points credited to a balance
+ * @param {Object} tx - Interactive transaction client
+ * @param {Object} credit - Credit details
+ * @param {number} credit.userId - User credited
+ * @param {number} credit.points - Points credited
+ * @param {number} credit.balanceAfter - Balance once the credit is applied
+ * @param {string} credit.source - Ledger reason of the credit
+ * @param {number|null} credit.transactionId - Transaction that caused the credit
+ * @returns {Promise<Object|null>} - Created lot, or null if the credit only paid off a negative balance
+ */
+const openLot = async (tx, { userId, points, balanceAfter, source, transactionId }) => {
+  const open = await getOpenLotPoints(tx, userId);
+  const amount = Math.min(points, Math.max(balanceAfter - open, 0));
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  const earnedAt = new Date();
+  return tx.pointLot.create({
+    data: {
+      userId,
+      transactionId,
+      source,
+      amount,
+      remaining: amount,
+      earnedAt,
+      expiresAt: getExpiryDate(earnedAt)
+    }
+  });
+};
+
+/**
+ * Consume points from a user's lots, soonest to expire first
+ * @param {Object} tx - Interactive transaction client
+ * @param {number} userId - User debited
+ * @param {number} points - Points debited
+ * @returns {Promise<number>} - Points taken from lots (less than points if the lots ran out)
+ */
+const consumeLots = async (tx, userId, points) => {
+  const lots = await tx.pointLot.findMany({
+    where: { userId, remaining: { gt: 0 } },
+    orderBy: [{ expiresAt: 'asc' }, { id: 'asc' }]
+  });
+
+  let left = points;
+  for (const lot of lots) {
+    if (left === 0) break;
+
+    const taken = Math.min(lot.remaining, left);
+    await tx.pointLot.update({
+      where: { id: lot.id },
+      data: { remaining: lot.remaining - taken }
+    });
+    left -= taken;
+  }
+
+  return points - left;
+};
+
+/**
+ * Summarise a user's points that lapse within config.expiringSoonDays,
+ * grouped by expiry date
+ * @param {Object} client - Prisma client
+ * @param {number} userId - User
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} - { total, withinDays, lots: [{ expiresAt, points }] }
+ */
+const getExpiringSoon = async (client, userId, now = new Date()) => {
+  const horizon = new Date(now.getTime() + config.expiringSoonDays * 24 * 60 * 60 * 1000);
+
+  const lots = await client.pointLot.findMany({
+    where: {
+      userId,
+      remaining: { gt: 0 },
+      expiresAt: { lte: horizon }
+    },
+    orderBy: { expiresAt: 'asc' }
+  });
+
+  const byDate = new Map();
+  for (const lot of lots) {
+    const date = lot.expiresAt.toISOString().slice(0, 10);
+    byDate.set(date, (byDate.get(date) || 0) + lot.remaining);
+  }
+
+  return {
+    total: lots.reduce((sum, lot) => sum + lot.remaining, 0),
+    withinDays: config.expiringSoonDays,
+    lots: [...byDate].map(([expiresAt, points]) => ({ expiresAt, points }))
+  };
+};
+
+module.exports = {
+  getExpiryDate,
+  getOpenLotPoints,
+  openLot,
+  consumeLots,
+  getExpiringSoon
+};
@@ -0,0 +1,31 @@
+const config = require('../config/config');
+
+/**
+ * Get when a point request made now stops being payable
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} - Expiry time
+ */
+const getRequestExpiry = (now = new Date()) => {
+  return new Date(now.getTime() + config.pointRequestExpiryHours * 60 * 60 * 1000);
+};
+
+/**
+ * Mark every pending point request past its expiry as expired. Expired
+ * requests are kept for history; nothing was held, so nothing is released.
+ * @param {Object} prisma - Prisma client
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} - Number of requests expired
+ */
+const expireStaleRequests = async (prisma, now = new Date()) => {
+  const { count } = await prisma.pointRequest.updateMany({
+    where: { status: 'pending', expiresAt: { lt: now } },
+    data: { status: 'expired', respondedAt: now }
+  });
+
+  return count;
+};
+
+module.exports = {
+  getRequestExpiry,
+  expireStaleRequests
+};
@@ -0,0 +1,86 @@
+const { applyPointsChange } = require('./pointsLedger');
+const { logError } = require('./logger');
+
+/**
+ * Post an expiry transaction for one user's lapsed points. Points held by
+ * pending redemptions are left alone: those redemptions will consume the
+ * oldest lots when processed, and if they are voided instead the points
+ * lapse on a later run.
+ * @param {Object} prisma - Prisma client
+ * @param {number} userId - User whose points lapse
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} - Expiry transaction, or null if nothing lapsed
+ */
+const expireUserPoints = async (prisma, userId, now) => {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({ where: { id: userId } });
+
+    const lapsed = await tx.pointLot.aggregate({
+      where: { userId, remaining: { gt: 0 }, expiresAt: { lte: now } },
+      _sum: { remaining: true }
+    });
+
+    const points = Math.min((lapsed._sum.remaining || 0) - user.reservedPoints, user.points);
+    if (points <= 0) {
+      return null;
+    }
+
+    // System postings have no staff member behind them, so they are
+    // attributed to the account owner
+    const transaction = await tx.transaction.create({
+      data: {
+        userId,
+        type: 'expiry',
+        amount: -points,
+        remark: 'Points expired',
+        createdById: userId
+      }
+    });
+
+    // Lapsed lots expire soonest, so the usual oldest-first consumption
+    // takes exactly them
+    await applyPointsChange(tx, {
+      userId,
+      delta: -points,
+      reason: 'expiry',
+      transactionId: transaction.id
+    });
+
+    return transaction;
+  });
+};
+
+/**
+ * Post expiry transactions for every user with lapsed points
+ * @param {Object} prisma - Prisma client
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} - { users, points } expired
+ */
+const expireLapsedPoints = async (prisma, now = new Date()) => {
+  const lapsed = await prisma.pointLot.findMany({
+    where: { remaining: { gt: 0 }, expiresAt: { lte: now } },
+    select: { userId: true },
+    distinct: ['userId']
+  });
+
+  let users = 0;
+  let points = 0;
+  for (const { userId } of lapsed) {
+    try {
+      const transaction = await expireUserPoints(prisma, userId, now);
+      if (transaction) {
+        users++;
+        points += -transaction.amount;
+      }
+    } catch (error) {
+      // One user's failure should not stop the rest from expiring
+      logError('points-expiry', `failed for user ${userId}: ${error.message}`);
+    }
+  }
+
+  return { users, points };
+};
+
+module.exports = {
+  expireLapsedPoints
+};
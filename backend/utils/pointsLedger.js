@@ -0,0 +1,111 @@
+const { openLot, consumeLots } = require('./pointLots');
+
+/**
+ * Apply a signed change to a user's points balance and append a ledger entry
+ * recording the balance after the change. Every balance movement must go
+ * through this function so the ledger stays a complete history and the
+ * expiry lots stay in step with the balance.
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} change - Balance change details
+ * @param {number} change.userId - User whose balance changes
+ * @param {number} change.delta - Signed number of points to add
+ * @param {string} change.reason - Why the balance moved (purchase, transfer, ...)
+ * @param {number} [change.transactionId] - Transaction that caused the movement
+ * @param {string} [change.remark] - Optional note stored on the entry
+ * @returns {Promise<Object>} - Created ledger entry
+ */
+const applyPointsChange = async (client, { userId, delta, reason, transactionId = null, remark = null }) => {
+  const write = async (tx) => {
+    const user = await tx.user.update({
+      where: { id: userId },
+      data: { points: { increment: delta } }
+    });
+
+    if (delta > 0) {
+      await openLot(tx, { userId, points: delta, balanceAfter: user.points, source: reason, transactionId });
+    } else if (delta < 0) {
+      await consumeLots(tx, userId, -delta);
+    }
+
+    return tx.ledgerEntry.create({
+      data: {
+        userId,
+        transactionId,
+        reason,
+        delta,
+        balanceAfter: user.points,
+        remark
+      }
+    });
+  };
+
+  // Interactive transaction clients have no $transaction of their own
+  return typeof client.$transaction === 'function' ? client.$transaction(write) : write(client);
+};
+
+/**
+ * Get the points a user can spend right now: their balance minus the points
+ * held by pending redemptions
+ * @param {Object} user - User row
+ * @returns {number} - Available points
+ */
+const getAvailablePoints = (user) => {
+  return user.points - user.reservedPoints;
+};
+
+/**
+ * Change the points held for a user's pending redemptions. Holds do not move
+ * the balance itself, so no ledger entry is written.
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} userId - User whose hold changes
+ * @param {number} delta - Signed number of points to hold (negative releases)
+ * @returns {Promise<Object>} - Updated user
+ */
+const adjustReservedPoints = (client, userId, delta) => {
+  return client.user.update({
+    where: { id: userId },
+    data: { reservedPoints: { increment: delta } }
+  });
+};
+
+/**
+ * Calculate how a transaction row affects its owner's balance
+ * @param {Object} transaction - Transaction row
+ * @returns {number} - Signed points effect on transaction.userId
+ */
+const getBalanceEffect = (transaction) => {
+  switch (transaction.type) {
+    case 'purchase':
+      // Suspicious purchases are recorded but never credited
+      return transaction.suspicious ? 0 : transaction.amount;
+    case 'redemption':
+      // Redemptions only debit once a cashier has processed them
+      return transaction.processed ? -Math.abs(transaction.amount) : 0;
+    case 'adjustment':
+    case 'event':
+    case 'transfer':
+    case 'reversal':
+    case 'expiry':
+      return transaction.amount;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Calculate how many points a transaction row holds from its owner's balance
+ * @param {Object} transaction - Transaction row
+ * @returns {number} - Points held (never negative)
+ */
+const getReservedEffect = (transaction) => {
+  const isPendingRedemption = transaction.type === 'redemption' && !transaction.processed && !transaction.voidedAt;
+  return isPendingRedemption ? Math.abs(transaction.amount) : 0;
+};
+
+module.exports = {
+  applyPointsChange,
+  getAvailablePoints,
+  adjustReservedPoints,
+  getBalanceEffect,
+  getReservedEffect
+};
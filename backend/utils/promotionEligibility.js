@@ -0,0 +1,114 @@
+/*
+ * Promotion eligibility rules shared by purchases, quotes and the promotion
+ * listings.
+ *
+ * A promotion is available to a user when it is active, inside its date
+ * window, restricted to no membership tier above the user's and, for one-time
+ * promotions, not yet used by that user. Listings
+ * show available promotions. To be applied to a purchase it must also meet
+ * its minimum spending, and the purchaser must be verified.
+ */
+
+const INELIGIBILITY_MESSAGES = {
+  notFound: 'Promotion not found',
+  inactive: 'Promotion is not active',
+  notStarted: 'Promotion has not started',
+  expired: 'Promotion has expired',
+  alreadyUsed: 'One-time promotion has already been used',
+  minSpending: 'Purchase is below the minimum spending',
+  tier: 'Membership tier is too low for this promotion',
+  unverified: 'User must be verified to use promotions'
+};
+
+/**
+ * Check whether a user's membership tier meets a promotion's minimum tier
+ * @param {Object} promotion - Promotion row with minTier included
+ * @param {Object} user - User row with membershipTier included
+ * @returns {boolean} - True if the promotion has no minimum or the user meets it
+ */
+const meetsMinTier = (promotion, user) => {
+  if (!promotion.minTier) return true;
+  return !!user.membershipTier && user.membershipTier.minPoints >= promotion.minTier.minPoints;
+};
+
+/**
+ * Build a Prisma filter for promotions available to a user right now
+ * @param {Object} user - User row with membershipTier included
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} - Prisma where clause
+ */
+const availablePromotionsWhere = (user, now = new Date()) => ({
+  isActive: true,
+  startTime: { lte: now },
+  endTime: { gte: now },
+  AND: [
+    {
+      OR: [
+        { isOneTime: false },
+        { usages: { none: { userId: user.id } } }
+      ]
+    },
+    {
+      OR: user.membershipTier
+        ? [{ minTierId: null }, { minTier: { minPoints: { lte: user.membershipTier.minPoints } } }]
+        : [{ minTierId: null }]
+    }
+  ]
+});
+
+/**
+ * Build the include that loads what getAvailabilityReason needs: the user's
+ * usages of the promotion and the promotion's minimum tier
+ * @param {number} userId - User whose usages are loaded
+ * @returns {Object} - Prisma include clause
+ */
+const eligibilityInclude = (userId) => ({
+  usages: {
+    where: { userId }
+  },
+  minTier: true
+});
+
+/**
+ * Find why a promotion is not available to a user
+ * @param {Object} promotion - Promotion row loaded with eligibilityInclude
+ * @param {Object} user - User row with membershipTier included
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string|null} - Reason code, or null if available
+ */
+const getAvailabilityReason = (promotion, user, now = new Date()) => {
+  if (!promotion.isActive) return 'inactive';
+  if (promotion.startTime > now) return 'notStarted';
+  if (promotion.endTime < now) return 'expired';
+  if (promotion.isOneTime && promotion.usages.length > 0) return 'alreadyUsed';
+  if (!meetsMinTier(promotion, user)) return 'tier';
+  return null;
+};
+
+/**
+ * Find why a promotion cannot be applied to a purchase
+ * @param {Object|null} promotion - Promotion row loaded with eligibilityInclude, or null if it does not exist
+ * @param {Object} purchase - Purchase details
+ * @param {Object} purchase.user - Purchaser with membershipTier included
+ * @param {number} purchase.spent - Dollar amount spent
+ * @param {Date} [purchase.now=new Date()] - Time of the purchase
+ * @returns {string|null} - Reason code, or null if the promotion can be applied
+ */
+const getIneligibilityReason = (promotion, { user, spent, now = new Date() }) => {
+  if (!promotion) return 'notFound';
+  if (!user.verified) return 'unverified';
+
+  const unavailable = getAvailabilityReason(promotion, user, now);
+  if (unavailable) return unavailable;
+
+  if (promotion.minSpending !== null && spent < promotion.minSpending) return 'minSpending';
+  return null;
+};
+
+module.exports = {
+  INELIGIBILITY_MESSAGES,
+  availablePromotionsWhere,
+  eligibilityInclude,
+  getAvailabilityReason,
+  getIneligibilityReason
+};
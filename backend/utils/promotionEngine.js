@@ -0,0 +1,104 @@
+/*
+ * Promotion evaluation
+ *
+ * Formula:
+ *   basePoints  = from the earning policy (see utils/earningPolicy.js)
+ *   rateBonus   = round(basePoints * rate)     (rate 0.01 = +1% of the base points)
+ *   flatBonus   = points
+ *   bonus       = min(rateBonus + flatBonus, maxPoints)   (maxPoints null = uncapped)
+ *   totalPoints = basePoints + sum(bonus of every applied promotion)
+ *
+ * Rate bonuses are always computed from the base points, never from a running
+ * total, so the result does not depend on the order promotions are applied in.
+ *
+ * Stacking:
+ *   Promotions are considered by priority (highest first), then by id.
+ *   - A promotion that does not meet its minimum spending is skipped.
+ *   - An "exclusive" promotion applies only if nothing has been applied yet,
+ *     and once applied every later promotion is skipped.
+ *   - A "stackable" promotion applies alongside other stackable promotions.
+ */
+
+const STACKING_POLICIES = ['stackable', 'exclusive'];
+
+/**
+ * Sort promotions into the order they are evaluated in
+ * @param {Array<Object>} promotions - Promotion rows
+ * @returns {Array<Object>} - New sorted array
+ */
+const sortPromotions = (promotions) => {
+  return [...promotions].sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
+};
+
+/**
+ * Calculate the bonus a single promotion adds to a purchase
+ * @param {Object} promotion - Promotion row
+ * @param {number} basePoints - Points earned before promotions
+ * @returns {Object} - { rateBonus, flatBonus, bonus, capped }
+ */
+const calculateBonus = (promotion, basePoints) => {
+  const rateBonus = promotion.rate ? Math.round(basePoints * promotion.rate) : 0;
+  const flatBonus = promotion.points || 0;
+  const uncapped = rateBonus + flatBonus;
+  const capped = promotion.maxPoints !== null && promotion.maxPoints !== undefined && uncapped > promotion.maxPoints;
+
+  return {
+    rateBonus,
+    flatBonus,
+    bonus: capped ? promotion.maxPoints : uncapped,
+    capped
+  };
+};
+
+/**
+ * Evaluate a purchase against a set of promotions. Eligibility (dates, active
+ * flag, one-time usage) is the caller's concern; this only applies minimum
+ * spending, stacking, ordering and caps.
+ * @param {Object} purchase - Purchase details
+ * @param {number} purchase.spent - Dollar amount spent
+ * @param {number} purchase.basePoints - Points earned before promotions
+ * @param {Array<Object>} purchase.promotions - Candidate promotion rows
+ * @returns {Object} - { basePoints, bonusPoints, totalPoints, applied, skipped }
+ */
+const evaluatePromotions = ({ spent, basePoints, promotions = [] }) => {
+  const applied = [];
+  const skipped = [];
+  let exclusiveApplied = false;
+
+  for (const promotion of sortPromotions(promotions)) {
+    if (promotion.minSpending !== null && promotion.minSpending !== undefined && spent < promotion.minSpending) {
+      skipped.push({ promotionId: promotion.id, name: promotion.name, reason: 'minSpending', minSpending: promotion.minSpending });
+      continue;
+    }
+
+    if (exclusiveApplied || (promotion.stacking === 'exclusive' && applied.length > 0)) {
+      skipped.push({ promotionId: promotion.id, name: promotion.name, reason: 'exclusive' });
+      continue;
+    }
+
+    applied.push({
+      promotionId: promotion.id,
+      name: promotion.name,
+      stacking: promotion.stacking,
+      priority: promotion.priority,
+      ...calculateBonus(promotion, basePoints)
+    });
+
+    exclusiveApplied = promotion.stacking === 'exclusive';
+  }
+
+  const bonusPoints = applied.reduce((sum, entry) => sum + entry.bonus, 0);
+
+  return {
+    basePoints,
+    bonusPoints,
+    totalPoints: basePoints + bonusPoints,
+    applied,
+    skipped
+  };
+};
+
+module.exports = {
+  STACKING_POLICIES,
+  evaluatePromotions
+};
@@ -0,0 +1,79 @@
+/*
+ * Signed, short-lived tokens for QR codes.
+ *
+ * A user's QR code and a pending redemption's QR code carry one of these
+ * tokens instead of a bare id, so a code cannot be made up for someone
+ * else's account or redemption. Tokens expire after config.qrTokenTtlSeconds
+ * and the app fetches a fresh one before then. They are signed with their
+ * own secret so they can never be used as a login token.
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const ApiError = require('./ApiError');
+
+/**
+ * Issue a token for a user or a redemption
+ * @param {string} type - user or redemption
+ * @param {number} id - User or transaction id
+ * @returns {Object} - { token, expiresAt }
+ */
+const issueQRToken = (type, id) => {
+  const token = jwt.sign({ qr: type }, config.qrTokenSecret, {
+    subject: String(id),
+    expiresIn: config.qrTokenTtlSeconds
+  });
+
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Check a token and return the id it was issued for
+ * @param {string} token - Token read from a QR code
+ * @param {string} type - Expected type, user or redemption
+ * @returns {number} - User or transaction id
+ * @throws {ApiError} - If the token is malformed, forged, expired or of another type
+ */
+const verifyQRToken = (token, type) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, config.qrTokenSecret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new ApiError('QR code has expired; ask the customer to refresh it', 400);
+    }
+    throw new ApiError('Invalid QR code', 400);
+  }
+
+  if (claims.qr !== type) {
+    throw new ApiError(`QR code is not a ${type} code`, 400);
+  }
+
+  return parseInt(claims.sub);
+};
+
+/**
+ * Middleware for routes addressed by a QR token instead of an id. Verifies
+ * req.params.qrToken and puts the id it was issued for into req.params[param],
+ * so the route's usual handler can run unchanged.
+ * @param {string} type - Expected token type, user or redemption
+ * @param {string} param - Route parameter the handler reads the id from
+ * @returns {Function} - Express middleware
+ */
+const qrTarget = (type, param) => (req, res, next) => {
+  try {
+    req.params[param] = String(verifyQRToken(req.params.qrToken, type));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  issueQRToken,
+  verifyQRToken,
+  qrTarget
+};
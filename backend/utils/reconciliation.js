@@ -0,0 +1,153 @@
+const { applyPointsChange, adjustReservedPoints, getBalanceEffect, getReservedEffect } = require('./pointsLedger');
+
+// Transaction fields the balance and hold effects are computed from
+const EFFECT_SELECT = {
+  userId: true,
+  type: true,
+  amount: true,
+  suspicious: true,
+  processed: true,
+  voidedAt: true
+};
+
+/**
+ * Sum the balance and hold effects of transactions per user
+ * @param {Array<Object>} transactions - Transaction rows selected with EFFECT_SELECT
+ * @returns {Object} - { expectedByUser, reservedByUser } maps keyed by user id
+ */
+const sumEffects = (transactions) => {
+  const expectedByUser = new Map();
+  const reservedByUser = new Map();
+  for (const transaction of transactions) {
+    const current = expectedByUser.get(transaction.userId) || 0;
+    expectedByUser.set(transaction.userId, current + getBalanceEffect(transaction));
+
+    const reserved = reservedByUser.get(transaction.userId) || 0;
+    reservedByUser.set(transaction.userId, reserved + getReservedEffect(transaction));
+  }
+
+  return { expectedByUser, reservedByUser };
+};
+
+/**
+ * Correct one user's balance and hold. The user and their transactions are
+ * read again inside the transaction and the corrections applied as
+ * increments, so points that moved since the report was taken are kept.
+ * @param {Object} prisma - Prisma client
+ * @param {number} userId - User to repair
+ * @returns {Promise<Object>} - { points, expected, drift, reserved, expectedReserved, reservedDrift } at repair time
+ */
+const repairUser = (prisma, userId) => {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { points: true, reservedPoints: true }
+    });
+    const transactions = await tx.transaction.findMany({
+      where: { userId },
+      select: EFFECT_SELECT
+    });
+
+    const { expectedByUser, reservedByUser } = sumEffects(transactions);
+    const expected = expectedByUser.get(userId) || 0;
+    const expectedReserved = reservedByUser.get(userId) || 0;
+    const drift = user.points - expected;
+    const reservedDrift = user.reservedPoints - expectedReserved;
+
+    if (drift !== 0) {
+      await applyPointsChange(tx, {
+        userId,
+        delta: -drift,
+        reason: 'reconciliation',
+        remark: `Balance reconciled from ${user.points} to ${expected}`
+      });
+    }
+
+    // Holds are not balance movements, so they are adjusted directly
+    if (reservedDrift !== 0) {
+      await adjustReservedPoints(tx, userId, -reservedDrift);
+    }
+
+    return {
+      points: user.points,
+      expected,
+      drift,
+      reserved: user.reservedPoints,
+      expectedReserved,
+      reservedDrift
+    };
+  });
+};
+
+/**
+ * Recompute every user's balance and redemption hold from their transaction
+ * history and compare them with the stored values
+ * @param {Object} prisma - Prisma client
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} [options.repair=false] - Correct drifted balances through the ledger
+ * @param {number} [options.userId] - Only reconcile this user
+ * @returns {Promise<Object>} - { checked, drifted, repaired, results }
+ */
+const reconcileBalances = async (prisma, { repair = false, userId } = {}) => {
+  const userWhere = userId !== undefined ? { id: userId } : {};
+
+  const users = await prisma.user.findMany({
+    where: userWhere,
+    select: { id: true, utorid: true, points: true, reservedPoints: true },
+    orderBy: { id: 'asc' }
+  });
+
+  const transactions = await prisma.transaction.findMany({
+    where: userId !== undefined ? { userId } : {},
+    select: EFFECT_SELECT
+  });
+
+  // Sum the effect of every transaction per user
+  const { expectedByUser, reservedByUser } = sumEffects(transactions);
+
+  const results = [];
+  for (const user of users) {
+    const expected = expectedByUser.get(user.id) || 0;
+    const expectedReserved = reservedByUser.get(user.id) || 0;
+    const drift = user.points - expected;
+    const reservedDrift = user.reservedPoints - expectedReserved;
+
+    if (drift === 0 && reservedDrift === 0) {
+      continue;
+    }
+
+    let result = {
+      userId: user.id,
+      utorid: user.utorid,
+      points: user.points,
+      expected,
+      drift,
+      reserved: user.reservedPoints,
+      expectedReserved,
+      reservedDrift,
+      repaired: false
+    };
+
+    // The report above may be stale by now; repairUser works from fresh values
+    if (repair) {
+      result = {
+        ...result,
+        ...(await repairUser(prisma, user.id)),
+        repaired: true
+      };
+    }
+
+    results.push(result);
+  }
+
+  return {
+    checked: users.length,
+    drifted: results.length,
+    repaired: results.filter(r => r.repaired).length,
+    results
+  };
+};
+
+module.exports = {
+  reconcileBalances
+};
@@ -0,0 +1,72 @@
+const config = require('../config/config');
+const ApiError = require('./ApiError');
+const { adjustReservedPoints } = require('./pointsLedger');
+const { returnStock } = require('./rewards');
+
+/**
+ * Void an unprocessed redemption and release the points and reward stock it
+ * holds. The update is guarded so a redemption that is processed or voided
+ * concurrently is never voided twice.
+ * @param {Object} prisma - Prisma client
+ * @param {Object} transaction - Redemption transaction row
+ * @param {string} reason - Why it was voided (cancelled, voided, expired)
+ * @returns {Promise<void>}
+ * @throws {ApiError} - If the redemption was already processed or voided
+ */
+const voidRedemption = async (prisma, transaction, reason) => {
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.transaction.updateMany({
+      where: { id: transaction.id, type: 'redemption', processed: false, voidedAt: null },
+      data: { voidedAt: new Date(), voidReason: reason }
+    });
+
+    if (count === 0) {
+      throw new ApiError('Redemption has already been processed or cancelled', 400);
+    }
+
+    await adjustReservedPoints(tx, transaction.userId, -Math.abs(transaction.amount));
+
+    if (transaction.rewardId) {
+      await returnStock(tx, transaction.rewardId);
+    }
+  });
+};
+
+/**
+ * Expire every unprocessed redemption older than config.redemptionExpiryHours
+ * @param {Object} prisma - Prisma client
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} - Number of redemptions expired
+ */
+const expireStaleRedemptions = async (prisma, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - config.redemptionExpiryHours * 60 * 60 * 1000);
+
+  const stale = await prisma.transaction.findMany({
+    where: {
+      type: 'redemption',
+      processed: false,
+      voidedAt: null,
+      createdAt: { lt: cutoff }
+    }
+  });
+
+  let expired = 0;
+  for (const transaction of stale) {
+    try {
+      await voidRedemption(prisma, transaction, 'expired');
+      expired++;
+    } catch (error) {
+      // Processed or cancelled since it was read; nothing left to expire
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  voidRedemption,
+  expireStaleRedemptions
+};
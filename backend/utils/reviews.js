@@ -0,0 +1,81 @@
+const ApiError = require('./ApiError');
+const { applyPointsChange } = require('./pointsLedger');
+const { voidRedemption } = require('./redemptions');
+
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+/**
+ * Filter for flagged transactions still waiting for a manager's review.
+ * Reversed transactions are left out; the reversal already settled them.
+ */
+const pendingReviewWhere = {
+  suspicious: true,
+  reviewStatus: null,
+  reversal: { is: null }
+};
+
+/**
+ * Apply a manager's decision to a flagged transaction and record who made it.
+ * Approving clears the flag and credits the points a flagged purchase
+ * withheld; rejecting keeps the flag and voids a redemption that has not
+ * been processed yet. The update is guarded so a transaction is only
+ * reviewed once.
+ * @param {Object} prisma - Prisma client
+ * @param {Object} transaction - Transaction row
+ * @param {Object} review - Review details
+ * @param {string} review.decision - approve or reject
+ * @param {string} review.note - Reviewer's note
+ * @param {number} review.reviewerId - Manager making the decision
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<void>}
+ * @throws {ApiError} - If the transaction was reviewed or cleared in the meantime
+ */
+const reviewTransaction = async (prisma, transaction, { decision, note, reviewerId }, now = new Date()) => {
+  const approve = decision === 'approve';
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.transaction.updateMany({
+      where: { id: transaction.id, suspicious: true, reviewStatus: null },
+      data: {
+        suspicious: !approve,
+        reviewStatus: REVIEW_DECISIONS[decision],
+        reviewNote: note,
+        reviewedById: reviewerId,
+        reviewedAt: now
+      }
+    });
+
+    if (count === 0) {
+      throw new ApiError(`Transaction ${transaction.id} has already been reviewed`, 400);
+    }
+
+    if (approve && transaction.type === 'purchase') {
+      await applyPointsChange(tx, {
+        userId: transaction.userId,
+        delta: transaction.amount,
+        reason: 'suspicious',
+        transactionId: transaction.id
+      });
+    }
+  });
+
+  if (!approve && transaction.type === 'redemption' && !transaction.processed && !transaction.voidedAt) {
+    try {
+      await voidRedemption(prisma, transaction, 'rejected');
+    } catch (error) {
+      // Processed or cancelled since it was read; the rejection still stands
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  REVIEW_DECISIONS,
+  pendingReviewWhere,
+  reviewTransaction
+};
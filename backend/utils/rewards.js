@@ -0,0 +1,82 @@
+/*
+ * Reward catalog availability rules shared by the catalog listings and
+ * redemptions.
+ *
+ * A reward can be redeemed when it is active, inside its window (either end
+ * may be open) and has stock left. Stock is taken when the redemption is
+ * requested and given back if the redemption is cancelled, voided or expires.
+ */
+
+const UNAVAILABLE_MESSAGES = {
+  notFound: 'Reward not found',
+  inactive: 'Reward is not available',
+  notStarted: 'Reward is not available yet',
+  ended: 'Reward is no longer available',
+  outOfStock: 'Reward is out of stock'
+};
+
+/**
+ * Build a Prisma filter for rewards shown in the catalog right now. Items
+ * that are out of stock are still listed so users can see them.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} - Prisma where clause
+ */
+const catalogWhere = (now = new Date()) => ({
+  isActive: true,
+  AND: [
+    { OR: [{ startTime: null }, { startTime: { lte: now } }] },
+    { OR: [{ endTime: null }, { endTime: { gte: now } }] }
+  ]
+});
+
+/**
+ * Find why a reward cannot be redeemed
+ * @param {Object|null} reward - Reward row, or null if it does not exist
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string|null} - Reason code, or null if it can be redeemed
+ */
+const getUnavailableReason = (reward, now = new Date()) => {
+  if (!reward) return 'notFound';
+  if (!reward.isActive) return 'inactive';
+  if (reward.startTime && reward.startTime > now) return 'notStarted';
+  if (reward.endTime && reward.endTime < now) return 'ended';
+  if (reward.stock <= 0) return 'outOfStock';
+  return null;
+};
+
+/**
+ * Take one unit of a reward's stock. The update is guarded so concurrent
+ * redemptions cannot take the last unit twice.
+ * @param {Object} tx - Interactive transaction client
+ * @param {number} rewardId - Reward
+ * @returns {Promise<boolean>} - False if the reward was out of stock
+ */
+const takeStock = async (tx, rewardId) => {
+  const { count } = await tx.reward.updateMany({
+    where: { id: rewardId, stock: { gt: 0 } },
+    data: { stock: { decrement: 1 } }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Give back the unit of stock held by a redemption that did not go ahead
+ * @param {Object} tx - Interactive transaction client
+ * @param {number} rewardId - Reward
+ * @returns {Promise<Object>} - Updated reward
+ */
+const returnStock = (tx, rewardId) => {
+  return tx.reward.update({
+    where: { id: rewardId },
+    data: { stock: { increment: 1 } }
+  });
+};
+
+module.exports = {
+  UNAVAILABLE_MESSAGES,
+  catalogWhere,
+  getUnavailableReason,
+  takeStock,
+  returnStock
+};
@@ -0,0 +1,173 @@
+/*
+ * Suspicious-activity rules. Each rule looks at a transaction about to be
+ * recorded and may add a reason code and a score; a transaction whose total
+ * score reaches config.riskFlagScore is flagged suspicious and waits for a
+ * manager's review. Flagged purchases are not credited until cleared, as
+ * before; flagged transfers and redemptions are only marked for review.
+ * Rules run before the transaction is created, so counts of recent activity
+ * do not include it.
+ *
+ * Reason codes: suspicious_cashier, large_spend, rapid_purchases,
+ * transfer_funnel, quick_redeem.
+ */
+
+const config = require('../config/config');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Flag purchases recorded by a cashier a manager has marked suspicious
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} context - { cashier }
+ * @returns {Promise<Object|null>} - { code, score }, or null if the rule does not apply
+ */
+const suspiciousCashier = async (client, { cashier }) => {
+  return cashier.suspicious ? { code: 'suspicious_cashier', score: config.riskFlagScore } : null;
+};
+
+/**
+ * Flag a spend over the absolute threshold, or far above what the customer
+ * usually spends once they have some history
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} context - { userId, spent }
+ * @returns {Promise<Object|null>} - { code, score }, or null if the rule does not apply
+ */
+const largeSpend = async (client, { userId, spent }) => {
+  if (spent >= config.riskLargeSpend) {
+    return { code: 'large_spend', score: 60 };
+  }
+
+  const history = await client.transaction.aggregate({
+    where: { userId, type: 'purchase' },
+    _avg: { spent: true },
+    _count: { _all: true }
+  });
+
+  if (history._count._all >= 3 && spent >= history._avg.spent * config.riskSpendMultiple) {
+    return { code: 'large_spend', score: 60 };
+  }
+
+  return null;
+};
+
+/**
+ * Flag a cashier recording many purchases for the same customer in a short period
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} context - { userId, cashier, now }
+ * @returns {Promise<Object|null>} - { code, score }, or null if the rule does not apply
+ */
+const rapidPurchases = async (client, { userId, cashier, now }) => {
+  const recent = await client.transaction.count({
+    where: {
+      userId,
+      createdById: cashier.id,
+      type: 'purchase',
+      createdAt: { gte: new Date(now.getTime() - config.riskRapidWindowMinutes * MINUTE_MS) }
+    }
+  });
+
+  return recent + 1 >= config.riskRapidPurchaseCount ? { code: 'rapid_purchases', score: 60 } : null;
+};
+
+/**
+ * Flag transfers to an account that many different accounts are sending to
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} context - { senderId, recipientId, now }
+ * @returns {Promise<Object|null>} - { code, score }, or null if the rule does not apply
+ */
+const transferFunnel = async (client, { senderId, recipientId, now }) => {
+  const senders = await client.transaction.findMany({
+    where: {
+      userId: recipientId,
+      recipientId,
+      type: 'transfer',
+      senderId: { not: senderId },
+      createdAt: { gte: new Date(now.getTime() - config.riskFunnelWindowHours * HOUR_MS) }
+    },
+    distinct: ['senderId'],
+    select: { senderId: true }
+  });
+
+  return senders.length + 1 >= config.riskFunnelSenders ? { code: 'transfer_funnel', score: 60 } : null;
+};
+
+/**
+ * Note a redemption made right after the user was credited. A single one
+ * scores below the flag threshold; repeating the pattern flags it.
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {Object} context - { userId, now }
+ * @returns {Promise<Object|null>} - { code, score }, or null if the rule does not apply
+ */
+const quickRedeem = async (client, { userId, now }) => {
+  const credit = await client.transaction.findFirst({
+    where: {
+      userId,
+      amount: { gt: 0 },
+      suspicious: false,
+      type: { in: ['purchase', 'event', 'transfer', 'adjustment'] },
+      createdAt: { gte: new Date(now.getTime() - config.riskQuickRedeemMinutes * MINUTE_MS) }
+    },
+    select: { id: true }
+  });
+
+  if (!credit) {
+    return null;
+  }
+
+  const earlier = await client.transaction.count({
+    where: {
+      userId,
+      type: 'redemption',
+      flagReasons: { contains: 'quick_redeem' },
+      createdAt: { gte: new Date(now.getTime() - config.riskQuickRedeemDays * DAY_MS) }
+    }
+  });
+
+  return { code: 'quick_redeem', score: earlier + 1 >= config.riskQuickRedeemRepeat ? 60 : 20 };
+};
+
+const RULES = {
+  purchase: [suspiciousCashier, largeSpend, rapidPurchases],
+  transfer: [transferFunnel],
+  redemption: [quickRedeem]
+};
+
+/**
+ * Score a transaction about to be recorded
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {string} type - Transaction type; types without rules score 0
+ * @param {Object} context - Details the rules for the type need
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} - { suspicious, riskScore, flagReasons } ready to store on the transaction
+ */
+const assessTransaction = async (client, type, context, now = new Date()) => {
+  const hits = [];
+  for (const rule of RULES[type] || []) {
+    const hit = await rule(client, { ...context, now });
+    if (hit) {
+      hits.push(hit);
+    }
+  }
+
+  const riskScore = hits.reduce((sum, hit) => sum + hit.score, 0);
+
+  return {
+    suspicious: riskScore >= config.riskFlagScore,
+    riskScore,
+    flagReasons: hits.length > 0 ? hits.map(hit => hit.code).join(',') : null
+  };
+};
+
+/**
+ * Split a stored flagReasons column into reason codes
+ * @param {string|null} flagReasons - Comma-separated reason codes
+ * @returns {Array<string>} - Reason codes
+ */
+const parseFlagReasons = (flagReasons) => (flagReasons ? flagReasons.split(',') : []);
+
+module.exports = {
+  assessTransaction,
+  parseFlagReasons
+};
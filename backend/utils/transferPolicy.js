@@ -0,0 +1,134 @@
+/*
+ * Transfer policy: per-transfer bounds, rolling daily and weekly caps per
+ * sender, and who may receive points. Caps count every outgoing transfer in
+ * the window except those that were reversed.
+ */
+
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REJECTION_MESSAGES = {
+  self: 'You cannot transfer points to yourself',
+  recipientUnverified: 'Recipient is not verified',
+  recipientSuspicious: 'Recipient cannot receive transfers'
+};
+
+/**
+ * Get the configured transfer limits
+ * @returns {Object} - { minAmount, maxAmount, dailyLimit, weeklyLimit }
+ */
+const getTransferLimits = () => ({
+  minAmount: config.transferMinAmount,
+  maxAmount: config.transferMaxAmount,
+  dailyLimit: config.transferDailyLimit,
+  weeklyLimit: config.transferWeeklyLimit
+});
+
+/**
+ * Get the points a user has sent since a point in time
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} senderId - Sender
+ * @param {Date} since - Start of the window
+ * @returns {Promise<number>} - Points sent
+ */
+const getSentSince = async (client, senderId, since) => {
+  const result = await client.transaction.aggregate({
+    where: {
+      userId: senderId,
+      senderId,
+      type: 'transfer',
+      reversal: { is: null },
+      createdAt: { gte: since }
+    },
+    _sum: { amount: true }
+  });
+
+  return Math.abs(result._sum.amount || 0);
+};
+
+/**
+ * Get how much of the daily and weekly caps a user has used
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} senderId - Sender
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} - Limits with sentToday, sentThisWeek, remainingToday, remainingThisWeek
+ */
+const getTransferUsage = async (client, senderId, now = new Date()) => {
+  const limits = getTransferLimits();
+  const [sentToday, sentThisWeek] = await Promise.all([
+    getSentSince(client, senderId, new Date(now.getTime() - DAY_MS)),
+    getSentSince(client, senderId, new Date(now.getTime() - 7 * DAY_MS))
+  ]);
+
+  return {
+    ...limits,
+    sentToday,
+    sentThisWeek,
+    remainingToday: Math.max(limits.dailyLimit - sentToday, 0),
+    remainingThisWeek: Math.max(limits.weeklyLimit - sentThisWeek, 0)
+  };
+};
+
+/**
+ * Check a transfer amount against the per-transfer bounds
+ * @param {number} amount - Points to send
+ * @returns {string|null} - Error message, or null if allowed
+ */
+const getAmountError = (amount) => {
+  const { minAmount, maxAmount } = getTransferLimits();
+
+  if (amount < minAmount) {
+    return `Transfers must be at least ${minAmount} points`;
+  }
+
+  if (amount > maxAmount) {
+    return `Transfers cannot exceed ${maxAmount} points`;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether sending an amount would go over the daily or weekly cap
+ * @param {Object} client - Prisma client or interactive transaction client
+ * @param {number} senderId - Sender
+ * @param {number} amount - Points to send, not yet recorded
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<string|null>} - Error message, or null if allowed
+ */
+const getCapError = async (client, senderId, amount, now = new Date()) => {
+  const usage = await getTransferUsage(client, senderId, now);
+
+  if (amount > usage.remainingToday) {
+    return `Daily transfer limit of ${usage.dailyLimit} points reached; ${usage.remainingToday} points left in the last 24 hours`;
+  }
+
+  if (amount > usage.remainingThisWeek) {
+    return `Weekly transfer limit of ${usage.weeklyLimit} points reached; ${usage.remainingThisWeek} points left in the last 7 days`;
+  }
+
+  return null;
+};
+
+/**
+ * Find why a user cannot receive a transfer from a sender
+ * @param {Object} sender - Sender row
+ * @param {Object} recipient - Recipient row
+ * @returns {string|null} - Reason code, or null if allowed
+ */
+const getRecipientRejection = (sender, recipient) => {
+  if (sender.id === recipient.id) return 'self';
+  if (!recipient.verified) return 'recipientUnverified';
+  if (recipient.suspicious) return 'recipientSuspicious';
+  return null;
+};
+
+module.exports = {
+  REJECTION_MESSAGES,
+  getTransferLimits,
+  getTransferUsage,
+  getAmountError,
+  getCapError,
+  getRecipientRejection
+};
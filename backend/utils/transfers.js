@@ -0,0 +1,85 @@
+const ApiError = require('./ApiError');
+const { applyPointsChange, getAvailablePoints } = require('./pointsLedger');
+const { getTransferUsage } = require('./transferPolicy');
+const { assessTransaction } = require('./suspicionRules');
+
+/**
+ * Record a transfer as its two legs and move the points. Must run inside an
+ * interactive transaction; the caller is expected to have checked the
+ * transfer policy already; the balance and caps are re-checked after the
+ * sender is debited so concurrent transfers cannot both pass.
+ * @param {Object} tx - Interactive transaction client
+ * @param {Object} transfer - Transfer details
+ * @param {number} transfer.senderId - User sending the points
+ * @param {number} transfer.recipientId - User receiving the points
+ * @param {number} transfer.amount - Points to move, positive
+ * @param {string} [transfer.remark] - Remark stored on both legs
+ * @returns {Promise<Object>} - The sender's (outgoing) transaction
+ * @throws {ApiError} - If the sender no longer has the points or is over a cap
+ */
+const recordTransfer = async (tx, { senderId, recipientId, amount, remark }) => {
+  // Flags from the suspicious-activity rules go on the sender's leg; the
+  // points still move and the transfer waits for a manager's review
+  const assessment = await assessTransaction(tx, 'transfer', { senderId, recipientId, amount });
+  
+  // Create the sender's transaction (negative amount)
+  const outgoing = await tx.transaction.create({
+    data: {
+      userId: senderId,
+      type: 'transfer',
+      amount: -amount,  // Negative for sender
+      remark,
+      createdById: senderId,
+      senderId,
+      recipientId,
+      ...assessment
+    }
+  });
+  
+  // Create the recipient's transaction (positive amount)
+  const incoming = await tx.transaction.create({
+    data: {
+      userId: recipientId,
+      type: 'transfer',
+      amount,  // Positive for recipient
+      remark,
+      createdById: senderId,
+      senderId,
+      recipientId
+    }
+  });
+  
+  // Update sender's points balance
+  await applyPointsChange(tx, {
+    userId: senderId,
+    delta: -amount,
+    reason: 'transfer',
+    transactionId: outgoing.id
+  });
+  
+  // Re-check after the debit in case a concurrent request spent the points
+  const debited = await tx.user.findUnique({ where: { id: senderId } });
+  if (getAvailablePoints(debited) < 0) {
+    throw new ApiError('Insufficient points balance', 400);
+  }
+  
+  // Likewise for the caps, which now include this transfer
+  const usage = await getTransferUsage(tx, senderId);
+  if (usage.sentToday > usage.dailyLimit || usage.sentThisWeek > usage.weeklyLimit) {
+    throw new ApiError('Transfer limit reached', 400);
+  }
+  
+  // Update recipient's points balance
+  await applyPointsChange(tx, {
+    userId: recipientId,
+    delta: amount,
+    reason: 'transfer',
+    transactionId: incoming.id
+  });
+  
+  return outgoing;
+};
+
+module.exports = {
+  recordTransfer
+};
@@ -9,6 +9,7 @@ import UserManagementPage from './pages/users/UserManagementPage';
 import TransactionPage from './pages/transactions/TransactionPage';
 import TransactionListPage from './pages/transactions/TransactionListPage';
 import TransactionDetailPage from './pages/transactions/TransactionDetailPage';
+import ReviewQueuePage from './pages/transactions/ReviewQueuePage';
 import EventListPage from './pages/events/EventListPage';
 import EventDetailPage from './pages/events/EventDetailPage';
 import OrganizerEventListPage from './pages/events/OrganizerEventListPage';
@@ -20,6 +21,11 @@ import EventCreatePage from './pages/events/EventCreatePage';
 import PromotionListPage from './pages/promotions/PromotionListPage';
 import PromotionCreatePage from './pages/promotions/PromotionCreatePage';
 import PromotionDetailPage from './pages/promotions/PromotionDetailPage';
+import EarningPolicyPage from './pages/policies/EarningPolicyPage';
+import MembershipTierPage from './pages/policies/MembershipTierPage';
+import RewardCatalogPage from './pages/rewards/RewardCatalogPage';
+import RewardManagementPage from './pages/rewards/RewardManagementPage';
+import AuditLogPage from './pages/admin/AuditLogPage';
 import Layout from './components/layout/Layout';
 import PrivateRoute from './components/auth/PrivateRoute';
 import NotFoundPage from './pages/NotFoundPage';
@@ -44,6 +50,7 @@ function App() {
         {/* Transaction routes */}
         <Route path="/transactions" element={<TransactionPage />} />
         <Route path="/transactions/history" element={<TransactionListPage />} />
+        <Route path="/transactions/review" element={<PrivateRoute requiredRole="manager"><ReviewQueuePage /></PrivateRoute>} />
         <Route path="/transactions/:transactionId" element={<TransactionDetailPage />} />
         
         {/* Event routes */}
@@ -63,8 +70,17 @@ function App() {
           <Route path="/promotions/create" element={<PrivateRoute requiredRole="manager"><PromotionCreatePage /></PrivateRoute>} />
           <Route path="/promotions/:promotionId" element={<PrivateRoute requiredRole="manager"><PromotionDetailPage /></PrivateRoute>} />
 
+          {/* Reward catalog routes */}
+          <Route path="/rewards" element={<RewardCatalogPage />} />
+          <Route path="/rewards/manage" element={<PrivateRoute requiredRole="manager"><RewardManagementPage /></PrivateRoute>} />
+
+          {/* Earning policy routes */}
+          <Route path="/earning-policies" element={<PrivateRoute requiredRole="manager"><EarningPolicyPage /></PrivateRoute>} />
+          <Route path="/tiers" element={<PrivateRoute requiredRole="manager"><MembershipTierPage /></PrivateRoute>} />
+
           {/* Superuser routes */}
           <Route path="/admin/users" element={<PrivateRoute requiredRoles={['superuser', 'manager']}><UserManagementPage /></PrivateRoute>} />
+          <Route path="/admin/audit" element={<PrivateRoute requiredRole="superuser"><AuditLogPage /></PrivateRoute>} />
 
       </Route>
       
@@ -59,6 +59,7 @@ const Layout = () => {
             <Link to="/transactions/history" className="hover:text-blue-200">Transactions</Link>
             <Link to="/events" className="hover:text-blue-200">Events</Link>
             <Link to="/promotions" className="hover:text-blue-200">Promotions</Link>
+            <Link to="/rewards" className="hover:text-blue-200">Rewards</Link>
             
             {/* Cashier specific links */}
             {isCashier && (
@@ -86,10 +87,18 @@ const Layout = () => {
                 >
                   Manage Events
                 </Link>
+                <Link to="/transactions/review" className="hover:text-blue-200">Review Queue</Link>
+                <Link to="/earning-policies" className="hover:text-blue-200">Earning Policy</Link>
+                <Link to="/tiers" className="hover:text-blue-200">Tiers</Link>
                 <Link to="/admin/users" className="hover:text-blue-200">User Management</Link>
               </>
             )}
             
+            {/* Superuser specific links */}
+            {isSuperuser && (
+              <Link to="/admin/audit" className="hover:text-blue-200">Audit Log</Link>
+            )}
+            
             <div className="relative">
               <button 
                 className="flex items-center hover:text-blue-200"
@@ -132,6 +141,7 @@ const Layout = () => {
               <Link to="/transactions/history" className="hover:text-blue-200" onClick={toggleMobileMenu}>Transactions</Link>
               <Link to="/events" className="hover:text-blue-200" onClick={toggleMobileMenu}>Events</Link>
               <Link to="/promotions" className="hover:text-blue-200" onClick={toggleMobileMenu}>Promotions</Link>
+              <Link to="/rewards" className="hover:text-blue-200" onClick={toggleMobileMenu}>Rewards</Link>
               
               {/* Cashier specific links */}
               {isCashier && (
@@ -145,12 +155,18 @@ const Layout = () => {
               {isManager && (
                 <>
                   <Link to="/events/organizer" className="hover:text-blue-200" onClick={toggleMobileMenu}>Manage Events</Link>
+                  <Link to="/transactions/review" className="hover:text-blue-200" onClick={toggleMobileMenu}>Review Queue</Link>
+                  <Link to="/earning-policies" className="hover:text-blue-200" onClick={toggleMobileMenu}>Earning Policy</Link>
+                  <Link to="/tiers" className="hover:text-blue-200" onClick={toggleMobileMenu}>Tiers</Link>
                 </>
               )}
               
               {/* Superuser specific links */}
               {isSuperuser && (
-                <Link to="/admin/users" className="hover:text-blue-200" onClick={toggleMobileMenu}>User Management</Link>
+                <>
+                  <Link to="/admin/users" className="hover:text-blue-200" onClick={toggleMobileMenu}>User Management</Link>
+                  <Link to="/admin/audit" className="hover:text-blue-200" onClick={toggleMobileMenu}>Audit Log</Link>
+                </>
               )}
               
               <div className="border-t border-blue-600 pt-2">
@@ -1,36 +1,102 @@
 // components/qrcode/QRCodeComponents.js
-import React from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { QRCodeSVG as QRCode } from 'qrcode.react';
 import { useAuth } from '../../contexts/AuthContext';
+import { userService, transactionService } from '../../services/api';
+import { decodeQRImage, QR_ERROR_MESSAGES } from '../../utils/qrDecoder';
+
+// Fetch a fresh token this long before the current one expires
+const QR_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Keep a signed QR code token fresh. fetchToken loads { token, expiresAt, ... }
+// from the server and is called again shortly before each token expires; pass
+// null to fetch nothing.
+const useQRToken = (fetchToken) => {
+  const [qrToken, setQRToken] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!fetchToken) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer = null;
+
+    const refresh = async () => {
+      try {
+        const response = await fetchToken();
+        if (cancelled) {
+          return;
+        }
+        setQRToken(response.data);
+        setError('');
+
+        const delay = new Date(response.data.expiresAt).getTime() - Date.now() - QR_REFRESH_MARGIN_MS;
+        timer = setTimeout(refresh, Math.max(delay, 5000));
+      } catch (err) {
+        if (!cancelled) {
+          setQRToken(null);
+          setError(err.response?.data?.error || err.message);
+        }
+      }
+    };
+
+    refresh();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fetchToken]);
+
+  return { qrToken, error };
+};
+
+// Signed QR code, with loading and error states
+const SignedQRCode = ({ qrData, error, size, borderClassName }) => {
+  if (error) {
+    return <div className="text-sm text-red-600 text-center">Could not load the QR code: {error}</div>;
+  }
+
+  if (!qrData) {
+    return <div>Loading QR code...</div>;
+  }
+
+  return (
+    <div className={`border-4 ${borderClassName} rounded-lg p-2 bg-white`}>
+      <QRCode 
+        value={qrData}
+        size={size} 
+        level="M" // The signed token makes the code dense; medium correction keeps modules large enough to scan
+        includeMargin={true}
+      />
+    </div>
+  );
+};
 
 // QR code component for user identification
 const UserQRCode = ({ size = 200 }) => {
   const { currentUser } = useAuth();
+  const { qrToken, error } = useQRToken(currentUser ? userService.getQRToken : null);
   
   if (!currentUser) {
     return <div>Loading user information...</div>;
   }
   
   // Create a data object that will be encoded in the QR code
-  const qrData = JSON.stringify({
+  const qrData = qrToken && JSON.stringify({
     type: 'user',
-    id: currentUser.id,
-    utorid: currentUser.utorid,
-    name: currentUser.name
+    utorid: qrToken.utorid,
+    token: qrToken.token
   });
   
   return (
     <div className="flex flex-col items-center">
-      <div className="border-4 border-blue-500 rounded-lg p-2 bg-white">
-        <QRCode 
-          value={qrData}
-          size={size} 
-          level="H" // High error correction capability
-          includeMargin={true}
-        />
-      </div>
+      <SignedQRCode qrData={qrData} error={error} size={size} borderClassName="border-blue-500" />
       <p className="mt-2 text-center text-sm text-gray-600">
-        Scan this code to identify yourself to a cashier for purchases or transfers
+        Scan this code to identify yourself to a cashier for purchases or transfers.
+        It refreshes automatically, so screenshots stop working after a few minutes.
       </p>
     </div>
   );
@@ -38,28 +104,23 @@ const UserQRCode = ({ size = 200 }) => {
 
 // QR code component for redemption requests
 const RedemptionQRCode = ({ transaction, size = 200 }) => {
+  const transactionId = transaction?.id;
+  const fetchToken = useCallback(() => transactionService.getRedemptionQRToken(transactionId), [transactionId]);
+  const { qrToken, error } = useQRToken(transactionId ? fetchToken : null);
+  
   if (!transaction) {
   return <div>No transaction data available</div>;
   }
   
   // Create a data object that will be encoded in the QR code
-  const qrData = JSON.stringify({
+  const qrData = qrToken && JSON.stringify({
     type: 'redemption',
-    id: transaction.id,
-    amount: transaction.amount,
-    utorid: transaction.utorid || transaction.createdBy
+    token: qrToken.token
   });
   
   return (
     <div className="flex flex-col items-center">
-      <div className="border-4 border-green-500 rounded-lg p-2 bg-white">
-        <QRCode 
-          value={qrData}
-          size={size} 
-          level="H" // High error correction capability
-          includeMargin={true}
-        />
-      </div>
+      <SignedQRCode qrData={qrData} error={error} size={size} borderClassName="border-green-500" />
       <p className="mt-2 text-center text-sm text-gray-600">
         Show this QR code to a cashier to process your redemption of {Math.abs(transaction.amount)} points
       </p>
@@ -67,24 +128,186 @@ const RedemptionQRCode = ({ transaction, size = 200 }) => {
   );
 };
 
-// Simplified placeholder for QR Scanner component
-const QRScanner = () => {
+// What each scannable code identifies, for messages
+const QR_TYPE_LABELS = {
+  user: 'customer',
+  redemption: 'redemption'
+};
+
+// Camera frames are checked this often while scanning
+const SCAN_INTERVAL_MS = 250;
+
+// Large photos are scaled down to this many pixels on their longer side before decoding
+const MAX_DECODE_SIZE = 1024;
+
+// Draw an image or video frame to a canvas and read back its pixels
+const readPixels = (canvas, source, sourceWidth, sourceHeight) => {
+  const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(sourceWidth, sourceHeight));
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// QR scanner that reads a UserQRCode or RedemptionQRCode from the camera or an
+// uploaded photo and passes the parsed payload to onScan. Codes of a type not
+// listed in accept are reported and ignored.
+const QRScanner = ({ onScan, accept = ['user', 'redemption'] }) => {
+  const [scanning, setScanning] = useState(false);
+  const [message, setMessage] = useState('');
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const stopCamera = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setScanning(false);
+  }, []);
+
+  // Release the camera when the scanner goes away
+  useEffect(() => stopCamera, [stopCamera]);
+
+  // Report a decoding result; returns true if it was an accepted code
+  const handleResult = (result, reportNotFound) => {
+    if (result.error) {
+      if (result.error !== 'notFound' || reportNotFound) {
+        setMessage(QR_ERROR_MESSAGES[result.error]);
+      }
+      return false;
+    }
+
+    if (!accept.includes(result.payload.type)) {
+      const expected = accept.map(type => QR_TYPE_LABELS[type]).join(' or ');
+      setMessage(`This is a ${QR_TYPE_LABELS[result.payload.type]} code. Scan a ${expected} code instead.`);
+      return false;
+    }
+
+    setMessage('');
+    onScan(result.payload);
+    return true;
+  };
+
+  const scanFrame = () => {
+    const video = videoRef.current;
+    if (!streamRef.current || !video) {
+      return;
+    }
+
+    if (video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0) {
+      const result = decodeQRImage(readPixels(canvasRef.current, video, video.videoWidth, video.videoHeight));
+      if (handleResult(result, false)) {
+        stopCamera();
+        return;
+      }
+    }
+
+    timerRef.current = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+  };
+
+  const startCamera = async () => {
+    setMessage('');
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setMessage('This browser cannot use the camera. Upload a photo of the code instead.');
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+      // The scanner was closed while the browser asked for permission
+      if (!videoRef.current) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      streamRef.current = stream;
+      setScanning(true);
+
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      scanFrame();
+    } catch (err) {
+      stopCamera();
+      setMessage('Could not start the camera: ' + err.message + '. Upload a photo of the code instead.');
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setMessage('');
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      handleResult(decodeQRImage(readPixels(canvasRef.current, image, image.naturalWidth, image.naturalHeight)), true);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      setMessage('That file could not be read as an image.');
+    };
+    image.src = url;
+  };
+
   return (
     <div className="flex flex-col items-center border-2 border-dashed border-gray-300 rounded-lg p-6 bg-gray-50">
       <div className="text-center mb-4">
         <h3 className="font-medium text-gray-700">QR Code Scanner</h3>
         <p className="text-sm text-gray-500">
-          QR code scanning is not available in this version.
-          <br />
-          Please use the manual entry form below.
+          Scan the {accept.map(type => QR_TYPE_LABELS[type]).join(' or ')} code with the camera or upload a photo of it.
         </p>
       </div>
-      
-      <div className="flex items-center text-gray-400">
-        <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1v-2a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1z" />
-        </svg>
+
+      <video
+        ref={videoRef}
+        className={scanning ? 'w-full max-w-xs rounded-lg mb-4 bg-black' : 'hidden'}
+        playsInline
+        muted
+      />
+      <canvas ref={canvasRef} className="hidden" />
+
+      <div className="flex flex-wrap justify-center gap-2">
+        {scanning ? (
+          <button
+            type="button"
+            onClick={stopCamera}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Stop Camera
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={startCamera}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Scan with Camera
+          </button>
+        )}
+        <label className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 cursor-pointer">
+          Upload Photo
+          <input type="file" accept="image/*" className="hidden" onChange={handleFileChange} />
+        </label>
       </div>
+
+      {message && (
+        <p className="mt-3 text-sm text-center text-red-600">{message}</p>
+      )}
     </div>
   );
 };
@@ -0,0 +1,25 @@
+// hooks/useIdempotencyKey.js
+import { useCallback, useRef } from 'react';
+import { newIdempotencyKey } from '../services/api';
+
+// Keep one idempotency key per user action. getKey(inputs) returns the same
+// key for every submit of the same inputs, so a double click or a retry after
+// a timeout is applied once by the server. Changed inputs start a new action
+// with a new key; call reset() once the action succeeds so the next one does too.
+export const useIdempotencyKey = () => {
+  const action = useRef(null);
+
+  const getKey = useCallback((inputs) => {
+    const signature = JSON.stringify(inputs);
+    if (!action.current || action.current.signature !== signature) {
+      action.current = { key: newIdempotencyKey(), signature };
+    }
+    return action.current.key;
+  }, []);
+
+  const reset = useCallback(() => {
+    action.current = null;
+  }, []);
+
+  return { getKey, reset };
+};
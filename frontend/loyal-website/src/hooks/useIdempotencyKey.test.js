@@ -0,0 +1,37 @@
+import { renderHook } from '@testing-library/react';
+import { useIdempotencyKey } from './useIdempotencyKey';
+
+jest.mock('../services/api', () => {
+  let mockKeyCount = 0;
+  return { newIdempotencyKey: () => `key-${++mockKeyCount}` };
+});
+
+describe('useIdempotencyKey', () => {
+  it('reuses the key while the inputs stay the same', () => {
+    const { result, rerender } = renderHook(() => useIdempotencyKey());
+
+    const first = result.current.getKey({ amount: 50, remark: '' });
+    rerender();
+
+    expect(result.current.getKey({ amount: 50, remark: '' })).toBe(first);
+  });
+
+  it('starts a new key when the inputs change', () => {
+    const { result } = renderHook(() => useIdempotencyKey());
+
+    const first = result.current.getKey({ amount: 50 });
+    const second = result.current.getKey({ amount: 60 });
+
+    expect(second).not.toBe(first);
+    expect(result.current.getKey({ amount: 60 })).toBe(second);
+  });
+
+  it('starts a new key after a reset', () => {
+    const { result } = renderHook(() => useIdempotencyKey());
+
+    const first = result.current.getKey({ amount: 50 });
+    result.current.reset();
+
+    expect(result.current.getKey({ amount: 50 })).not.toBe(first);
+  });
+});
@@ -0,0 +1,246 @@
+// pages/admin/AuditLogPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { auditService } from '../../services/api';
+
+const targetTypes = [
+    'user',
+    'transaction',
+    'pointRequest',
+    'event',
+    'promotion',
+    'reward',
+    'earningPolicy',
+    'membershipTier',
+    'ledger',
+];
+
+const emptyFilters = {
+    actor: '',
+    action: '',
+    targetType: '',
+    targetId: '',
+    from: '',
+    to: '',
+};
+
+// Show a before/after value compactly
+const formatValue = (value) => {
+    if (value === null || value === undefined) {
+        return '—';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditLogPage = () => {
+    const [logs, setLogs] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [filters, setFilters] = useState(emptyFilters);
+    const [page, setPage] = useState(1);
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const limit = 20;
+
+    const fetchLogs = useCallback(async () => {
+        setLoading(true);
+        try {
+            const params = { page, limit };
+            Object.keys(filters).forEach((key) => {
+                if (filters[key] !== '') {
+                    params[key] = filters[key];
+                }
+            });
+            if (params.from) {
+                params.from = new Date(params.from).toISOString();
+            }
+            if (params.to) {
+                params.to = new Date(params.to).toISOString();
+            }
+
+            const response = await auditService.getLogs(params);
+            setLogs(response.data.results);
+            setTotal(response.data.count);
+            setError('');
+        } catch (err) {
+            setError('Failed to load the audit log: ' + (err.response?.data?.error || err.message));
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, page]);
+
+    useEffect(() => {
+        fetchLogs();
+    }, [fetchLogs]);
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters((prev) => ({ ...prev, [name]: value }));
+        setPage(1);
+    };
+
+    // Changed fields of an entry, with their before and after values
+    const changedFields = (log) => {
+        const keys = Object.keys({ ...(log.before || {}), ...(log.after || {}) });
+        return keys.map((key) => ({
+            key,
+            before: log.before ? log.before[key] : undefined,
+            after: log.after ? log.after[key] : undefined,
+        }));
+    };
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+    const inputClass = "w-full p-2 border border-gray-300 rounded";
+
+    return (
+        <div>
+            <h1 className="text-2xl font-bold mb-6">Audit Log</h1>
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+            )}
+
+            <div className="bg-white shadow rounded-lg p-6 mb-6">
+                <h2 className="text-lg font-semibold mb-4">Filters</h2>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Actor UTORid</label>
+                        <input type="text" name="actor" value={filters.actor} onChange={handleFilterChange} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+                        <input type="text" name="action" value={filters.action} onChange={handleFilterChange} className={inputClass} placeholder="e.g. user.update" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Target</label>
+                        <div className="flex space-x-2">
+                            <select name="targetType" value={filters.targetType} onChange={handleFilterChange} className={inputClass}>
+                                <option value="">All Types</option>
+                                {targetTypes.map((type) => (
+                                    <option key={type} value={type}>{type}</option>
+                                ))}
+                            </select>
+                            <input type="number" name="targetId" value={filters.targetId} onChange={handleFilterChange} className={inputClass} placeholder="ID" />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                        <input type="datetime-local" name="from" value={filters.from} onChange={handleFilterChange} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                        <input type="datetime-local" name="to" value={filters.to} onChange={handleFilterChange} className={inputClass} />
+                    </div>
+                    <div className="flex items-end">
+                        <button
+                            onClick={() => { setFilters(emptyFilters); setPage(1); }}
+                            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                        >
+                            Clear Filters
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            ) : logs.length === 0 ? (
+                <p className="text-gray-500">No audit entries match these filters.</p>
+            ) : (
+                <div className="bg-white shadow rounded-lg overflow-hidden">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Target</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {logs.map((log) => (
+                                <React.Fragment key={log.id}>
+                                    <tr>
+                                        <td className="px-4 py-2 text-sm whitespace-nowrap">{new Date(log.createdAt).toLocaleString()}</td>
+                                        <td className="px-4 py-2 text-sm">{log.actor}</td>
+                                        <td className="px-4 py-2 text-sm font-mono">{log.action}</td>
+                                        <td className="px-4 py-2 text-sm">
+                                            {log.targetType}{log.targetId !== null && ` #${log.targetId}`}
+                                        </td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{log.ip || '—'}</td>
+                                        <td className="px-4 py-2 text-right">
+                                            <button
+                                                onClick={() => setExpandedId(expandedId === log.id ? null : log.id)}
+                                                className="text-sm text-blue-600 hover:text-blue-800"
+                                            >
+                                                {expandedId === log.id ? 'Hide' : 'Changes'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                    {expandedId === log.id && (
+                                        <tr>
+                                            <td colSpan="6" className="px-4 py-3 bg-gray-50">
+                                                {changedFields(log).length === 0 ? (
+                                                    <p className="text-sm text-gray-500">No recorded field changes.</p>
+                                                ) : (
+                                                    <table className="text-sm w-full">
+                                                        <thead>
+                                                            <tr className="text-left text-gray-500">
+                                                                <th className="pr-4 py-1 font-medium">Field</th>
+                                                                <th className="pr-4 py-1 font-medium">Before</th>
+                                                                <th className="py-1 font-medium">After</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {changedFields(log).map((field) => (
+                                                                <tr key={field.key} className="align-top">
+                                                                    <td className="pr-4 py-1 font-mono">{field.key}</td>
+                                                                    <td className="pr-4 py-1 text-red-700 break-all">{formatValue(field.before)}</td>
+                                                                    <td className="py-1 text-green-700 break-all">{formatValue(field.after)}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="px-4 py-3 flex items-center justify-between border-t border-gray-200">
+                        <p className="text-sm text-gray-700">{total} entries</p>
+                        <nav className="inline-flex rounded-md shadow">
+                            <button
+                                onClick={() => setPage(page - 1)}
+                                disabled={page === 1}
+                                className={`px-4 py-2 rounded-l-md border border-gray-300 ${page === 1 ? 'bg-gray-200 text-gray-500 cursor-not-allowed' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                            >
+                                Previous
+                            </button>
+                            <div className="px-4 py-2 bg-white text-gray-700 border-t border-b border-gray-300">
+                                Page {page} of {totalPages}
+                            </div>
+                            <button
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= totalPages}
+                                className={`px-4 py-2 rounded-r-md border border-gray-300 ${page >= totalPages ? 'bg-gray-200 text-gray-500 cursor-not-allowed' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                            >
+                                Next
+                            </button>
+                        </nav>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuditLogPage;
@@ -1,16 +1,45 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { transactionService, eventService, promotionService } from '../../services/api';
+import { transactionService, eventService, promotionService, pointRequestService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
 import { UserQRCode } from '../../components/qrcode/QRCodeComponents';
 
 const Dashboard = () => {
-  const { currentUser, isCashier, isManager } = useAuth();
+  // One key per submission, reused if the same submission is retried
+  const idempotencyKey = useIdempotencyKey();
+  const { currentUser, isCashier, isManager, refreshUserData } = useAuth();
   const [recentTransactions, setRecentTransactions] = useState([]);
   const [upcomingEvents, setUpcomingEvents] = useState([]);
   const [activePromotions, setActivePromotions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showQR, setShowQR] = useState(false);
+  const [pointRequests, setPointRequests] = useState([]);
+  const [requestMessage, setRequestMessage] = useState('');
+
+  // Requests other users have sent that the current user still has to answer
+  const fetchPointRequests = async () => {
+    const response = await pointRequestService.getRequests({ direction: 'incoming', status: 'pending' });
+    setPointRequests(response.data.results);
+  };
+
+  const handleRespond = async (request, accept) => {
+    try {
+      setRequestMessage('');
+      if (accept) {
+        await pointRequestService.acceptRequest(request.id, idempotencyKey.getKey({ requestId: request.id }));
+        idempotencyKey.reset();
+        setRequestMessage(`Sent ${request.amount} points to ${request.requester.name}.`);
+        await refreshUserData();
+      } else {
+        await pointRequestService.declineRequest(request.id);
+        setRequestMessage(`Declined ${request.requester.name}'s request.`);
+      }
+      await fetchPointRequests();
+    } catch (err) {
+      setRequestMessage('Could not answer the request: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
+    }
+  };
 
   useEffect(() => {
     const fetchDashboardData = async () => {
@@ -28,6 +57,8 @@ const Dashboard = () => {
         });
         setUpcomingEvents(eventsResponse.data.results);
 
+        await fetchPointRequests();
+
         // Fetch active promotions if not a regular user
         if (isManager) {
           const promotionsResponse = await promotionService.getPromotions({
@@ -65,10 +96,40 @@ const Dashboard = () => {
                 {currentUser?.verified ? 'Verified Account' : 'Unverified Account'}
               </span>
               <span className="ml-2 text-sm text-gray-500">Role: {currentUser?.role}</span>
+              {currentUser?.membership?.tier && (
+                <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800 capitalize">
+                  {currentUser.membership.tier.name} member
+                </span>
+              )}
             </div>
             <div className="mt-4">
-              <div className="text-3xl font-bold text-blue-600">{currentUser?.points || 0}</div>
+              <div className="text-3xl font-bold text-blue-600">{currentUser?.available ?? currentUser?.points ?? 0}</div>
               <div className="text-sm text-gray-600">Available Points</div>
+              {currentUser?.reserved > 0 && (
+                <div className="text-sm text-gray-500">{currentUser.reserved} points held by pending redemptions</div>
+              )}
+              {currentUser?.expiringSoon?.total > 0 && (
+                <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+                  <div className="font-medium">
+                    {currentUser.expiringSoon.total} points expire in the next {currentUser.expiringSoon.withinDays} days
+                  </div>
+                  <ul>
+                    {currentUser.expiringSoon.lots.map((lot) => (
+                      <li key={lot.expiresAt}>
+                        {lot.points} on {new Date(lot.expiresAt).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {currentUser?.membership?.nextTier && (
+                <div className="text-sm text-gray-500">
+                  {currentUser.membership.nextTier.pointsNeeded > 0
+                    ? `Earn ${currentUser.membership.nextTier.pointsNeeded} more points to reach ${currentUser.membership.nextTier.name}`
+                    : `You will move up to ${currentUser.membership.nextTier.name} at the next nightly tier update`}
+                  {' '}({currentUser.membership.earnedPoints} earned in the last {currentUser.membership.windowDays} days)
+                </div>
+              )}
             </div>
           </div>
           <div className="mt-4 md:mt-0">
@@ -91,6 +152,40 @@ const Dashboard = () => {
         )}
       </div>
 
+      {(pointRequests.length > 0 || requestMessage) && (
+        <div className="bg-white shadow-md rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-4">Point Requests</h2>
+          {requestMessage && <p className="text-sm text-gray-700 mb-3">{requestMessage}</p>}
+          <ul className="divide-y divide-gray-200">
+            {pointRequests.map((request) => (
+              <li key={request.id} className="py-3 flex flex-col sm:flex-row sm:justify-between sm:items-center">
+                <div>
+                  <p className="font-medium">{request.requester.name} asks for {request.amount} points</p>
+                  <p className="text-xs text-gray-500">
+                    {request.remark && `${request.remark} · `}
+                    Expires {new Date(request.expiresAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="mt-2 sm:mt-0 space-x-2">
+                  <button
+                    onClick={() => handleRespond(request, true)}
+                    className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => handleRespond(request, false)}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Quick Actions */}
         <div className="bg-white shadow-md rounded-lg p-6">
@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import api from '../../services/api';
+import api, { eventService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
 
 const EventAwardPointsPage = () => {
+  // One key per submission, reused if the same submission is retried
+  const idempotencyKey = useIdempotencyKey();
   const { eventId } = useParams();
   const navigate = useNavigate();
   const [event, setEvent] = useState(null);
@@ -14,6 +17,7 @@ const EventAwardPointsPage = () => {
   const [filteredGuests, setFilteredGuests] = useState([]);
   const [selectedGuest, setSelectedGuest] = useState(null);
   const [awardAll, setAwardAll] = useState(false);
+  const [attendedOnly, setAttendedOnly] = useState(false);
   const [pointsFormData, setPointsFormData] = useState({
     amount: '',
     remark: ''
@@ -84,7 +88,6 @@ const EventAwardPointsPage = () => {
     
     try {
       const payload = {
-        type: 'event',
         amount: parseInt(pointsFormData.amount),
         remark: pointsFormData.remark.trim() || undefined
       };
@@ -94,10 +97,16 @@ const EventAwardPointsPage = () => {
         payload.utorid = selectedGuest.utorid;
       }
       
-      await api.post(`/events/${eventId}/transactions`, payload);
+      // Only pay guests who checked in at the event
+      if (awardAll && attendedOnly) {
+        payload.attendedOnly = true;
+      }
+      
+      await eventService.awardPoints(eventId, payload, idempotencyKey.getKey({ eventId, ...payload }));
+      idempotencyKey.reset();
       
       setSuccessMessage(awardAll 
-        ? `${pointsFormData.amount} points awarded to all guests successfully!` 
+        ? `${pointsFormData.amount} points awarded to all ${attendedOnly ? 'checked-in ' : ''}guests successfully!` 
         : `${pointsFormData.amount} points awarded to ${selectedGuest.name} successfully!`);
       setTimeout(() => setSuccessMessage(''), 3000);
       
@@ -105,6 +114,7 @@ const EventAwardPointsPage = () => {
       setPointsFormData({ amount: '', remark: '' });
       setSelectedGuest(null);
       setAwardAll(false);
+      setAttendedOnly(false);
       
       // Refresh event data to get updated points remaining
       const refreshEvent = async () => {
@@ -192,6 +202,9 @@ const EventAwardPointsPage = () => {
             <p className="text-gray-700 mt-2">
               <span className="font-semibold">Total Guests:</span> {guests.length}
             </p>
+            <p className="text-gray-700 mt-2">
+              <span className="font-semibold">Checked In:</span> {guests.filter(guest => guest.checkedInAt).length}
+            </p>
           </div>
           
           <div className="mb-4">
@@ -208,6 +221,21 @@ const EventAwardPointsPage = () => {
               </label>
             </div>
             
+            {awardAll && (
+              <div className="flex items-center mb-2 ml-6">
+                <input
+                  type="checkbox"
+                  id="attendedOnly"
+                  checked={attendedOnly}
+                  onChange={() => setAttendedOnly(!attendedOnly)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <label htmlFor="attendedOnly" className="ml-2 text-sm font-medium text-gray-700">
+                  Only guests who checked in
+                </label>
+              </div>
+            )}
+            
             {!awardAll && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Selected Guest</label>
@@ -303,6 +331,7 @@ const EventAwardPointsPage = () => {
                   <tr className="bg-gray-50">
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">UTORid</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Checked In</th>
                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Select</th>
                   </tr>
                 </thead>
@@ -314,6 +343,7 @@ const EventAwardPointsPage = () => {
                     >
                       <td className="px-6 py-4 whitespace-nowrap">{guest.name}</td>
                       <td className="px-6 py-4 whitespace-nowrap">{guest.utorid}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">{guest.checkedInAt ? 'Yes' : 'No'}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-right">
                         <button 
                           onClick={() => handleGuestSelect(guest)}
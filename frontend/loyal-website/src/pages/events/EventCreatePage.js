@@ -14,7 +14,13 @@ const EventCreatePage = () => {
     endTime: '',
     capacity: '',
     points: '',
-    published: false
+    published: false,
+    // Recurrence: leave frequency empty for a one-off event
+    frequency: '',
+    interval: '1',
+    ends: 'count',
+    count: '',
+    until: ''
   });
 
   const handleInputChange = (e) => {
@@ -43,13 +49,25 @@ const EventCreatePage = () => {
         published: formData.published
       };
       
+      // Create one event per occurrence, ending after a number of occurrences
+      // or on the last day chosen
+      if (formData.frequency) {
+        eventData.recurrence = {
+          frequency: formData.frequency,
+          interval: Number(formData.interval),
+          ...(formData.ends === 'count'
+            ? { count: Number(formData.count) }
+            : { until: new Date(`${formData.until}T23:59:59`).toISOString() })
+        };
+      }
+      
       const response = await api.post('/events', eventData);
       
       // Navigate to the event management page
       navigate(`/events/manage/${response.data.id}`);
     } catch (err) {
       console.error('Error creating event:', err);
-      setError(err.response?.data?.message || 'Failed to create event. Please check your inputs and try again.');
+      setError(err.response?.data?.error || err.response?.data?.message || 'Failed to create event. Please check your inputs and try again.');
       setLoading(false);
     }
   };
@@ -136,7 +154,9 @@ const EventCreatePage = () => {
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Total Points</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {formData.frequency ? 'Total Points (per occurrence)' : 'Total Points'}
+              </label>
               <input
                 type="number"
                 name="points"
@@ -160,6 +180,81 @@ const EventCreatePage = () => {
               ></textarea>
             </div>
             
+            <div className="md:col-span-2 border-t pt-6">
+              <h2 className="text-lg font-semibold mb-4">Repeat</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+                  <select
+                    name="frequency"
+                    value={formData.frequency}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border border-gray-300 rounded"
+                  >
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                </div>
+                
+                {formData.frequency && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Every ({formData.frequency === 'daily' ? 'days' : formData.frequency === 'weekly' ? 'weeks' : 'months'})
+                      </label>
+                      <input
+                        type="number"
+                        name="interval"
+                        value={formData.interval}
+                        onChange={handleInputChange}
+                        className="w-full p-2 border border-gray-300 rounded"
+                        min="1"
+                        required
+                      />
+                    </div>
+                    
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                      <div className="flex">
+                        <select
+                          name="ends"
+                          value={formData.ends}
+                          onChange={handleInputChange}
+                          className="p-2 border border-gray-300 rounded-l"
+                        >
+                          <option value="count">After</option>
+                          <option value="until">On</option>
+                        </select>
+                        {formData.ends === 'count' ? (
+                          <input
+                            type="number"
+                            name="count"
+                            value={formData.count}
+                            onChange={handleInputChange}
+                            className="w-full p-2 border border-gray-300 rounded-r"
+                            placeholder="Occurrences"
+                            min="1"
+                            required
+                          />
+                        ) : (
+                          <input
+                            type="date"
+                            name="until"
+                            value={formData.until}
+                            onChange={handleInputChange}
+                            className="w-full p-2 border border-gray-300 rounded-r"
+                            required
+                          />
+                        )}
+                      </div>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+            
             <div className="flex items-center">
               <input
                 type="checkbox"
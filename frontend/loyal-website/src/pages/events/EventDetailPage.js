@@ -3,6 +3,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { eventService } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
+import { describeRecurrence } from '../../utils/eventSeries';
 
 const EventDetailPage = () => {
   const { eventId } = useParams();
@@ -30,9 +31,7 @@ const EventDetailPage = () => {
       setEvent(response.data);
       
       // Check if current user is in the guest list
-      if (currentUser && response.data.guests) {
-        setHasRsvp(response.data.guests.some(guest => guest.id === currentUser.id));
-      }
+      setHasRsvp(response.data.isGuest);
       
       // Check if current user is an organizer
       if (currentUser && response.data.organizers) {
@@ -66,7 +65,7 @@ const EventDetailPage = () => {
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       if (err.response?.status === 410) {
-        setError('Sorry, this event is either full or has ended.');
+        setError(err.response.data?.error || 'Sorry, this event is either full or has ended.');
       } else if (err.response?.status === 400) {
         setError('You are the organizer or you are already on the guest list');
       }
@@ -109,6 +108,48 @@ const EventDetailPage = () => {
     }
   };
   
+  const handleJoinWaitlist = async () => {
+    try {
+      setRsvpLoading(true);
+      setError('');
+      
+      const response = await eventService.joinWaitlist(eventId);
+      
+      setSuccess(`You are #${response.data.position} on the waitlist. You will be added to the guest list automatically when a spot opens.`);
+      
+      // Refresh event details to get the waitlist position
+      fetchEventDetails();
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError('Failed to join the waitlist: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setRsvpLoading(false);
+    }
+  };
+  
+  const handleLeaveWaitlist = async () => {
+    try {
+      setRsvpLoading(true);
+      setError('');
+      
+      await eventService.leaveWaitlist(eventId);
+      
+      setSuccess('You have left the waitlist.');
+      
+      // Refresh event details to get the waitlist count
+      fetchEventDetails();
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError('Failed to leave the waitlist: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setRsvpLoading(false);
+    }
+  };
+  
   // Helper function to format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -285,6 +326,11 @@ const EventDetailPage = () => {
                     RSVP'd
                   </span>
                 )}
+                {event.waitlistPosition && (
+                  <span className="ml-2 px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                    Waitlist #{event.waitlistPosition}
+                  </span>
+                )}
               </div>
               <h2 className="text-xl font-semibold mt-1">{event.name}</h2>
             </div>
@@ -301,6 +347,26 @@ const EventDetailPage = () => {
                   >
                     {rsvpLoading ? 'Processing...' : 'Cancel RSVP'}
                   </button>
+                ) : event.waitlistPosition ? (
+                  <button
+                    onClick={handleLeaveWaitlist}
+                    disabled={rsvpLoading}
+                    className={`px-4 py-2 border border-yellow-300 text-yellow-700 rounded-md hover:bg-yellow-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500 ${
+                      rsvpLoading ? 'opacity-50 cursor-not-allowed' : ''
+                    }`}
+                  >
+                    {rsvpLoading ? 'Processing...' : 'Leave Waitlist'}
+                  </button>
+                ) : isEventFull(event) || event.numWaitlisted > 0 ? (
+                  <button
+                    onClick={handleJoinWaitlist}
+                    disabled={rsvpLoading}
+                    className={`px-4 py-2 border border-transparent text-white bg-yellow-600 rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500 ${
+                      rsvpLoading ? 'opacity-50 cursor-not-allowed' : ''
+                    }`}
+                  >
+                    {rsvpLoading ? 'Processing...' : 'Join Waitlist'}
+                  </button>
                 ) : (
                   <button
                     onClick={handleRsvp}
@@ -364,6 +430,24 @@ const EventDetailPage = () => {
                   </div>
                 </div>
                 
+                {event.series && (
+                  <div>
+                    <div className="text-sm text-gray-500 mb-1">Repeats</div>
+                    <div className="font-medium ml-6">{describeRecurrence(event.series)}</div>
+                    <ul className="ml-6 mt-1 space-y-1">
+                      {event.series.occurrences
+                        .filter(occurrence => occurrence.id !== event.id && new Date(occurrence.endTime) > new Date())
+                        .map(occurrence => (
+                          <li key={occurrence.id} className="text-sm">
+                            <Link to={`/events/${occurrence.id}`} className="text-blue-600 hover:text-blue-800">
+                              {formatDate(occurrence.startTime)} at {formatTime(occurrence.startTime)}
+                            </Link>
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                )}
+                
                 <div>
                   <div className="text-sm text-gray-500 mb-1">Location</div>
                   <div className="flex items-center">
@@ -383,6 +467,7 @@ const EventDetailPage = () => {
                     </svg>
                     <div className="font-medium">
                       {event.capacity ? `${event.numGuests}/${event.capacity}` : 'Unlimited'}
+                      {event.numWaitlisted > 0 && ` (${event.numWaitlisted} on the waitlist)`}
                     </div>
                   </div>
                 </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../services/api';
+import { QRScanner } from '../../components/qrcode/QRCodeComponents';
 
 const EventGuestsPage = () => {
   const { eventId } = useParams();
@@ -15,6 +16,9 @@ const EventGuestsPage = () => {
   const [guests, setGuests] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [filteredGuests, setFilteredGuests] = useState([]);
+  const [checkInUtorid, setCheckInUtorid] = useState('');
+  const [walkIn, setWalkIn] = useState(false);
+  const [waitlist, setWaitlist] = useState([]);
 
   const fetchEvent = useCallback(async () => {
     setLoading(true);
@@ -23,6 +27,8 @@ const EventGuestsPage = () => {
       setEvent(response.data);
       setGuests(response.data.guests || []);
       setFilteredGuests(response.data.guests || []);
+      const waitlistResponse = await api.get(`/events/${eventId}/waitlist`);
+      setWaitlist(waitlistResponse.data.results);
       setLoading(false);
     } catch (err) {
       console.error('Error fetching event:', err);
@@ -35,6 +41,22 @@ const EventGuestsPage = () => {
     fetchEvent();
   }, [fetchEvent]);
 
+  // Reload guests and the waitlist without the loading spinner, e.g. after
+  // a spot opens and waitlisted users are moved onto the guest list
+  const refreshGuests = async () => {
+    try {
+      const [eventResponse, waitlistResponse] = await Promise.all([
+        api.get(`/events/${eventId}`),
+        api.get(`/events/${eventId}/waitlist`)
+      ]);
+      setEvent(eventResponse.data);
+      setGuests(eventResponse.data.guests || []);
+      setWaitlist(waitlistResponse.data.results);
+    } catch (err) {
+      console.error('Error refreshing guests:', err);
+    }
+  };
+
   useEffect(() => {
     if (guests.length > 0 && searchQuery) {
       setFilteredGuests(guests.filter(guest =>
@@ -85,8 +107,11 @@ const EventGuestsPage = () => {
       setSuccessMessage('Guest removed successfully!');
       setTimeout(() => setSuccessMessage(''), 3000);
 
-      // Update the guest list
+      // Update the guest list; the next users on the waitlist may have taken the spot
       setGuests(prev => prev.filter(guest => guest.id !== userId));
+      if (waitlist.length > 0) {
+        refreshGuests();
+      }
     } catch (err) {
       console.error('Error removing guest:', err);
       setError(err.response?.data?.message || 'Failed to remove guest. Please try again.');
@@ -94,6 +119,72 @@ const EventGuestsPage = () => {
     }
   };
 
+  // Check a guest in by UTORid or by the signed token from their QR code
+  const checkIn = async (checkInData) => {
+    try {
+      const response = await api.post(`/events/${eventId}/check-ins`, checkInData);
+      const { guest } = response.data;
+
+      setSuccessMessage(`${guest.name} (${guest.utorid}) ${guest.walkIn ? 'was added as a walk-in and ' : ''}checked in.`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+      setCheckInUtorid('');
+      setWalkIn(false);
+
+      // Update the guest list, adding walk-ins (who leave the waitlist if they were on it)
+      setGuests(prev => (prev.some(g => g.id === guest.id)
+        ? prev.map(g => (g.id === guest.id ? { ...g, checkedInAt: guest.checkedInAt } : g))
+        : [...prev, guest]));
+      setWaitlist(prev => prev.filter(entry => entry.id !== guest.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to check in guest. Please try again.');
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  const handleCheckIn = (e) => {
+    e.preventDefault();
+
+    if (!checkInUtorid.trim()) {
+      setError('Please enter a valid UTORid.');
+      setTimeout(() => setError(null), 3000);
+      return;
+    }
+
+    checkIn({ utorid: checkInUtorid.trim(), walkIn });
+  };
+
+  const handleScanCheckIn = (payload) => {
+    checkIn({ qrToken: payload.token, walkIn });
+  };
+
+  const handleUndoCheckIn = async (userId) => {
+    try {
+      await api.delete(`/events/${eventId}/check-ins/${userId}`);
+      setSuccessMessage('Check-in undone.');
+      setTimeout(() => setSuccessMessage(''), 3000);
+
+      // Update the guest list
+      setGuests(prev => prev.map(guest => (guest.id === userId ? { ...guest, checkedInAt: null } : guest)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to undo check-in. Please try again.');
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  // Move a waitlisted user one place up (-1) or down (1)
+  const handleMoveWaitlist = async (index, direction) => {
+    const userIds = waitlist.map(entry => entry.id);
+    [userIds[index], userIds[index + direction]] = [userIds[index + direction], userIds[index]];
+
+    try {
+      const response = await api.put(`/events/${eventId}/waitlist`, { userIds });
+      setWaitlist(response.data.results);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reorder the waitlist. Please try again.');
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setGuestFormData(prev => ({
@@ -157,6 +248,49 @@ const EventGuestsPage = () => {
         </div>
       )}
 
+      {/* Check-in */}
+      <div className="bg-white shadow rounded-lg p-6 mb-8">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">Check In</h2>
+          <span className="text-gray-700">
+            <span className="font-semibold">Checked in:</span> {guests.filter(guest => guest.checkedInAt).length}/{guests.length}
+          </span>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+          <QRScanner accept={['user']} onScan={handleScanCheckIn} />
+          <form onSubmit={handleCheckIn}>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">UTORid</label>
+              <input
+                type="text"
+                value={checkInUtorid}
+                onChange={(e) => setCheckInUtorid(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded"
+                placeholder="Enter UTORid"
+              />
+            </div>
+            <div className="flex items-center mb-4">
+              <input
+                type="checkbox"
+                id="walkIn"
+                checked={walkIn}
+                onChange={() => setWalkIn(!walkIn)}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <label htmlFor="walkIn" className="ml-2 text-sm font-medium text-gray-700">
+                Walk-in: add to the guest list if they did not RSVP
+              </label>
+            </div>
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded w-full"
+            >
+              Check In
+            </button>
+          </form>
+        </div>
+      </div>
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
         {/* Add Guest Form */}
         <div className="bg-white shadow rounded-lg p-6">
@@ -228,6 +362,7 @@ const EventGuestsPage = () => {
                   <tr className="bg-gray-50">
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">UTORid</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Checked In</th>
                     {isManager && (
                       <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                     )}
@@ -238,6 +373,27 @@ const EventGuestsPage = () => {
                     <tr key={guest.id}>
                       <td className="px-6 py-4 whitespace-nowrap">{guest.name}</td>
                       <td className="px-6 py-4 whitespace-nowrap">{guest.utorid}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {guest.checkedInAt ? (
+                          <>
+                            {new Date(guest.checkedInAt).toLocaleTimeString()}
+                            {guest.walkIn && <span className="ml-1 text-xs text-gray-500">(walk-in)</span>}
+                            <button
+                              onClick={() => handleUndoCheckIn(guest.id)}
+                              className="ml-2 text-sm text-gray-600 hover:text-gray-900"
+                            >
+                              Undo
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => checkIn({ utorid: guest.utorid })}
+                            className="text-blue-600 hover:text-blue-900"
+                          >
+                            Check in
+                          </button>
+                        )}
+                      </td>
                       {isManager && (
                         <td className="px-6 py-4 whitespace-nowrap text-right">
                           <button
@@ -256,6 +412,58 @@ const EventGuestsPage = () => {
           )}
         </div>
       </div>
+
+      {/* Waitlist */}
+      <div className="bg-white shadow rounded-lg p-6 mt-8">
+        <h2 className="text-xl font-semibold mb-2">Waitlist ({waitlist.length})</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          When a spot opens, users are added to the guest list in this order.
+        </p>
+
+        {waitlist.length === 0 ? (
+          <p className="text-gray-700 text-center py-8">Nobody is on the waitlist.</p>
+        ) : (
+          <div className="overflow-y-auto max-h-96">
+            <table className="min-w-full">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">UTORid</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Joined</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {waitlist.map((entry, index) => (
+                  <tr key={entry.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">{entry.position}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{entry.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{entry.utorid}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{new Date(entry.joinedAt).toLocaleString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => handleMoveWaitlist(index, -1)}
+                        disabled={index === 0}
+                        className="text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                      >
+                        Up
+                      </button>
+                      <button
+                        onClick={() => handleMoveWaitlist(index, 1)}
+                        disabled={index === waitlist.length - 1}
+                        className="ml-3 text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                      >
+                        Down
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../services/api';
+import { describeRecurrence } from '../../utils/eventSeries';
 
 const EventManagementPage = () => {
   const { eventId } = useParams();
@@ -22,6 +23,8 @@ const EventManagementPage = () => {
     published: false
   });
   const [successMessage, setSuccessMessage] = useState('');
+  // For an event in a series: save changes to this occurrence or to it and all later ones
+  const [scope, setScope] = useState('this');
 
   const fetchEvent = useCallback(async () => {
     setLoading(true);
@@ -77,6 +80,10 @@ const EventManagementPage = () => {
       updateData.published = formData.published;
     }
     
+    if (event.series) {
+      updateData.scope = scope;
+    }
+    
     try {
       const response = await api.patch(`/events/${eventId}`, updateData);
       
@@ -86,14 +93,16 @@ const EventManagementPage = () => {
         ...response.data
       }));
       
-      setSuccessMessage('Event updated successfully!');
+      setSuccessMessage(response.data.occurrencesUpdated
+        ? `${response.data.occurrencesUpdated} occurrences updated successfully!`
+        : 'Event updated successfully!');
       setTimeout(() => setSuccessMessage(''), 3000);
       setIsEditing(false);
       fetchEvent(); // Refresh the data
     } catch (err) {
       console.error('Error updating event:', err);
       if (err.response?.status === 400) {
-        setError('Can\'t edit event that is already ended.');
+        setError(err.response.data?.error || 'Can\'t edit event that is already ended.');
       } else {
         setError(err.response?.data?.message || 'Failed to update event. Please try again.');
       }
@@ -218,6 +227,11 @@ const EventManagementPage = () => {
                 <p className="text-gray-700 mb-2">
                   <span className="font-semibold">Points Awarded:</span> {event.pointsAwarded}
                 </p>
+                {event.series && (
+                  <p className="text-gray-700 mb-2">
+                    <span className="font-semibold">Repeats:</span> {describeRecurrence(event.series)}
+                  </p>
+                )}
                 <p className="text-gray-700 mb-2">
                   <span className="font-semibold">Status:</span> 
                   {event.published ? 
@@ -252,6 +266,28 @@ const EventManagementPage = () => {
                 ) : (
                   <p className="text-gray-700">No guests have RSVPed yet.</p>
                 )}
+                
+                {event.series && (
+                  <>
+                    <h3 className="text-lg font-medium mt-6 mb-2">Occurrences</h3>
+                    <ul className="list-disc pl-5 max-h-40 overflow-y-auto">
+                      {event.series.occurrences.map(occurrence => (
+                        <li key={occurrence.id} className="mb-1">
+                          {occurrence.id === event.id ? (
+                            <span className="font-semibold">{formatDateTime(occurrence.startTime)} (this one)</span>
+                          ) : (
+                            <button
+                              onClick={() => navigate(`/events/manage/${occurrence.id}`)}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              {formatDateTime(occurrence.startTime)}
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
               </div>
             </div>
             
@@ -386,6 +422,34 @@ const EventManagementPage = () => {
                   <label className="ml-2 text-sm font-medium text-gray-700">Publish Event</label>
                 </div>
               )}
+              
+              {event.series && (
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Apply changes to</label>
+                  <div className="flex items-center mb-1">
+                    <input
+                      type="radio"
+                      id="scopeThis"
+                      checked={scope === 'this'}
+                      onChange={() => setScope('this')}
+                      className="h-4 w-4 text-blue-600 border-gray-300"
+                    />
+                    <label htmlFor="scopeThis" className="ml-2 text-sm text-gray-700">This occurrence</label>
+                  </div>
+                  <div className="flex items-center">
+                    <input
+                      type="radio"
+                      id="scopeFuture"
+                      checked={scope === 'future'}
+                      onChange={() => setScope('future')}
+                      className="h-4 w-4 text-blue-600 border-gray-300"
+                    />
+                    <label htmlFor="scopeFuture" className="ml-2 text-sm text-gray-700">
+                      This and all future occurrences{isManager ? '' : ' you organize'} (new times keep each occurrence on the series schedule)
+                    </label>
+                  </div>
+                </div>
+              )}
             </div>
             
             <div className="mt-6 flex justify-end">
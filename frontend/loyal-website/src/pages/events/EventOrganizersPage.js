@@ -11,6 +11,8 @@ const EventOrganizersPage = () => {
   const [successMessage, setSuccessMessage] = useState('');
   const [organizerFormData, setOrganizerFormData] = useState({ utorid: '' });
   const [organizers, setOrganizers] = useState([]);
+  // For an event in a series: also add or remove organizers on all later occurrences
+  const [allFuture, setAllFuture] = useState(true);
 
   const fetchEvent = useCallback(async () => {
     setLoading(true);
@@ -41,10 +43,13 @@ const EventOrganizersPage = () => {
     
     try {
       const response = await api.post(`/events/${eventId}/organizers`, {
-        utorid: organizerFormData.utorid.trim()
+        utorid: organizerFormData.utorid.trim(),
+        ...(event.series ? { scope: allFuture ? 'future' : 'this' } : {})
       });
       
-      setSuccessMessage(`${organizerFormData.utorid} has been added as an organizer successfully!`);
+      setSuccessMessage(response.data.occurrencesUpdated
+        ? `${organizerFormData.utorid} has been added as an organizer of ${response.data.occurrencesUpdated} occurrences successfully!`
+        : `${organizerFormData.utorid} has been added as an organizer successfully!`);
       setTimeout(() => setSuccessMessage(''), 3000);
       setOrganizerFormData({ utorid: '' });
       
@@ -56,7 +61,7 @@ const EventOrganizersPage = () => {
       }
     } catch (err) {
       console.error('Error adding organizer:', err);
-      setError(err.response?.data?.message || 'Failed to add organizer. Please check the UTORid and try again.');
+      setError(err.response?.data?.error || err.response?.data?.message || 'Failed to add organizer. Please check the UTORid and try again.');
       setTimeout(() => setError(null), 3000);
     }
   };
@@ -67,7 +72,9 @@ const EventOrganizersPage = () => {
     }
     
     try {
-      await api.delete(`/events/${eventId}/organizers/${userId}`);
+      await api.delete(`/events/${eventId}/organizers/${userId}`, {
+        params: event.series ? { scope: allFuture ? 'future' : 'this' } : {}
+      });
       setSuccessMessage('Organizer removed successfully!');
       setTimeout(() => setSuccessMessage(''), 3000);
       
@@ -156,6 +163,20 @@ const EventOrganizersPage = () => {
                 required
               />
             </div>
+            {event.series && (
+              <div className="flex items-center mb-4">
+                <input
+                  type="checkbox"
+                  id="allFuture"
+                  checked={allFuture}
+                  onChange={() => setAllFuture(!allFuture)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <label htmlFor="allFuture" className="ml-2 text-sm font-medium text-gray-700">
+                  Also add or remove on all future occurrences of this series
+                </label>
+              </div>
+            )}
             <button 
               type="submit"
               className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded w-full"
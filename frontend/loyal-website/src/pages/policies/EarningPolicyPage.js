@@ -0,0 +1,315 @@
+// pages/policies/EarningPolicyPage.js
+import React, { useState, useEffect } from 'react';
+import { earningPolicyService } from '../../services/api';
+
+const roundingLabels = {
+    floor: 'Round down',
+    round: 'Round half up',
+    bankers: "Banker's rounding (half to even)",
+};
+
+const emptyForm = {
+    pointsPerDollar: '4',
+    rounding: 'round',
+    effectiveFrom: '',
+    remark: '',
+    tiers: [],
+};
+
+const EarningPolicyPage = () => {
+    const [policies, setPolicies] = useState([]);
+    const [formData, setFormData] = useState(emptyForm);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchPolicies();
+    }, []);
+
+    const fetchPolicies = async () => {
+        try {
+            setLoading(true);
+            const response = await earningPolicyService.getPolicies();
+            setPolicies(response.data.results);
+        } catch (err) {
+            setError('Failed to load earning policies: ' + (err.response?.data?.message || err.message));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString();
+    };
+
+    // Handle input changes
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+    };
+
+    const handleTierChange = (index, field, value) => {
+        setFormData((prev) => ({
+            ...prev,
+            tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)),
+        }));
+    };
+
+    const addTier = () => {
+        setFormData((prev) => ({
+            ...prev,
+            tiers: [...prev.tiers, { minLifetimeSpend: '', multiplier: '' }],
+        }));
+    };
+
+    const removeTier = (index) => {
+        setFormData((prev) => ({
+            ...prev,
+            tiers: prev.tiers.filter((_, i) => i !== index),
+        }));
+    };
+
+    // Handle form submission
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+        setSuccess('');
+
+        const payload = {
+            pointsPerDollar: parseFloat(formData.pointsPerDollar),
+            rounding: formData.rounding,
+            remark: formData.remark.trim(),
+            tiers: formData.tiers.map((tier) => ({
+                minLifetimeSpend: parseFloat(tier.minLifetimeSpend),
+                multiplier: parseFloat(tier.multiplier),
+            })),
+        };
+
+        if (formData.effectiveFrom) {
+            payload.effectiveFrom = new Date(formData.effectiveFrom).toISOString();
+        }
+
+        try {
+            await earningPolicyService.createPolicy(payload);
+            setSuccess('Earning policy created successfully!');
+            setFormData(emptyForm);
+            fetchPolicies();
+        } catch (err) {
+            setError('Failed to create earning policy: ' + (err.response?.data?.message || err.message));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm";
+
+    return (
+        <div>
+            <h1 className="text-2xl font-bold mb-6">Earning Policy</h1>
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+            )}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm font-medium text-green-800">{success}</p>
+                </div>
+            )}
+
+            <div className="bg-white shadow rounded-lg p-6 mb-8">
+                <h2 className="text-lg font-semibold mb-2">New Policy</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Policies cannot be edited. A new policy replaces the current one from its effective date,
+                    and past purchases keep the policy they were earned under.
+                </p>
+
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <label htmlFor="pointsPerDollar" className="block text-sm font-medium text-gray-700">
+                                Points per Dollar
+                            </label>
+                            <input
+                                type="number"
+                                id="pointsPerDollar"
+                                name="pointsPerDollar"
+                                value={formData.pointsPerDollar}
+                                onChange={handleChange}
+                                required
+                                min="0.01"
+                                step="0.01"
+                                className={inputClass}
+                            />
+                        </div>
+
+                        <div>
+                            <label htmlFor="rounding" className="block text-sm font-medium text-gray-700">
+                                Rounding
+                            </label>
+                            <select
+                                id="rounding"
+                                name="rounding"
+                                value={formData.rounding}
+                                onChange={handleChange}
+                                className={inputClass}
+                            >
+                                {Object.entries(roundingLabels).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div>
+                            <label htmlFor="effectiveFrom" className="block text-sm font-medium text-gray-700">
+                                Effective From (Optional, defaults to now)
+                            </label>
+                            <input
+                                type="datetime-local"
+                                id="effectiveFrom"
+                                name="effectiveFrom"
+                                value={formData.effectiveFrom}
+                                onChange={handleChange}
+                                className={inputClass}
+                            />
+                        </div>
+
+                        <div>
+                            <label htmlFor="remark" className="block text-sm font-medium text-gray-700">
+                                Remark (Optional)
+                            </label>
+                            <input
+                                type="text"
+                                id="remark"
+                                name="remark"
+                                value={formData.remark}
+                                onChange={handleChange}
+                                className={inputClass}
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="flex justify-between items-center mb-2">
+                            <span className="block text-sm font-medium text-gray-700">
+                                Lifetime Spend Tiers
+                            </span>
+                            <button
+                                type="button"
+                                onClick={addTier}
+                                className="text-sm text-blue-600 hover:text-blue-800"
+                            >
+                                + Add Tier
+                            </button>
+                        </div>
+                        {formData.tiers.length === 0 ? (
+                            <p className="text-sm text-gray-500">No tiers: every customer earns the base rate.</p>
+                        ) : (
+                            <div className="space-y-3">
+                                {formData.tiers.map((tier, index) => (
+                                    <div key={index} className="flex items-end space-x-3">
+                                        <div className="flex-1">
+                                            <label className="block text-xs text-gray-600">Lifetime spend from ($)</label>
+                                            <input
+                                                type="number"
+                                                value={tier.minLifetimeSpend}
+                                                onChange={(e) => handleTierChange(index, 'minLifetimeSpend', e.target.value)}
+                                                required
+                                                min="0"
+                                                step="0.01"
+                                                className={inputClass}
+                                            />
+                                        </div>
+                                        <div className="flex-1">
+                                            <label className="block text-xs text-gray-600">Multiplier</label>
+                                            <input
+                                                type="number"
+                                                value={tier.multiplier}
+                                                onChange={(e) => handleTierChange(index, 'multiplier', e.target.value)}
+                                                required
+                                                min="0.01"
+                                                step="0.01"
+                                                className={inputClass}
+                                            />
+                                        </div>
+                                        <button
+                                            type="button"
+                                            onClick={() => removeTier(index)}
+                                            className="px-3 py-2 text-sm text-red-600 hover:text-red-800"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={submitting}
+                        className={`w-full px-4 py-2 bg-blue-600 text-white rounded-lg ${submitting ? 'opacity-50 cursor-not-allowed' : ''}`}
+                    >
+                        {submitting ? 'Creating...' : 'Create Policy'}
+                    </button>
+                </form>
+            </div>
+
+            <h2 className="text-lg font-semibold mb-4">History</h2>
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            ) : policies.length === 0 ? (
+                <p className="text-gray-500">No earning policies have been created.</p>
+            ) : (
+                <div className="space-y-4">
+                    {policies.map((policy) => (
+                        <div
+                            key={policy.id}
+                            className={`bg-white shadow rounded-lg p-4 border-l-4 ${policy.active ? 'border-green-500' : 'border-gray-300'}`}
+                        >
+                            <div className="flex justify-between items-center mb-2">
+                                <h3 className="font-semibold">
+                                    Policy #{policy.id}: {policy.pointsPerDollar} points per dollar
+                                </h3>
+                                {policy.active ? (
+                                    <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Current</span>
+                                ) : new Date(policy.effectiveFrom) > new Date() ? (
+                                    <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">Scheduled</span>
+                                ) : (
+                                    <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">Superseded</span>
+                                )}
+                            </div>
+                            <p className="text-sm text-gray-600">
+                                Effective from {formatDate(policy.effectiveFrom)}
+                                {policy.createdBy && ` · created by ${policy.createdBy}`}
+                            </p>
+                            <p className="text-sm text-gray-600">Rounding: {roundingLabels[policy.rounding] || policy.rounding}</p>
+                            {policy.tiers.length > 0 && (
+                                <ul className="mt-2 text-sm text-gray-700 list-disc list-inside">
+                                    {policy.tiers.map((tier) => (
+                                        <li key={tier.minLifetimeSpend}>
+                                            Lifetime spend ${tier.minLifetimeSpend} or more: ×{tier.multiplier}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {policy.remark && <p className="mt-2 text-sm text-gray-500">{policy.remark}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EarningPolicyPage;
@@ -0,0 +1,189 @@
+// pages/policies/MembershipTierPage.js
+import React, { useState, useEffect } from 'react';
+import { tierService } from '../../services/api';
+
+const emptyTier = { name: '', minPoints: '', multiplier: '1' };
+
+const MembershipTierPage = () => {
+    const [tiers, setTiers] = useState([]);
+    const [newTier, setNewTier] = useState(emptyTier);
+    const [editingId, setEditingId] = useState(null);
+    const [editTier, setEditTier] = useState(emptyTier);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchTiers();
+    }, []);
+
+    const fetchTiers = async () => {
+        try {
+            setLoading(true);
+            const response = await tierService.getTiers();
+            setTiers(response.data.results);
+        } catch (err) {
+            setError('Failed to load membership tiers: ' + (err.response?.data?.message || err.message));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toPayload = (tier) => ({
+        name: tier.name.trim(),
+        minPoints: parseInt(tier.minPoints),
+        multiplier: parseFloat(tier.multiplier),
+    });
+
+    // Run a tier request and refresh the list on success
+    const runAction = async (action, message) => {
+        setError('');
+        setSuccess('');
+        try {
+            const response = await action();
+            setSuccess(typeof message === 'function' ? message(response) : message);
+            fetchTiers();
+            return true;
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+            return false;
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (await runAction(() => tierService.createTier(toPayload(newTier)), 'Tier created.')) {
+            setNewTier(emptyTier);
+        }
+    };
+
+    const startEdit = (tier) => {
+        setEditingId(tier.id);
+        setEditTier({ name: tier.name, minPoints: String(tier.minPoints), multiplier: String(tier.multiplier) });
+    };
+
+    const handleSave = async (tierId) => {
+        if (await runAction(() => tierService.updateTier(tierId, toPayload(editTier)), 'Tier updated. Members move at the next recalculation.')) {
+            setEditingId(null);
+        }
+    };
+
+    const handleDelete = (tier) => {
+        if (window.confirm(`Delete the ${tier.name} tier? Its members will be moved to the tier they qualify for.`)) {
+            runAction(() => tierService.deleteTier(tier.id), 'Tier deleted.');
+        }
+    };
+
+    const handleRecalculate = () => {
+        runAction(
+            () => tierService.recalculate(),
+            (response) => `Recalculated ${response.data.checked} users; ${response.data.changed} changed tier.`
+        );
+    };
+
+    const inputClass = "px-2 py-1 border border-gray-300 rounded-md text-sm w-full";
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-2xl font-bold">Membership Tiers</h1>
+                <button
+                    onClick={handleRecalculate}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                    Recalculate Now
+                </button>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+                Members are placed in the highest tier whose threshold they have earned from purchases and events
+                within the rolling window. Tiers are recalculated every night.
+            </p>
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+            )}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm font-medium text-green-800">{success}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            ) : (
+                <div className="bg-white shadow rounded-lg overflow-hidden mb-8">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Points Needed</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Earning Multiplier</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {tiers.map((tier) => (
+                                editingId === tier.id ? (
+                                    <tr key={tier.id}>
+                                        <td className="px-4 py-2">
+                                            <input className={inputClass} value={editTier.name} onChange={(e) => setEditTier({ ...editTier, name: e.target.value })} />
+                                        </td>
+                                        <td className="px-4 py-2">
+                                            <input type="number" min="0" step="1" className={inputClass} value={editTier.minPoints} onChange={(e) => setEditTier({ ...editTier, minPoints: e.target.value })} />
+                                        </td>
+                                        <td className="px-4 py-2">
+                                            <input type="number" min="0.01" step="0.01" className={inputClass} value={editTier.multiplier} onChange={(e) => setEditTier({ ...editTier, multiplier: e.target.value })} />
+                                        </td>
+                                        <td className="px-4 py-2 text-right space-x-2 whitespace-nowrap">
+                                            <button onClick={() => handleSave(tier.id)} className="text-sm text-blue-600 hover:text-blue-800">Save</button>
+                                            <button onClick={() => setEditingId(null)} className="text-sm text-gray-600 hover:text-gray-800">Cancel</button>
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    <tr key={tier.id}>
+                                        <td className="px-4 py-2 capitalize">{tier.name}</td>
+                                        <td className="px-4 py-2">{tier.minPoints}</td>
+                                        <td className="px-4 py-2">×{tier.multiplier}</td>
+                                        <td className="px-4 py-2 text-right space-x-2 whitespace-nowrap">
+                                            <button onClick={() => startEdit(tier)} className="text-sm text-blue-600 hover:text-blue-800">Edit</button>
+                                            <button onClick={() => handleDelete(tier)} className="text-sm text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                )
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="bg-white shadow rounded-lg p-6">
+                <h2 className="text-lg font-semibold mb-4">Add Tier</h2>
+                <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div>
+                        <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+                        <input id="name" required className={inputClass} value={newTier.name} onChange={(e) => setNewTier({ ...newTier, name: e.target.value })} />
+                    </div>
+                    <div>
+                        <label htmlFor="minPoints" className="block text-sm font-medium text-gray-700">Points Needed</label>
+                        <input id="minPoints" type="number" min="0" step="1" required className={inputClass} value={newTier.minPoints} onChange={(e) => setNewTier({ ...newTier, minPoints: e.target.value })} />
+                    </div>
+                    <div>
+                        <label htmlFor="multiplier" className="block text-sm font-medium text-gray-700">Earning Multiplier</label>
+                        <input id="multiplier" type="number" min="0.01" step="0.01" required className={inputClass} value={newTier.multiplier} onChange={(e) => setNewTier({ ...newTier, multiplier: e.target.value })} />
+                    </div>
+                    <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                        Add Tier
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default MembershipTierPage;
@@ -1,7 +1,7 @@
 // pages/promotions/PromotionCreatePage.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { promotionService } from '../../services/api';
+import { promotionService, tierService } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 
 const PromotionCreatePage = () => {
@@ -15,11 +15,22 @@ const PromotionCreatePage = () => {
         rate: '',
         minSpending: '',
         type: 'automatic',
+        stacking: 'stackable',
+        priority: '0',
+        maxPoints: '',
+        minTierId: '',
     });
+    const [tiers, setTiers] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
 
+    useEffect(() => {
+        tierService.getTiers()
+            .then((response) => setTiers(response.data.results))
+            .catch(() => setTiers([]));
+    }, []);
+
     // Handle input changes
     const handleChange = (e) => {
         const { name, value } = e.target;
@@ -43,10 +54,13 @@ const PromotionCreatePage = () => {
             endTime: new Date(promotionData.endTime).toISOString(),
             rate: parseFloat(promotionData.rate),
             minSpending: promotionData.minSpending === '' ? null : parseFloat(promotionData.minSpending),
-            type: promotionData.type
+            type: promotionData.type,
+            stacking: promotionData.stacking,
+            priority: promotionData.priority === '' ? 0 : parseInt(promotionData.priority),
+            maxPoints: promotionData.maxPoints === '' ? null : parseInt(promotionData.maxPoints),
+            minTierId: promotionData.minTierId === '' ? null : parseInt(promotionData.minTierId)
         };
 
-
         try {
             await promotionService.createPromotion(payload);
             setSuccess('Promotion created successfully!');
@@ -206,6 +220,73 @@ const PromotionCreatePage = () => {
                     </select>
                 </div>
 
+                <div>
+                    <label htmlFor="stacking" className="block text-sm font-medium text-gray-700">
+                        Stacking
+                    </label>
+                    <select
+                        id="stacking"
+                        name="stacking"
+                        value={promotionData.stacking}
+                        onChange={handleChange}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    >
+                        <option value="stackable">Stackable (combines with other promotions)</option>
+                        <option value="exclusive">Exclusive (cannot be combined)</option>
+                    </select>
+                </div>
+
+                <div>
+                    <label htmlFor="priority" className="block text-sm font-medium text-gray-700">
+                        Priority (higher is applied first)
+                    </label>
+                    <input
+                        type="number"
+                        id="priority"
+                        name="priority"
+                        value={promotionData.priority}
+                        onChange={handleChange}
+                        step="1"
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    />
+                </div>
+
+                <div>
+                    <label htmlFor="maxPoints" className="block text-sm font-medium text-gray-700">
+                        Maximum Bonus Points (Optional)
+                    </label>
+                    <input
+                        type="number"
+                        id="maxPoints"
+                        name="maxPoints"
+                        value={promotionData.maxPoints}
+                        onChange={handleChange}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                        min="1"
+                        step="1"
+                    />
+                </div>
+
+                <div>
+                    <label htmlFor="minTierId" className="block text-sm font-medium text-gray-700">
+                        Minimum Membership Tier (Optional)
+                    </label>
+                    <select
+                        id="minTierId"
+                        name="minTierId"
+                        value={promotionData.minTierId}
+                        onChange={handleChange}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    >
+                        <option value="">All members</option>
+                        {tiers.map((tier) => (
+                            <option key={tier.id} value={tier.id}>
+                                {tier.name} and above ({tier.minPoints}+ points)
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
                 <div>
                     <button
                         type="submit"
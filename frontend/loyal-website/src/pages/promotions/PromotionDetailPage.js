@@ -127,6 +127,16 @@ const PromotionDetailPage = () => {
                     <p><strong>Description:</strong> {promotion.description}</p>
                     <p><strong>Start Date:</strong> {promotion.startTime}</p>
                     <p><strong>End Date:</strong> {promotion.endTime}</p>
+                    <p><strong>Stacking:</strong> {promotion.stacking === 'exclusive' ? 'Exclusive' : 'Stackable'}</p>
+                    {promotion.priority !== undefined && (
+                        <p><strong>Priority:</strong> {promotion.priority}</p>
+                    )}
+                    {promotion.maxPoints && (
+                        <p><strong>Maximum Bonus:</strong> {promotion.maxPoints} points</p>
+                    )}
+                    {promotion.minTier && (
+                        <p><strong>Membership Tier:</strong> {promotion.minTier} and above</p>
+                    )}
 
                     {isManager && (
                         <div style={{ marginTop: '20px' }}>
@@ -92,6 +92,13 @@ const PromotionListPage = () => {
                   </div>
               )}
 
+              {promotion.minTier && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Membership Tier:</span>
+                    <span className="font-medium capitalize">{promotion.minTier} and above</span>
+                  </div>
+              )}
+
               <div className="flex justify-between">
                 <span className="text-gray-500">Valid Until:</span>
                 <span className="font-medium">{formatDate(promotion.endTime)}</span>
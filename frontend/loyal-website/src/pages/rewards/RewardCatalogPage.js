@@ -0,0 +1,156 @@
+// pages/rewards/RewardCatalogPage.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { rewardService, transactionService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
+import { useAuth } from '../../contexts/AuthContext';
+import { RedemptionQRCode } from '../../components/qrcode/QRCodeComponents';
+
+// Managers get every reward from the API; the catalog only shows what can be redeemed now
+const isInCatalog = (reward) => {
+    const now = new Date();
+    return reward.isActive
+        && (!reward.startTime || new Date(reward.startTime) <= now)
+        && (!reward.endTime || new Date(reward.endTime) >= now);
+};
+
+const RewardCatalogPage = () => {
+    // One key per submission, reused if the same submission is retried
+    const idempotencyKey = useIdempotencyKey();
+    const { currentUser, isManager, refreshUserData } = useAuth();
+    const [rewards, setRewards] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [redeemingId, setRedeemingId] = useState(null);
+    const [createdRedemption, setCreatedRedemption] = useState(null);
+    const [error, setError] = useState('');
+
+    // Points held by pending redemptions cannot be spent again
+    const availablePoints = currentUser?.available ?? currentUser?.points ?? 0;
+
+    useEffect(() => {
+        fetchRewards();
+    }, []);
+
+    const fetchRewards = async () => {
+        try {
+            setLoading(true);
+            const response = await rewardService.getRewards({ limit: 100 });
+            setRewards(response.data.results.filter(isInCatalog));
+        } catch (err) {
+            setError('Failed to load rewards: ' + (err.response?.data?.message || err.message));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRedeem = async (reward) => {
+        if (!window.confirm(`Redeem ${reward.name} for ${reward.pointsCost} points?`)) return;
+
+        try {
+            setRedeemingId(reward.id);
+            setError('');
+
+            const response = await transactionService.createRedemption({ rewardId: reward.id },
+                idempotencyKey.getKey({ rewardId: reward.id }));
+            idempotencyKey.reset();
+            setCreatedRedemption(response.data);
+            await refreshUserData();
+            fetchRewards();
+        } catch (err) {
+            setError('Failed to redeem reward: ' + (err.response?.data?.message || err.message));
+        } finally {
+            setRedeemingId(null);
+        }
+    };
+
+    if (createdRedemption) {
+        return (
+            <div className="bg-white shadow rounded-lg p-6 text-center max-w-lg mx-auto">
+                <h1 className="text-2xl font-bold mb-2">Reward Requested</h1>
+                <p className="text-gray-600">
+                    Show this QR code or transaction ID #{createdRedemption.id} to a cashier to collect
+                    your {createdRedemption.reward?.name}.
+                </p>
+                <div className="flex justify-center my-8">
+                    <RedemptionQRCode transaction={createdRedemption} />
+                </div>
+                <p className="text-sm text-gray-600 mb-6">
+                    {createdRedemption.amount} points are held until the cashier processes it.
+                </p>
+                <button
+                    onClick={() => setCreatedRedemption(null)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                    Back to Catalog
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-2xl font-bold">Rewards</h1>
+                {isManager && (
+                    <Link to="/rewards/manage" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                        Manage Catalog
+                    </Link>
+                )}
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">You have {availablePoints} points available to redeem.</p>
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            ) : rewards.length === 0 ? (
+                <p className="text-gray-500">No rewards are available right now.</p>
+            ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {rewards.map((reward) => {
+                        const outOfStock = reward.stock <= 0;
+                        const affordable = availablePoints >= reward.pointsCost;
+
+                        return (
+                            <div key={reward.id} className="bg-white shadow rounded-lg overflow-hidden flex flex-col">
+                                {reward.imageUrl ? (
+                                    <img src={reward.imageUrl} alt={reward.name} className="h-40 w-full object-cover" />
+                                ) : (
+                                    <div className="h-40 bg-blue-50 flex items-center justify-center text-blue-300 text-4xl">★</div>
+                                )}
+                                <div className="p-4 flex flex-col flex-1">
+                                    <h2 className="font-semibold text-lg">{reward.name}</h2>
+                                    <p className="text-sm text-gray-600 flex-1">{reward.description}</p>
+                                    <div className="flex justify-between items-center mt-4">
+                                        <span className="font-bold text-blue-600">{reward.pointsCost} points</span>
+                                        <span className={`text-xs ${outOfStock ? 'text-red-600' : 'text-gray-500'}`}>
+                                            {outOfStock ? 'Out of stock' : `${reward.stock} left`}
+                                        </span>
+                                    </div>
+                                    <button
+                                        onClick={() => handleRedeem(reward)}
+                                        disabled={outOfStock || !affordable || redeemingId !== null}
+                                        className={`mt-3 w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 ${
+                                            outOfStock || !affordable || redeemingId !== null ? 'opacity-50 cursor-not-allowed' : ''
+                                        }`}
+                                    >
+                                        {redeemingId === reward.id ? 'Redeeming...' : affordable ? 'Redeem' : 'Not enough points'}
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RewardCatalogPage;
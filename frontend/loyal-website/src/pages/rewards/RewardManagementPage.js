@@ -0,0 +1,253 @@
+// pages/rewards/RewardManagementPage.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { rewardService } from '../../services/api';
+
+const emptyReward = {
+    name: '',
+    description: '',
+    imageUrl: '',
+    pointsCost: '',
+    stock: '',
+    startTime: '',
+    endTime: '',
+};
+
+// Convert an ISO date to the value a datetime-local input expects
+const toInputDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const RewardManagementPage = () => {
+    const [rewards, setRewards] = useState([]);
+    const [formData, setFormData] = useState(emptyReward);
+    const [editingId, setEditingId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchRewards();
+    }, []);
+
+    const fetchRewards = async () => {
+        try {
+            setLoading(true);
+            const response = await rewardService.getRewards({ limit: 100 });
+            setRewards(response.data.results);
+        } catch (err) {
+            setError('Failed to load rewards: ' + (err.response?.data?.message || err.message));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return dateString ? new Date(dateString).toLocaleString() : null;
+    };
+
+    // Handle input changes
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+    };
+
+    const toPayload = (reward) => ({
+        name: reward.name.trim(),
+        description: reward.description.trim(),
+        imageUrl: reward.imageUrl.trim() || null,
+        pointsCost: parseInt(reward.pointsCost),
+        stock: parseInt(reward.stock),
+        startTime: reward.startTime ? new Date(reward.startTime).toISOString() : null,
+        endTime: reward.endTime ? new Date(reward.endTime).toISOString() : null,
+    });
+
+    // Run a reward request and refresh the list on success
+    const runAction = async (action, message) => {
+        setError('');
+        setSuccess('');
+        try {
+            await action();
+            setSuccess(message);
+            fetchRewards();
+            return true;
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+            return false;
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const saved = editingId
+            ? await runAction(() => rewardService.updateReward(editingId, toPayload(formData)), 'Reward updated.')
+            : await runAction(() => rewardService.createReward(toPayload(formData)), 'Reward created.');
+
+        if (saved) {
+            setEditingId(null);
+            setFormData(emptyReward);
+        }
+    };
+
+    const startEdit = (reward) => {
+        setEditingId(reward.id);
+        setFormData({
+            name: reward.name,
+            description: reward.description,
+            imageUrl: reward.imageUrl || '',
+            pointsCost: String(reward.pointsCost),
+            stock: String(reward.stock),
+            startTime: toInputDate(reward.startTime),
+            endTime: toInputDate(reward.endTime),
+        });
+    };
+
+    const cancelEdit = () => {
+        setEditingId(null);
+        setFormData(emptyReward);
+    };
+
+    const handleToggleActive = (reward) => {
+        runAction(
+            () => rewardService.updateReward(reward.id, { isActive: !reward.isActive }),
+            reward.isActive ? 'Reward deactivated.' : 'Reward activated.'
+        );
+    };
+
+    const handleDelete = (reward) => {
+        if (window.confirm(`Delete ${reward.name}? Rewards that have been redeemed can only be deactivated.`)) {
+            runAction(() => rewardService.deleteReward(reward.id), 'Reward deleted.');
+        }
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm";
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-2xl font-bold">Manage Rewards</h1>
+                <Link to="/rewards" className="text-blue-600 hover:text-blue-800">View Catalog</Link>
+            </div>
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+            )}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm font-medium text-green-800">{success}</p>
+                </div>
+            )}
+
+            <div className="bg-white shadow rounded-lg p-6 mb-8">
+                <h2 className="text-lg font-semibold mb-4">{editingId ? `Edit Reward #${editingId}` : 'New Reward'}</h2>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+                            <input id="name" name="name" required value={formData.name} onChange={handleChange} className={inputClass} />
+                        </div>
+
+                        <div>
+                            <label htmlFor="imageUrl" className="block text-sm font-medium text-gray-700">Image URL (Optional)</label>
+                            <input id="imageUrl" name="imageUrl" type="url" value={formData.imageUrl} onChange={handleChange} className={inputClass} />
+                        </div>
+
+                        <div className="md:col-span-2">
+                            <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+                            <textarea id="description" name="description" rows={2} required value={formData.description} onChange={handleChange} className={inputClass} />
+                        </div>
+
+                        <div>
+                            <label htmlFor="pointsCost" className="block text-sm font-medium text-gray-700">Point Cost</label>
+                            <input id="pointsCost" name="pointsCost" type="number" min="1" step="1" required value={formData.pointsCost} onChange={handleChange} className={inputClass} />
+                        </div>
+
+                        <div>
+                            <label htmlFor="stock" className="block text-sm font-medium text-gray-700">Stock</label>
+                            <input id="stock" name="stock" type="number" min="0" step="1" required value={formData.stock} onChange={handleChange} className={inputClass} />
+                        </div>
+
+                        <div>
+                            <label htmlFor="startTime" className="block text-sm font-medium text-gray-700">Available From (Optional)</label>
+                            <input id="startTime" name="startTime" type="datetime-local" value={formData.startTime} onChange={handleChange} className={inputClass} />
+                        </div>
+
+                        <div>
+                            <label htmlFor="endTime" className="block text-sm font-medium text-gray-700">Available Until (Optional)</label>
+                            <input id="endTime" name="endTime" type="datetime-local" value={formData.endTime} onChange={handleChange} className={inputClass} />
+                        </div>
+                    </div>
+
+                    <div className="flex space-x-3">
+                        <button type="submit" className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                            {editingId ? 'Save Changes' : 'Create Reward'}
+                        </button>
+                        {editingId && (
+                            <button type="button" onClick={cancelEdit} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                </form>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            ) : rewards.length === 0 ? (
+                <p className="text-gray-500">No rewards have been created.</p>
+            ) : (
+                <div className="bg-white shadow rounded-lg overflow-hidden">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reward</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cost</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stock</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Available</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {rewards.map((reward) => (
+                                <tr key={reward.id} className={reward.isActive ? '' : 'bg-gray-50 text-gray-500'}>
+                                    <td className="px-4 py-2">
+                                        <div className="font-medium">{reward.name}</div>
+                                        <div className="text-xs text-gray-500">{reward.description}</div>
+                                    </td>
+                                    <td className="px-4 py-2">{reward.pointsCost}</td>
+                                    <td className={`px-4 py-2 ${reward.stock === 0 ? 'text-red-600' : ''}`}>{reward.stock}</td>
+                                    <td className="px-4 py-2 text-sm">
+                                        {!reward.isActive ? 'Inactive' : (
+                                            <>
+                                                {formatDate(reward.startTime) || 'Now'} – {formatDate(reward.endTime) || 'No end'}
+                                            </>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-2 text-right space-x-2 whitespace-nowrap">
+                                        <button onClick={() => startEdit(reward)} className="text-sm text-blue-600 hover:text-blue-800">Edit</button>
+                                        <button onClick={() => handleToggleActive(reward)} className="text-sm text-gray-600 hover:text-gray-800">
+                                            {reward.isActive ? 'Deactivate' : 'Activate'}
+                                        </button>
+                                        <button onClick={() => handleDelete(reward)} className="text-sm text-red-600 hover:text-red-800">Delete</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RewardManagementPage;
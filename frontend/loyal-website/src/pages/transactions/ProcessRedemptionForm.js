@@ -1,66 +1,121 @@
 // pages/transactions/ProcessRedemptionForm.js
 import React, { useState } from 'react';
 import { transactionService } from '../../services/api';
+import { QRScanner } from '../../components/qrcode/QRCodeComponents';
+import { useAuth } from '../../contexts/AuthContext';
 
 const ProcessRedemptionForm = ({ setMode, onSuccess, onError }) => {
+  const { isManager } = useAuth();
+  
   // State for processing redemption
   const [processingRedemptionId, setProcessingRedemptionId] = useState('');
+  // Signed token from a scanned redemption QR code; cashiers process by this
+  const [redemptionToken, setRedemptionToken] = useState(null);
   const [loading, setLoading] = useState(false);
   const [redemptionDetails, setRedemptionDetails] = useState(null);
   
-  // Function to look up a redemption transaction
-  const handleLookupRedemption = async () => {
-    if (!processingRedemptionId) {
-      onError('Please enter a redemption transaction ID');
-      return;
-    }
-    
+  // Function to look up a redemption transaction; load fetches it by ID or by QR code token
+  const lookupRedemption = async (load) => {
     try {
       setLoading(true);
       onError('');
       
-      const response = await transactionService.getTransaction(processingRedemptionId);
+      setRedemptionDetails(null);
+      const response = await load();
       
-      // Check if it's a redemption transaction
-      if (response.data.type !== 'redemption') {
-        onError('The transaction ID provided is not for a redemption transaction');
+      // Check if it's already processed
+      if (response.data.processed) {
+        onError('This redemption has already been processed');
         return;
       }
       
-      // Check if it's already processed
-      if (response.data.processedBy) {
-        onError('This redemption has already been processed');
+      // Check if it was cancelled, voided or expired
+      if (response.data.voidedAt) {
+        onError('This redemption has been cancelled');
         return;
       }
       
       setRedemptionDetails(response.data);
     } catch (err) {
-      onError('Failed to find redemption: ' + (err.response?.data?.message || err.message));
+      onError('Failed to find redemption: ' + (err.response?.data?.error || err.message));
     } finally {
       setLoading(false);
     }
   };
 
-  // Function to process a redemption
-  const handleProcessRedemption = async () => {
+  // Look up a redemption by the ID a manager typed in
+  const handleLookupById = () => {
     if (!processingRedemptionId) {
       onError('Please enter a redemption transaction ID');
       return;
     }
     
+    setRedemptionToken(null);
+    lookupRedemption(() => transactionService.getRedemption(processingRedemptionId));
+  };
+
+  // Load the redemption from the customer's scanned QR code
+  const handleScanRedemption = (payload) => {
+    setRedemptionToken(payload.token);
+    setProcessingRedemptionId('');
+    lookupRedemption(() => transactionService.getRedemptionByQRToken(payload.token));
+  };
+
+  // Function to process a redemption
+  const handleProcessRedemption = async () => {
+    if (!redemptionToken && !processingRedemptionId) {
+      onError('Please scan the redemption QR code');
+      return;
+    }
+    
     try {
       setLoading(true);
       onError('');
       
-      await transactionService.processRedemption(processingRedemptionId);
+      if (redemptionToken) {
+        await transactionService.processRedemptionByQRToken(redemptionToken);
+      } else {
+        await transactionService.processRedemption(processingRedemptionId);
+      }
       
       // Reset form
       setProcessingRedemptionId('');
+      setRedemptionToken(null);
       setRedemptionDetails(null);
       
       onSuccess('Redemption processed successfully!');
     } catch (err) {
-      onError('Failed to process redemption: ' + (err.response?.data?.message || err.message));
+      onError('Failed to process redemption: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Function to void a redemption the customer no longer wants and release its points
+  const handleVoidRedemption = async () => {
+    if (!redemptionToken && !processingRedemptionId) {
+      onError('Please scan the redemption QR code');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      onError('');
+      
+      if (redemptionToken) {
+        await transactionService.voidRedemptionByQRToken(redemptionToken);
+      } else {
+        await transactionService.voidRedemption(processingRedemptionId);
+      }
+      
+      // Reset form
+      setProcessingRedemptionId('');
+      setRedemptionToken(null);
+      setRedemptionDetails(null);
+      
+      onSuccess('Redemption voided and points released');
+    } catch (err) {
+      onError('Failed to void redemption: ' + (err.response?.data?.error || err.message));
     } finally {
       setLoading(false);
     }
@@ -73,35 +128,61 @@ const ProcessRedemptionForm = ({ setMode, onSuccess, onError }) => {
       </div>
       
       <div className="p-6">
-        {/* Manual Redemption ID Entry */}
+        {/* Redemption QR Code Scan */}
         <div className="mb-6">
           <h3 className="text-lg font-medium mb-4">Process Redemption Request</h3>
-          <p className="text-sm text-gray-600 mb-4">Please enter the redemption transaction ID to process it.</p>
+          <p className="text-sm text-gray-600 mb-4">
+            Scan the customer's redemption QR code to process or void it.
+            {isManager && ' Managers can also enter the redemption transaction ID.'}
+          </p>
           
-          <div className="flex mb-4">
-            <input
-              type="number"
-              id="processingRedemptionId"
-              className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-l-md"
-              value={processingRedemptionId}
-              onChange={(e) => setProcessingRedemptionId(e.target.value)}
-              placeholder="Enter redemption transaction ID"
-              min="1"
-            />
-            <button
-              type="button"
-              onClick={handleLookupRedemption}
-              className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-r-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
-            >
-              Look up
-            </button>
+          <div className="mb-4">
+            <QRScanner accept={['redemption']} onScan={handleScanRedemption} />
           </div>
+          
+          {/* Manual Redemption ID Entry (managers only) */}
+          {isManager && (
+            <div className="flex mb-4">
+              <input
+                type="number"
+                id="processingRedemptionId"
+                className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-l-md"
+                value={processingRedemptionId}
+                onChange={(e) => setProcessingRedemptionId(e.target.value)}
+                placeholder="Enter redemption transaction ID"
+                min="1"
+              />
+              <button
+                type="button"
+                onClick={handleLookupById}
+                className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-r-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+              >
+                Look up
+              </button>
+            </div>
+          )}
         </div>
         
         {/* Redemption info if found */}
         {redemptionDetails && (
           <div className="mb-6 p-4 bg-gray-50 rounded-lg">
             <h3 className="font-medium mb-3">Redemption Details</h3>
+            {redemptionDetails.reward && (
+              <div className="flex items-center mb-4 p-3 bg-white border border-indigo-200 rounded-lg">
+                {redemptionDetails.reward.imageUrl && (
+                  <img
+                    src={redemptionDetails.reward.imageUrl}
+                    alt={redemptionDetails.reward.name}
+                    className="h-16 w-16 object-cover rounded mr-4"
+                  />
+                )}
+                <div>
+                  <p className="text-sm text-gray-500">Hand over</p>
+                  <p className="font-semibold">{redemptionDetails.reward.name}</p>
+                  <p className="text-sm text-gray-600">{redemptionDetails.reward.description}</p>
+                </div>
+              </div>
+            )}
             <div className="space-y-2">
               <p className="text-sm text-gray-600">Transaction ID: {redemptionDetails.id}</p>
               <p className="text-sm text-gray-600">User: {redemptionDetails.utorid}</p>
@@ -113,11 +194,20 @@ const ProcessRedemptionForm = ({ setMode, onSuccess, onError }) => {
               )}
             </div>
             
-            <div className="mt-4">
+            <div className="mt-4 flex space-x-2">
+              <button
+                onClick={handleVoidRedemption}
+                disabled={loading}
+                className={`flex-1 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 ${
+                  loading ? 'opacity-70 cursor-not-allowed' : ''
+                }`}
+              >
+                Void Redemption
+              </button>
               <button
                 onClick={handleProcessRedemption}
                 disabled={loading}
-                className={`w-full px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 ${
+                className={`flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 ${
                   loading ? 'opacity-70 cursor-not-allowed' : ''
                 }`}
               >
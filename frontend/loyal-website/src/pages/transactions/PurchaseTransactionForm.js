@@ -1,8 +1,12 @@
 // pages/transactions/PurchaseTransactionForm.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { transactionService, userService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
+import { QRScanner } from '../../components/qrcode/QRCodeComponents';
 
 const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
+  // One key per submission, reused if the same submission is retried
+  const idempotencyKey = useIdempotencyKey();
   // State for purchase transaction
   const [purchaseAmount, setPurchaseAmount] = useState('');
   const [utorid, setUtorid] = useState('');
@@ -11,6 +15,53 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
   const [purchaseRemark, setPurchaseRemark] = useState('');
   const [loading, setLoading] = useState(false);
   const [scannedUser, setScannedUser] = useState(null);
+  const [quote, setQuote] = useState(null);
+
+  // Human-readable reasons a selected promotion cannot be used
+  const promotionErrorMessages = {
+    notFound: 'not found',
+    inactive: 'inactive',
+    notStarted: 'not started yet',
+    expired: 'expired',
+    alreadyUsed: 'already used',
+    minSpending: 'below minimum spending',
+    unverified: 'user is not verified'
+  };
+
+  // Refresh the points preview whenever the purchase details change
+  useEffect(() => {
+    const spentAmount = parseFloat(purchaseAmount);
+    if (!utorid || isNaN(spentAmount) || spentAmount <= 0) {
+      setQuote(null);
+      return;
+    }
+    
+    // Wait for the cashier to stop typing before asking the server
+    const timer = setTimeout(async () => {
+      try {
+        const response = await transactionService.quotePurchase({
+          utorid,
+          spent: spentAmount,
+          promotionIds: selectedPromotions
+        });
+        setQuote(response.data);
+      } catch (err) {
+        setQuote(null);
+      }
+    }, 400);
+    
+    return () => clearTimeout(timer);
+  }, [utorid, purchaseAmount, selectedPromotions]);
+
+  // Show the customer a lookup found, with the promotions they can use
+  const showCustomer = (user) => {
+    setScannedUser(user);
+    
+    // Set available promotions
+    if (user.promotions) {
+      setAvailablePromotions(user.promotions);
+    }
+  };
 
   // Function to fetch user details
   const fetchUserDetails = async (userUtorid) => {
@@ -19,15 +70,10 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
       onError('');
       
       const response = await userService.getUser(userUtorid);
-      setScannedUser({
+      showCustomer({
         ...response.data,
         utorid: userUtorid
       });
-      
-      // Set available promotions
-      if (response.data.promotions) {
-        setAvailablePromotions(response.data.promotions);
-      }
     } catch (err) {
       onError('Failed to fetch user details: ' + (err.response?.data?.message || err.message));
     } finally {
@@ -45,6 +91,22 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
     fetchUserDetails(utorid);
   };
 
+  // Prefill the customer from their scanned QR code; the server checks its signed token
+  const handleScanUser = async (payload) => {
+    try {
+      setLoading(true);
+      onError('');
+      
+      const response = await userService.getUserByQRToken(payload.token);
+      setUtorid(response.data.utorid);
+      showCustomer(response.data);
+    } catch (err) {
+      onError('Failed to read the customer QR code: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle purchase form submission
   const handlePurchaseSubmit = async (e) => {
     e.preventDefault();
@@ -71,7 +133,8 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
         promotionIds: selectedPromotions
       };
       
-      const response = await transactionService.createPurchase(purchaseData);
+      const response = await transactionService.createPurchase(purchaseData, idempotencyKey.getKey(purchaseData));
+      idempotencyKey.reset();
       
       // Reset form
       setPurchaseAmount('');
@@ -80,8 +143,11 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
       setSelectedPromotions([]);
       setAvailablePromotions([]);
       setScannedUser(null);
+      setQuote(null);
       
-      onSuccess(`Purchase transaction created successfully! The user earned ${response.data.earned} points.`);
+      const autoCount = response.data.autoPromotionIds?.length || 0;
+      onSuccess(`Purchase transaction created successfully! The user earned ${response.data.earned} points.` +
+        (autoCount > 0 ? ` ${autoCount} automatic promotion(s) applied.` : ''));
     } catch (err) {
       onError('Failed to create purchase transaction: ' + (err.response?.data?.message || err.message));
     } finally {
@@ -100,7 +166,11 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
         {!scannedUser && (
           <div className="mb-6">
             <h3 className="text-lg font-medium mb-4">Enter Customer Information</h3>
-            <p className="text-sm text-gray-600 mb-4">Please enter the customer's UTORID to create a transaction.</p>
+            <p className="text-sm text-gray-600 mb-4">Scan the customer's QR code or enter their UTORID to create a transaction.</p>
+            
+            <div className="mb-4">
+              <QRScanner accept={['user']} onScan={handleScanUser} />
+            </div>
             
             <div className="flex">
               <input
@@ -211,6 +281,47 @@ const PurchaseTransactionForm = ({ setMode, onSuccess, onError }) => {
                 </div>
               </div>
             )}
+            <p className="text-xs text-gray-500">
+              Active automatic promotions are applied to every purchase and do not need to be selected.
+            </p>
+            
+            {/* Points preview */}
+            {quote && (
+              <div className="bg-purple-50 p-3 rounded-md text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Base points</span>
+                  <span>{quote.basePoints}</span>
+                </div>
+                {quote.promotions.map(promotion => (
+                  <div key={promotion.promotionId} className="flex justify-between">
+                    <span className="text-gray-600">
+                      {promotion.name}{promotion.autoApplied ? ' (automatic)' : ''}{promotion.capped ? ' (capped)' : ''}
+                    </span>
+                    <span className="text-green-600">+{promotion.bonus}</span>
+                  </div>
+                ))}
+                {quote.skipped.map(promotion => (
+                  <div key={promotion.promotionId} className="flex justify-between text-gray-400">
+                    <span>
+                      {promotion.name}
+                      {promotion.reason === 'minSpending'
+                        ? ` (spend $${(promotion.minSpending - quote.spent).toFixed(2)} more)`
+                        : ' (not combinable)'}
+                    </span>
+                    <span>+0</span>
+                  </div>
+                ))}
+                {quote.errors.map(error => (
+                  <div key={error.promotionId} className="text-red-600">
+                    Promotion #{error.promotionId}: {promotionErrorMessages[error.reason] || error.reason}
+                  </div>
+                ))}
+                <div className="flex justify-between font-medium border-t border-purple-200 mt-2 pt-2">
+                  <span>Total points</span>
+                  <span>{quote.totalPoints}</span>
+                </div>
+              </div>
+            )}
             
             {/* Remark input */}
             <div>
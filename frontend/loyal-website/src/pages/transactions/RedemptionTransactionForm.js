@@ -1,13 +1,19 @@
 // pages/transactions/RedemptionTransactionForm.js
 import React, { useState } from 'react';
 import { transactionService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
 import { RedemptionQRCode } from '../../components/qrcode/QRCodeComponents';
 
 const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError }) => {
+  // One key per submission, reused if the same submission is retried
+  const idempotencyKey = useIdempotencyKey();
   // State for redemption transaction
   const [pointsToRedeem, setPointsToRedeem] = useState('');
   const [redemptionRemark, setRedemptionRemark] = useState('');
   const [loading, setLoading] = useState(false);
+  
+  // Points held by pending redemptions cannot be spent again
+  const availablePoints = currentUser.available ?? currentUser.points;
   const [createdRedemption, setCreatedRedemption] = useState(null);
 
   // Function to handle redemption form submission
@@ -20,7 +26,7 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
       return;
     }
     
-    if (points > currentUser.points) {
+    if (points > availablePoints) {
       onError('You cannot redeem more points than you have available');
       return;
     }
@@ -34,7 +40,8 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
         remark: redemptionRemark
       };
       
-      const response = await transactionService.createRedemption(redemptionData);
+      const response = await transactionService.createRedemption(redemptionData, idempotencyKey.getKey(redemptionData));
+      idempotencyKey.reset();
       
       // Store the created redemption for QR code display
       setCreatedRedemption(response.data);
@@ -51,6 +58,23 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
     }
   };
 
+  // Function to cancel the created redemption before a cashier processes it
+  const handleCancelRedemption = async () => {
+    try {
+      setLoading(true);
+      onError('');
+      
+      await transactionService.cancelRedemption(createdRedemption.id);
+      
+      setCreatedRedemption(null);
+      onSuccess('Redemption request cancelled. The points are available again.');
+    } catch (err) {
+      onError('Failed to cancel redemption request: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // If a redemption was already created, show QR code
   if (createdRedemption) {
     return (
@@ -79,7 +103,14 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
             )}
           </div>
           
-          <div className="mt-6">
+          <div className="mt-6 flex justify-center space-x-3">
+            <button
+              onClick={handleCancelRedemption}
+              disabled={loading}
+              className={`px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 ${loading ? 'opacity-70 cursor-not-allowed' : ''}`}
+            >
+              {loading ? 'Cancelling...' : 'Cancel Redemption'}
+            </button>
             <button
               onClick={() => setMode('')}
               className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -100,8 +131,8 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
       
       <div className="p-6">
         <div className="mb-6 p-4 bg-blue-50 rounded-lg">
-          <h3 className="font-medium">Current Balance</h3>
-          <p className="text-2xl font-bold text-blue-600">{currentUser.points} points</p>
+          <h3 className="font-medium">Available Balance</h3>
+          <p className="text-2xl font-bold text-blue-600">{availablePoints} points</p>
           <p className="text-sm text-gray-600 mt-1">1 point = $0.01 in value</p>
         </div>
         
@@ -119,7 +150,7 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
                 onChange={(e) => setPointsToRedeem(e.target.value)}
                 required
                 min="1"
-                max={currentUser.points}
+                max={availablePoints}
               />
               {pointsToRedeem && !isNaN(parseInt(pointsToRedeem)) && (
                 <p className="mt-1 text-sm text-gray-500">
@@ -152,9 +183,9 @@ const RedemptionTransactionForm = ({ currentUser, setMode, onSuccess, onError })
               </button>
               <button
                 type="submit"
-                disabled={loading || !pointsToRedeem || isNaN(parseInt(pointsToRedeem)) || parseInt(pointsToRedeem) <= 0 || parseInt(pointsToRedeem) > currentUser.points}
+                disabled={loading || !pointsToRedeem || isNaN(parseInt(pointsToRedeem)) || parseInt(pointsToRedeem) <= 0 || parseInt(pointsToRedeem) > availablePoints}
                 className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
-                  (loading || !pointsToRedeem || isNaN(parseInt(pointsToRedeem)) || parseInt(pointsToRedeem) <= 0 || parseInt(pointsToRedeem) > currentUser.points) ? 'opacity-70 cursor-not-allowed' : ''
+                  (loading || !pointsToRedeem || isNaN(parseInt(pointsToRedeem)) || parseInt(pointsToRedeem) <= 0 || parseInt(pointsToRedeem) > availablePoints) ? 'opacity-70 cursor-not-allowed' : ''
                 }`}
               >
                 {loading ? 'Processing...' : 'Create Redemption Request'}
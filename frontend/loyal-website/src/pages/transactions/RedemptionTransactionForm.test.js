@@ -0,0 +1,75 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RedemptionTransactionForm from './RedemptionTransactionForm';
+import { transactionService } from '../../services/api';
+
+jest.mock('../../services/api', () => {
+  let mockKeyCount = 0;
+  return {
+    newIdempotencyKey: () => `key-${++mockKeyCount}`,
+    transactionService: {
+      createRedemption: jest.fn(),
+      getRedemptionQRToken: jest.fn(() => new Promise(() => {})),
+      cancelRedemption: jest.fn(),
+    },
+    userService: {},
+  };
+});
+
+const renderForm = () => {
+  const onError = jest.fn();
+  render(
+    <RedemptionTransactionForm
+      currentUser={{ points: 500, available: 500 }}
+      setMode={jest.fn()}
+      onSuccess={jest.fn()}
+      onError={onError}
+    />
+  );
+  return { onError };
+};
+
+// Submit, then wait for the request to settle and the button to come back
+const submit = async () => {
+  await userEvent.click(screen.getByRole('button', { name: 'Create Redemption Request' }));
+  await screen.findByRole('button', { name: /Create Redemption Request|Cancel Redemption/ });
+};
+
+const sentKeys = () => transactionService.createRedemption.mock.calls.map(([, key]) => key);
+
+describe('RedemptionTransactionForm', () => {
+  beforeEach(() => {
+    transactionService.createRedemption.mockReset();
+  });
+
+  it('sends the same idempotency key when a failed submission is retried', async () => {
+    transactionService.createRedemption
+      .mockRejectedValueOnce(new Error('Network Error'))
+      .mockResolvedValueOnce({ data: { id: 7 } });
+    const { onError } = renderForm();
+
+    await userEvent.type(screen.getByLabelText('Points to Redeem'), '100');
+    await submit();
+    expect(onError).toHaveBeenLastCalledWith('Failed to create redemption request: Network Error');
+    await submit();
+
+    const [first, second] = sentKeys();
+    expect(first).toBeDefined();
+    expect(second).toBe(first);
+  });
+
+  it('sends a new key once the points change', async () => {
+    transactionService.createRedemption.mockRejectedValue(new Error('Network Error'));
+    renderForm();
+
+    const points = screen.getByLabelText('Points to Redeem');
+    await userEvent.type(points, '100');
+    await submit();
+    await userEvent.clear(points);
+    await userEvent.type(points, '200');
+    await submit();
+
+    const [first, second] = sentKeys();
+    expect(second).not.toBe(first);
+  });
+});
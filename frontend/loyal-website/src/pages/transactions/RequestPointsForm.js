@@ -0,0 +1,218 @@
+// pages/transactions/RequestPointsForm.js
+import React, { useState, useEffect } from 'react';
+import { pointRequestService, userService } from '../../services/api';
+
+const statusStyles = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  expired: 'bg-gray-100 text-gray-800',
+};
+
+const RequestPointsForm = ({ setMode, onSuccess, onError }) => {
+  const [payerUtorid, setPayerUtorid] = useState('');
+  const [payer, setPayer] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [remark, setRemark] = useState('');
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [listError, setListError] = useState('');
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await pointRequestService.getRequests({ direction: 'outgoing', limit: 10 });
+      setRequests(response.data.results);
+      setListError('');
+    } catch (err) {
+      setListError('Failed to load your requests: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
+    }
+  };
+
+  // Function to look up the user being asked
+  const handleLookupUser = async () => {
+    if (!payerUtorid.trim()) {
+      onError('Please enter a UTORID');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      onError('');
+
+      const response = await userService.lookupUser(payerUtorid.trim());
+      setPayer(response.data);
+    } catch (err) {
+      onError('Failed to find user: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const points = parseInt(amount);
+    if (!payer || isNaN(points) || points <= 0) {
+      onError('Please look up a user and enter a positive number of points');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      onError('');
+
+      await pointRequestService.createRequest({ utorid: payer.utorid, amount: points, remark });
+
+      onSuccess(`Requested ${points} points from ${payer.name}. They can accept or decline it from their dashboard.`);
+      setPayer(null);
+      setPayerUtorid('');
+      setAmount('');
+      setRemark('');
+      fetchRequests();
+    } catch (err) {
+      onError('Failed to request points: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async (requestId) => {
+    try {
+      onError('');
+      await pointRequestService.cancelRequest(requestId);
+      fetchRequests();
+    } catch (err) {
+      onError('Failed to cancel request: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="bg-teal-600 px-6 py-4">
+        <h2 className="text-xl font-semibold text-white">Request Points</h2>
+      </div>
+
+      <div className="p-6">
+        {!payer ? (
+          <div className="mb-6">
+            <h3 className="text-lg font-medium mb-4">Who are you asking?</h3>
+            <div className="flex">
+              <input
+                type="text"
+                className="shadow-sm focus:ring-teal-500 focus:border-teal-500 block w-full sm:text-sm border-gray-300 rounded-l-md"
+                value={payerUtorid}
+                onChange={(e) => setPayerUtorid(e.target.value)}
+                placeholder="Enter their UTORID"
+              />
+              <button
+                type="button"
+                onClick={handleLookupUser}
+                disabled={loading}
+                className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-r-md text-white bg-teal-600 hover:bg-teal-700"
+              >
+                Look up
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="mb-6 p-4 bg-gray-50 rounded-lg flex justify-between items-center">
+            <div className="flex items-center">
+              {payer.avatarUrl && (
+                <img className="h-10 w-10 rounded-full mr-3" src={payer.avatarUrl} alt={payer.name} />
+              )}
+              <div>
+                <p className="font-medium">{payer.name}</p>
+                <p className="text-sm text-gray-600">{payer.utorid}</p>
+              </div>
+            </div>
+            <button onClick={() => setPayer(null)} className="text-sm text-gray-500 hover:text-gray-700">Change</button>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="requestAmount" className="block text-sm font-medium text-gray-700 mb-1">Points to Request</label>
+            <input
+              type="number"
+              id="requestAmount"
+              min="1"
+              required
+              className="shadow-sm focus:ring-teal-500 focus:border-teal-500 block w-full sm:text-sm border-gray-300 rounded-md"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="requestRemark" className="block text-sm font-medium text-gray-700 mb-1">Remark (Optional)</label>
+            <textarea
+              id="requestRemark"
+              rows={2}
+              className="shadow-sm focus:ring-teal-500 focus:border-teal-500 block w-full sm:text-sm border-gray-300 rounded-md"
+              value={remark}
+              onChange={(e) => setRemark(e.target.value)}
+              placeholder="What is it for?"
+            ></textarea>
+          </div>
+
+          <div className="pt-4 flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => setMode('')}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || !payer}
+              className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-teal-600 hover:bg-teal-700 ${
+                loading || !payer ? 'opacity-70 cursor-not-allowed' : ''
+              }`}
+            >
+              {loading ? 'Sending...' : 'Send Request'}
+            </button>
+          </div>
+        </form>
+
+        <h3 className="text-lg font-medium mt-8 mb-3">My Requests</h3>
+        {listError ? (
+          <p className="text-sm text-red-600">{listError}</p>
+        ) : requests.length === 0 ? (
+          <p className="text-sm text-gray-500">You have not requested points from anyone.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {requests.map((request) => (
+              <li key={request.id} className="py-3 flex justify-between items-center">
+                <div>
+                  <p className="text-sm font-medium">{request.amount} points from {request.payer.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(request.createdAt).toLocaleString()}
+                    {request.remark && ` · ${request.remark}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <span className={`px-2 py-1 text-xs rounded-full capitalize ${statusStyles[request.status]}`}>
+                    {request.status}
+                  </span>
+                  {request.status === 'pending' && (
+                    <button onClick={() => handleCancel(request.id)} className="text-sm text-red-600 hover:text-red-800">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RequestPointsForm;
@@ -0,0 +1,227 @@
+// pages/transactions/ReviewQueuePage.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { transactionService } from '../../services/api';
+import { describeFlagReason } from '../../utils/flagReasons';
+
+const ReviewQueuePage = () => {
+    const [groups, setGroups] = useState([]);
+    const [count, setCount] = useState(0);
+    const [selected, setSelected] = useState([]);
+    const [note, setNote] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchQueue();
+    }, []);
+
+    const fetchQueue = async () => {
+        try {
+            setLoading(true);
+            const response = await transactionService.getReviewQueue();
+            setGroups(response.data.results);
+            setCount(response.data.count);
+            setSelected([]);
+        } catch (err) {
+            setError('Failed to load the review queue: ' + (err.response?.data?.error || err.message));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleOne = (id) => {
+        setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+    };
+
+    // Select or clear every transaction recorded by one cashier
+    const toggleGroup = (group) => {
+        const ids = group.transactions.map((tx) => tx.id);
+        const allSelected = ids.every((id) => selected.includes(id));
+        setSelected((prev) => (allSelected
+            ? prev.filter((id) => !ids.includes(id))
+            : [...new Set([...prev, ...ids])]));
+    };
+
+    const handleReview = async (decision) => {
+        setError('');
+        setSuccess('');
+
+        if (selected.length === 0) {
+            setError('Select at least one transaction.');
+            return;
+        }
+        if (!note.trim()) {
+            setError('A note is required.');
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            const response = await transactionService.reviewTransactions(selected, decision, note.trim());
+            const { reviewed, skipped } = response.data;
+            setSuccess(
+                `${decision === 'approve' ? 'Approved' : 'Rejected'} ${reviewed.length} transaction(s).`
+                + (skipped.length > 0 ? ` ${skipped.length} had already been reviewed by someone else.` : '')
+            );
+            setNote('');
+            fetchQueue();
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+    return (
+        <div>
+            <h1 className="text-2xl font-bold mb-2">Review Queue</h1>
+            <p className="text-sm text-gray-600 mb-6">
+                Flagged transactions waiting for review, grouped by who recorded them. Approving credits any
+                points a flagged purchase withheld; rejecting keeps the flag and cancels pending redemptions.
+            </p>
+
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+            )}
+
+            {success && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm font-medium text-green-800">{success}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            ) : count === 0 ? (
+                <p className="text-gray-500">Nothing is waiting for review.</p>
+            ) : (
+                <>
+                    <div className="bg-white shadow rounded-lg p-4 mb-6 sticky top-0 z-10">
+                        <div className="flex flex-col md:flex-row md:items-end gap-4">
+                            <div className="flex-1">
+                                <label htmlFor="note" className="block text-sm font-medium text-gray-700">
+                                    Note ({selected.length} of {count} selected)
+                                </label>
+                                <input
+                                    id="note"
+                                    type="text"
+                                    value={note}
+                                    onChange={(e) => setNote(e.target.value)}
+                                    placeholder="Why these transactions are approved or rejected"
+                                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                                />
+                            </div>
+                            <div className="flex space-x-2">
+                                <button
+                                    onClick={() => handleReview('approve')}
+                                    disabled={submitting}
+                                    className={`px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 ${submitting ? 'opacity-50 cursor-not-allowed' : ''}`}
+                                >
+                                    Approve Selected
+                                </button>
+                                <button
+                                    onClick={() => handleReview('reject')}
+                                    disabled={submitting}
+                                    className={`px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 ${submitting ? 'opacity-50 cursor-not-allowed' : ''}`}
+                                >
+                                    Reject Selected
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="space-y-6">
+                        {groups.map((group) => (
+                            <div key={group.cashier.id} className="bg-white shadow rounded-lg overflow-hidden">
+                                <div className="px-4 py-3 bg-gray-50 flex flex-wrap items-center justify-between gap-2">
+                                    <label className="flex items-center space-x-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={group.transactions.every((tx) => selected.includes(tx.id))}
+                                            onChange={() => toggleGroup(group)}
+                                        />
+                                        <span className="font-semibold">{group.cashier.name} ({group.cashier.utorid})</span>
+                                        <span className="text-xs text-gray-500 capitalize">{group.cashier.role}</span>
+                                        {group.cashier.suspicious && (
+                                            <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Suspicious</span>
+                                        )}
+                                    </label>
+                                    <span className="text-sm text-gray-600">
+                                        Recorded {group.history.total} · flagged {group.history.flagged} · rejected {group.history.rejected}
+                                    </span>
+                                </div>
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead>
+                                        <tr>
+                                            <th className="px-4 py-2"></th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Transaction</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reasons</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {group.transactions.map((tx) => (
+                                            <tr key={tx.id} className="align-top">
+                                                <td className="px-4 py-2">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={selected.includes(tx.id)}
+                                                        onChange={() => toggleOne(tx.id)}
+                                                    />
+                                                </td>
+                                                <td className="px-4 py-2 text-sm">
+                                                    <Link to={`/transactions/${tx.id}`} className="text-blue-600 hover:text-blue-800">
+                                                        #{tx.id}
+                                                    </Link>{' '}
+                                                    <span className="capitalize">{tx.type}</span>
+                                                    <div className="text-gray-600">
+                                                        {tx.type === 'purchase' ? `$${tx.spent} · ${tx.amount} points` : `${tx.amount} points`}
+                                                        {tx.reward && ` · ${tx.reward.name}`}
+                                                    </div>
+                                                    <div className="text-xs text-gray-500">{formatDate(tx.createdAt)}</div>
+                                                </td>
+                                                <td className="px-4 py-2 text-sm">
+                                                    {tx.customer.name} ({tx.customer.utorid})
+                                                    <div className="text-xs text-gray-500">
+                                                        Member since {new Date(tx.customer.createdAt).toLocaleDateString()}
+                                                    </div>
+                                                    <div className="text-xs text-gray-500">
+                                                        {tx.customer.purchases} purchases · ${tx.customer.totalSpent.toFixed(2)} spent
+                                                    </div>
+                                                    <div className="text-xs text-gray-500">
+                                                        {tx.customer.flagged} flagged · {tx.customer.rejected} rejected
+                                                    </div>
+                                                </td>
+                                                <td className="px-4 py-2 text-sm">
+                                                    <div className="text-xs text-gray-500 mb-1">Risk score {tx.riskScore}</div>
+                                                    <ul className="list-disc list-inside text-red-700">
+                                                        {tx.flagReasons.length === 0 ? (
+                                                            <li>Flagged by a manager</li>
+                                                        ) : tx.flagReasons.map((code) => (
+                                                            <li key={code}>{describeFlagReason(code)}</li>
+                                                        ))}
+                                                    </ul>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ReviewQueuePage;
@@ -3,11 +3,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { transactionService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
+import { describeFlagReason } from '../../utils/flagReasons';
 
 const TransactionDetailPage = () => {
+  // One key per submission, reused if the same submission is retried
+  const idempotencyKey = useIdempotencyKey();
   const { transactionId } = useParams();
   const navigate = useNavigate();
-  const { isManager, isCashier } = useAuth();
+  const { isManager } = useAuth();
   
   const [transaction, setTransaction] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -16,6 +20,9 @@ const TransactionDetailPage = () => {
   
   // For manager action - marking as suspicious/not suspicious
   const [changingSuspiciousStatus, setChangingSuspiciousStatus] = useState(false);
+  
+  // For manager action - reversing a transaction
+  const [reversing, setReversing] = useState(false);
 
   const fetchTransaction = useCallback(async () => {
     try {
@@ -99,7 +106,7 @@ const TransactionDetailPage = () => {
   };
 
   const handleProcessRedemption = async () => {
-    if (!isCashier || !transaction || transaction.type !== 'redemption' || transaction.processedBy) return;
+    if (!isManager || !transaction || transaction.type !== 'redemption' || transaction.processedBy || transaction.voidedAt) return;
     
     try {
       setLoading(true);
@@ -123,6 +130,67 @@ const TransactionDetailPage = () => {
     }
   };
 
+  const handleVoidRedemption = async () => {
+    if (!isManager || !transaction || transaction.type !== 'redemption' || transaction.processedBy || transaction.voidedAt) return;
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      await transactionService.voidRedemption(transaction.id);
+      
+      // Refresh transaction data
+      fetchTransaction();
+      
+      setSuccess('Redemption voided and points released');
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccess('');
+      }, 3000);
+    } catch (err) {
+      setError('Failed to void redemption: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReverseTransaction = async () => {
+    if (!isManager || !transaction || transaction.type === 'reversal' || transaction.reversedBy) return;
+    
+    if (!window.confirm('Reverse this transaction? A compensating transaction will be created.')) return;
+    
+    try {
+      setReversing(true);
+      setError('');
+      
+      const response = await transactionService.reverseTransaction(transaction.id, undefined,
+        idempotencyKey.getKey({ transactionId: transaction.id }));
+      idempotencyKey.reset();
+      
+      // Refresh transaction data
+      fetchTransaction();
+      
+      setSuccess(`Transaction reversed by transaction #${response.data.id}`);
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccess('');
+      }, 3000);
+    } catch (err) {
+      setError('Failed to reverse transaction: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setReversing(false);
+    }
+  };
+
+  // Helper function to format void reason
+  const formatVoidReason = (reason) => {
+    if (reason === 'expired') return 'Expired';
+    if (reason === 'cancelled') return 'Cancelled by user';
+    return 'Voided';
+  };
+
   // Helper function to format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -155,6 +223,15 @@ const TransactionDetailPage = () => {
               <div className="text-sm text-gray-500 mb-1">Points Earned</div>
               <div className="font-medium text-green-600">+{transaction.amount}</div>
             </div>
+            {transaction.earningPolicy && (
+              <div className="col-span-2">
+                <div className="text-sm text-gray-500 mb-1">Earning Policy</div>
+                <div className="font-medium">
+                  Policy #{transaction.earningPolicy.id}: {transaction.earningPolicy.pointsPerDollar} points per dollar
+                  ({transaction.earningPolicy.rounding} rounding), effective from {formatDate(transaction.earningPolicy.effectiveFrom)}
+                </div>
+              </div>
+            )}
             {transaction.promotionIds && transaction.promotionIds.length > 0 && (
               <div className="col-span-2">
                 <div className="text-sm text-gray-500 mb-1">Promotions Applied</div>
@@ -165,6 +242,7 @@ const TransactionDetailPage = () => {
                       className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800"
                     >
                       Promotion #{promotionId}
+                      {transaction.autoPromotionIds?.includes(promotionId) ? ' (automatic)' : ' (selected by cashier)'}
                     </span>
                   ))}
                 </div>
@@ -181,8 +259,10 @@ const TransactionDetailPage = () => {
               <div className="font-medium text-red-600">{transaction.amount}</div>
             </div>
             <div>
-              <div className="text-sm text-gray-500 mb-1">Value</div>
-              <div className="font-medium">{formatCurrency(Math.abs(transaction.amount) * 0.01)}</div>
+              <div className="text-sm text-gray-500 mb-1">{transaction.reward ? 'Reward' : 'Value'}</div>
+              <div className="font-medium">
+                {transaction.reward ? transaction.reward.name : formatCurrency(Math.abs(transaction.amount) * 0.01)}
+              </div>
             </div>
             <div>
               <div className="text-sm text-gray-500 mb-1">Status</div>
@@ -191,6 +271,10 @@ const TransactionDetailPage = () => {
                   <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                     Processed by {transaction.processedBy}
                   </span>
+                ) : transaction.voidedAt ? (
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                    {formatVoidReason(transaction.voidReason)} on {formatDate(transaction.voidedAt)}
+                  </span>
                 ) : (
                   <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
                     Awaiting Processing
@@ -257,6 +341,26 @@ const TransactionDetailPage = () => {
           </div>
         );
       
+      case 'reversal':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <div className="text-sm text-gray-500 mb-1">Points Reversed</div>
+              <div className={`font-medium ${transaction.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {transaction.amount >= 0 ? '+' : ''}{transaction.amount}
+              </div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-500 mb-1">Reversed Transaction</div>
+              <div className="font-medium">
+                <Link to={`/transactions/${transaction.relatedId}`} className="text-blue-600 hover:text-blue-800">
+                  #{transaction.relatedId}
+                </Link>
+              </div>
+            </div>
+          </div>
+        );
+      
       default:
         return (
           <div>
@@ -384,15 +488,36 @@ const TransactionDetailPage = () => {
                   transaction.type === 'redemption' ? 'bg-blue-100 text-blue-800' :
                   transaction.type === 'adjustment' ? 'bg-yellow-100 text-yellow-800' :
                   transaction.type === 'transfer' ? 'bg-purple-100 text-purple-800' :
-                  transaction.type === 'event' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`
+                  transaction.type === 'event' ? 'bg-indigo-100 text-indigo-800' :
+                  transaction.type === 'reversal' ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'}`
               }>
                 {formatTransactionType(transaction.type)}
               </span>
               <h2 className="text-lg font-semibold">
                 Transaction Details
               </h2>
+              {transaction.reversedBy && (
+                <Link to={`/transactions/${transaction.reversedBy}`} className="ml-2 text-sm text-red-600 hover:text-red-800">
+                  Reversed by #{transaction.reversedBy}
+                </Link>
+              )}
             </div>
             
+            {isManager && transaction.type !== 'reversal' && !transaction.reversedBy &&
+              (transaction.type !== 'redemption' || transaction.processedBy) && (
+              <div>
+                <button
+                  onClick={handleReverseTransaction}
+                  disabled={reversing}
+                  className={`inline-flex items-center px-3 py-1.5 border border-red-300 text-sm font-medium rounded-md shadow-sm text-red-700 bg-red-100 hover:bg-red-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 ${
+                    reversing ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {reversing ? 'Reversing...' : 'Reverse Transaction'}
+                </button>
+              </div>
+            )}
+            
             {isManager && transaction.type === 'purchase' && (
               <div>
                 <button
@@ -413,8 +538,17 @@ const TransactionDetailPage = () => {
               </div>
             )}
             
-            {isCashier && transaction.type === 'redemption' && !transaction.processedBy && (
-              <div>
+            {isManager && transaction.type === 'redemption' && !transaction.processedBy && !transaction.voidedAt && (
+              <div className="flex space-x-2">
+                <button
+                  onClick={handleVoidRedemption}
+                  disabled={loading}
+                  className={`inline-flex items-center px-3 py-1.5 border border-red-300 text-sm font-medium rounded-md shadow-sm text-red-700 bg-red-100 hover:bg-red-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 ${
+                    loading ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                >
+                  Void Redemption
+                </button>
                 <button
                   onClick={handleProcessRedemption}
                   disabled={loading}
@@ -479,6 +613,31 @@ const TransactionDetailPage = () => {
                     </div>
                   </div>
                 )}
+                
+                {isManager && transaction.flagReasons && transaction.flagReasons.length > 0 && (
+                  <div>
+                    <div className="text-sm text-gray-500 mb-1">Risk Score {transaction.riskScore}</div>
+                    <ul className="text-sm text-red-700 list-disc list-inside">
+                      {transaction.flagReasons.map((code) => (
+                        <li key={code}>{describeFlagReason(code)}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                
+                {isManager && transaction.reviewStatus && (
+                  <div>
+                    <div className="text-sm text-gray-500 mb-1">Review</div>
+                    <div className="font-medium capitalize">
+                      {transaction.reviewStatus}
+                      {transaction.reviewedBy && ` by ${transaction.reviewedBy}`}
+                    </div>
+                    {transaction.reviewedAt && (
+                      <div className="text-sm text-gray-500">{new Date(transaction.reviewedAt).toLocaleString()}</div>
+                    )}
+                    {transaction.reviewNote && <div className="text-sm text-gray-700">{transaction.reviewNote}</div>}
+                  </div>
+                )}
               </div>
             </div>
             
@@ -164,6 +164,8 @@ const TransactionListPage = () => {
                 <option value="adjustment">Adjustment</option>
                 <option value="transfer">Transfer</option>
                 <option value="event">Event</option>
+                <option value="reversal">Reversal</option>
+                <option value="expiry">Expiry</option>
               </select>
             </div>
             
@@ -371,9 +373,13 @@ const TransactionListPage = () => {
                       )}
                       {transaction.type === 'redemption' && (
                         <span>
-                          {formatCurrency(Math.abs(transaction.amount) * 0.01)}
+                          {transaction.reward ? transaction.reward.name : formatCurrency(Math.abs(transaction.amount) * 0.01)}
                           {transaction.processedBy ? (
                             <span className="ml-2 text-xs text-green-600">Processed</span>
+                          ) : transaction.voidedAt ? (
+                            <span className="ml-2 text-xs text-gray-500">
+                              {transaction.voidReason === 'expired' ? 'Expired' : 'Cancelled'}
+                            </span>
                           ) : (
                             <span className="ml-2 text-xs text-yellow-600">Pending</span>
                           )}
@@ -394,6 +400,16 @@ const TransactionListPage = () => {
                           Event #{transaction.relatedId}
                         </span>
                       )}
+                      {transaction.type === 'reversal' && (
+                        <span>
+                          Reverses Transaction #{transaction.relatedId}
+                        </span>
+                      )}
+                      {transaction.type === 'expiry' && (
+                        <span>
+                          Points expired
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <span className={transaction.amount >= 0 ? 'text-green-600' : 'text-red-600'}>
@@ -34,6 +34,19 @@ const TransactionOptions = ({ currentUser, isCashier, isManager, setMode, naviga
               <h3 className="text-lg font-medium">Transfer Points</h3>
               <p className="text-sm text-gray-500 mt-1">Send points to another user</p>
             </button>
+            
+            <button
+              onClick={() => setMode('request')}
+              className="p-6 border-2 border-teal-200 rounded-lg text-center hover:bg-teal-50 transition duration-200"
+            >
+              <div className="mb-2">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 mx-auto text-teal-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 17l-4 4m0 0l-4-4m4 4V3" />
+                </svg>
+              </div>
+              <h3 className="text-lg font-medium">Request Points</h3>
+              <p className="text-sm text-gray-500 mt-1">Ask another user to send you points</p>
+            </button>
           </>
         )}
         
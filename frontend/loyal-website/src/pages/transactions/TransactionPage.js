@@ -5,6 +5,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import PurchaseTransactionForm from './PurchaseTransactionForm';
 import RedemptionTransactionForm from './RedemptionTransactionForm';
 import TransferTransactionForm from './TransferTransactionForm';
+import RequestPointsForm from './RequestPointsForm';
 import ProcessRedemptionForm from './ProcessRedemptionForm';
 import TransactionOptions from './TransactionOptions';
 
@@ -13,7 +14,7 @@ const TransactionPage = () => {
   const navigate = useNavigate();
 
   // States for various transaction modes
-  const [mode, setMode] = useState(''); // '', 'purchase', 'redemption', 'transfer', 'adjustment', 'process'
+  const [mode, setMode] = useState(''); // '', 'purchase', 'redemption', 'transfer', 'request', 'adjustment', 'process'
   
   // Common states
   const [error, setError] = useState('');
@@ -113,6 +114,14 @@ const TransactionPage = () => {
         />
       )}
       
+      {mode === 'request' && currentUser.verified && (
+        <RequestPointsForm 
+          setMode={setMode}
+          onSuccess={handleSuccess}
+          onError={handleError}
+        />
+      )}
+      
       {mode === 'process' && isCashier && (
         <ProcessRedemptionForm 
           setMode={setMode}
@@ -1,18 +1,53 @@
 // pages/transactions/TransferTransactionForm.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { transactionService, userService } from '../../services/api';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
+import { parseQRPayload } from '../../utils/qrDecoder';
+
+// Accept either a UTORID or the payload of a scanned user QR code
+const parseRecipient = (input) => {
+  const value = input.trim();
+  const payload = value.startsWith('{') ? parseQRPayload(value) : null;
+  return payload && payload.type === 'user' ? payload.utorid : value;
+};
 
 const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) => {
+  // One key per submission, reused if the same submission is retried
+  const idempotencyKey = useIdempotencyKey();
   // State for transfer transaction
   const [recipientUtorid, setRecipientUtorid] = useState('');
   const [pointsToTransfer, setPointsToTransfer] = useState('');
   const [transferRemark, setTransferRemark] = useState('');
   const [loading, setLoading] = useState(false);
+  
+  // Points held by pending redemptions cannot be spent again
+  const availablePoints = currentUser.available ?? currentUser.points;
   const [scannedUser, setScannedUser] = useState(null);
+  const [limits, setLimits] = useState(null);
+  
+  // The most that can be sent right now, given the balance and the transfer policy
+  const maxTransfer = limits
+    ? Math.min(availablePoints, limits.maxAmount, limits.remainingToday, limits.remainingThisWeek)
+    : availablePoints;
+
+  useEffect(() => {
+    fetchLimits();
+  }, []);
+
+  const fetchLimits = async () => {
+    try {
+      const response = await transactionService.getTransferLimits();
+      setLimits(response.data);
+    } catch (err) {
+      // The server still enforces the limits; the form just cannot show them
+      setLimits(null);
+    }
+  };
 
-  // Function to look up a user by UTORID
+  // Function to look up a user by UTORID or scanned QR code
   const handleLookupUser = async () => {
-    if (!recipientUtorid) {
+    const utorid = parseRecipient(recipientUtorid);
+    if (!utorid) {
       onError('Please enter a recipient UTORID');
       return;
     }
@@ -21,13 +56,11 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
       setLoading(true);
       onError('');
       
-      const response = await userService.getUser(recipientUtorid);
-      setScannedUser({
-        ...response.data,
-        utorid: recipientUtorid
-      });
+      const response = await userService.lookupUser(utorid);
+      setScannedUser(response.data);
+      setRecipientUtorid(response.data.utorid);
     } catch (err) {
-      onError('Failed to find recipient: ' + (err.response?.data?.message || err.message));
+      onError('Failed to find recipient: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
     } finally {
       setLoading(false);
     }
@@ -37,8 +70,8 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
   const handleTransferSubmit = async (e) => {
     e.preventDefault();
     
-    if (!recipientUtorid) {
-      onError('Please enter the recipient\'s UTORID');
+    if (!scannedUser) {
+      onError('Please look up the recipient before sending');
       return;
     }
     
@@ -48,35 +81,40 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
       return;
     }
     
-    if (points > currentUser.points) {
+    if (points > availablePoints) {
       onError('You cannot transfer more points than you have available');
       return;
     }
     
+    if (limits && (points < limits.minAmount || points > maxTransfer)) {
+      onError(`You can transfer between ${limits.minAmount} and ${maxTransfer} points right now`);
+      return;
+    }
+    
     try {
       setLoading(true);
       onError('');
       
-      // Find the user ID from the UTORID
-      const userResponse = await userService.getUser(recipientUtorid);
-      const userId = userResponse.data.id;
-      
       const transferData = {
         amount: points,
         remark: transferRemark
       };
       
-      await transactionService.createTransfer(userId, transferData);
+      await transactionService.createTransferByUtorid(scannedUser.utorid, transferData,
+        idempotencyKey.getKey({ utorid: scannedUser.utorid, ...transferData }));
+      idempotencyKey.reset();
       
       // Reset form
       setRecipientUtorid('');
       setPointsToTransfer('');
       setTransferRemark('');
       setScannedUser(null);
+      fetchLimits();
       
-      onSuccess(`Transfer of ${points} points to ${recipientUtorid} completed successfully!`);
+      onSuccess(`Transfer of ${points} points to ${scannedUser.name} completed successfully!`);
     } catch (err) {
-      onError('Failed to transfer points: ' + (err.response?.data?.message || err.message));
+      // Transfer policy rejections come back as { error } with a 4xx status
+      onError('Failed to transfer points: ' + (err.response?.data?.error || err.response?.data?.message || err.message));
     } finally {
       setLoading(false);
     }
@@ -90,8 +128,14 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
       
       <div className="p-6">
         <div className="mb-6 p-4 bg-green-50 rounded-lg">
-          <h3 className="font-medium">Current Balance</h3>
-          <p className="text-2xl font-bold text-green-600">{currentUser.points} points</p>
+          <h3 className="font-medium">Available Balance</h3>
+          <p className="text-2xl font-bold text-green-600">{availablePoints} points</p>
+          {limits && (
+            <div className="mt-2 text-sm text-gray-600">
+              <p>Each transfer: {limits.minAmount} to {limits.maxAmount} points</p>
+              <p>Left to send: {limits.remainingToday} in the last 24 hours, {limits.remainingThisWeek} in the last 7 days</p>
+            </div>
+          )}
         </div>
         
         {/* Manual Recipient Entry */}
@@ -105,7 +149,7 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
                 className="shadow-sm focus:ring-green-500 focus:border-green-500 block w-full sm:text-sm border-gray-300 rounded-l-md"
                 value={recipientUtorid}
                 onChange={(e) => setRecipientUtorid(e.target.value)}
-                placeholder="Enter recipient's UTORID"
+                placeholder="Enter recipient's UTORID or paste their QR code"
               />
               <button
                 type="button"
@@ -122,10 +166,15 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
         {scannedUser && (
           <div className="mb-6 p-4 bg-gray-50 rounded-lg">
             <div className="flex justify-between items-center">
-              <div>
-                <h3 className="font-medium">Recipient Information</h3>
-                <p className="text-sm text-gray-600">Name: {scannedUser.name}</p>
-                <p className="text-sm text-gray-600">UTORID: {scannedUser.utorid}</p>
+              <div className="flex items-center">
+                {scannedUser.avatarUrl && (
+                  <img className="h-10 w-10 rounded-full mr-3" src={scannedUser.avatarUrl} alt={scannedUser.name} />
+                )}
+                <div>
+                  <h3 className="font-medium">Recipient Information</h3>
+                  <p className="text-sm text-gray-600">Name: {scannedUser.name}</p>
+                  <p className="text-sm text-gray-600">UTORID: {scannedUser.utorid}</p>
+                </div>
               </div>
               <button
                 onClick={() => {
@@ -155,8 +204,8 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
                 value={pointsToTransfer}
                 onChange={(e) => setPointsToTransfer(e.target.value)}
                 required
-                min="1"
-                max={currentUser.points}
+                min={limits ? limits.minAmount : 1}
+                max={maxTransfer}
               />
             </div>
             
@@ -174,6 +223,12 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
               ></textarea>
             </div>
             
+            {scannedUser && parseInt(pointsToTransfer) > 0 && (
+              <div className="p-3 bg-green-50 border border-green-200 rounded-md text-sm text-green-800">
+                You are sending {parseInt(pointsToTransfer)} points to {scannedUser.name}.
+              </div>
+            )}
+            
             <div className="pt-4 flex justify-end space-x-3">
               <button
                 type="button"
@@ -184,9 +239,9 @@ const TransferTransactionForm = ({ currentUser, setMode, onSuccess, onError }) =
               </button>
               <button
                 type="submit"
-                disabled={loading || !recipientUtorid || !pointsToTransfer || isNaN(parseInt(pointsToTransfer)) || parseInt(pointsToTransfer) <= 0 || parseInt(pointsToTransfer) > currentUser.points}
+                disabled={loading || !scannedUser || !pointsToTransfer || isNaN(parseInt(pointsToTransfer)) || parseInt(pointsToTransfer) <= 0 || parseInt(pointsToTransfer) > maxTransfer}
                 className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 ${
-                  (loading || !recipientUtorid || !pointsToTransfer || isNaN(parseInt(pointsToTransfer)) || parseInt(pointsToTransfer) <= 0 || parseInt(pointsToTransfer) > currentUser.points) ? 'opacity-70 cursor-not-allowed' : ''
+                  (loading || !scannedUser || !pointsToTransfer || isNaN(parseInt(pointsToTransfer)) || parseInt(pointsToTransfer) <= 0 || parseInt(pointsToTransfer) > maxTransfer) ? 'opacity-70 cursor-not-allowed' : ''
                 }`}
               >
                 {loading ? 'Processing...' : 'Transfer Points'}
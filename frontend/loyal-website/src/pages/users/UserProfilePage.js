@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { userService, authService } from '../../services/api';
 import { UserQRCode } from '../../components/qrcode/QRCodeComponents';
@@ -26,6 +26,15 @@ const UserProfilePage = () => {
   
   // Show QR code state
   const [showQR, setShowQR] = useState(false);
+  
+  // Membership tier history
+  const [tierChanges, setTierChanges] = useState([]);
+
+  useEffect(() => {
+    userService.getMyTierChanges()
+      .then((response) => setTierChanges(response.data.results))
+      .catch(() => setTierChanges([]));
+  }, []);
 
   const validatePassword = (pass) => {
     // Password requirements: 8-20 characters, at least one uppercase, one lowercase, one number, one special character
@@ -141,6 +150,11 @@ const UserProfilePage = () => {
                 <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 capitalize">
                   {currentUser.role}
                 </span>
+                {currentUser.membership?.tier && (
+                  <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800 capitalize">
+                    {currentUser.membership.tier.name}
+                  </span>
+                )}
               </div>
             </div>
             <div className="mt-4 md:mt-0 md:ml-auto">
@@ -231,8 +245,45 @@ const UserProfilePage = () => {
                   <div className="text-sm text-gray-500 mb-1">Account Created</div>
                   <div>{new Date(currentUser.createdAt).toLocaleDateString()}</div>
                 </div>
+                <div>
+                  <div className="text-sm text-gray-500 mb-1">Membership Tier</div>
+                  <div className="capitalize">
+                    {currentUser.membership?.tier
+                      ? `${currentUser.membership.tier.name} (×${currentUser.membership.tier.multiplier} points on purchases)`
+                      : 'Not assigned yet'}
+                  </div>
+                </div>
+                <div>
+                  <div className="text-sm text-gray-500 mb-1">Points Earned (last {currentUser.membership?.windowDays} days)</div>
+                  <div>
+                    {currentUser.membership?.earnedPoints ?? 0}
+                    {currentUser.membership?.nextTier && (
+                      <span className="text-sm text-gray-500">
+                        {' '}/ {currentUser.membership.nextTier.minPoints} for <span className="capitalize">{currentUser.membership.nextTier.name}</span>
+                      </span>
+                    )}
+                  </div>
+                </div>
               </div>
               
+              {tierChanges.length > 0 && (
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <h3 className="text-lg font-semibold mb-3">Tier History</h3>
+                  <ul className="space-y-2 text-sm">
+                    {tierChanges.map((change) => (
+                      <li key={change.id} className="flex justify-between">
+                        <span className="capitalize">
+                          {change.fromTier || 'No tier'} → {change.toTier || 'No tier'}
+                        </span>
+                        <span className="text-gray-500">
+                          {new Date(change.changedAt).toLocaleDateString()} · {change.earnedPoints} points earned
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              
               <div className="mt-6 pt-6 border-t border-gray-200">
                 <button
                   onClick={() => setShowPasswordForm(!showPasswordForm)}
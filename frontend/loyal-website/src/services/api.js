@@ -23,6 +23,20 @@ api.interceptors.request.use(
   }
 );
 
+// Create a key for one user action that moves points (a form submission, a
+// button click). Pass the same key with every attempt of that action, so a
+// double click or a retry is applied once by the server.
+export const newIdempotencyKey = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+};
+
+// Request config sending an idempotency key, if the caller has one
+const withIdempotencyKey = (idempotencyKey) =>
+  idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined;
+
 // Add a response interceptor to handle common errors
 api.interceptors.response.use(
   (response) => {
@@ -55,6 +69,12 @@ export const userService = {
   // Get specific user
   getUser: (userId) => api.get(`/users/${userId}`),
   
+  // Get the user a scanned QR code token was issued for (for cashiers)
+  getUserByQRToken: (token) => api.get(`/users/qr/${encodeURIComponent(token)}`),
+  
+  // Look up another user's name and avatar by UTORID
+  lookupUser: (utorid) => api.get(`/users/lookup/${encodeURIComponent(utorid)}`),
+  
   // Register a new user (for cashiers)
   registerUser: (userData) => api.post('/users', userData),
   
@@ -63,33 +83,58 @@ export const userService = {
   
   // Update user's status (for managers)
   updateUserStatus: (userId, statusData) => api.patch(`/users/${userId}`, statusData),
+  
+  // Get current user's membership tier history
+  getMyTierChanges: () => api.get('/users/me/tier-changes'),
+  
+  // Get a short-lived signed token for the current user's QR code
+  getQRToken: () => api.get('/users/me/qr-token'),
 };
 
 // Transaction API calls
 export const transactionService = {
   // Create a purchase transaction (for cashiers)
-  createPurchase: (purchaseData) => api.post('/transactions', {
+  createPurchase: (purchaseData, idempotencyKey) => api.post('/transactions', {
     ...purchaseData,
     type: 'purchase'
-  }),
+  }, withIdempotencyKey(idempotencyKey)),
+  
+  // Preview the points a purchase would earn without recording it (for cashiers)
+  quotePurchase: (quoteData) => api.post('/transactions/quote', quoteData),
   
   // Create an adjustment transaction (for managers)
-  createAdjustment: (adjustmentData) => api.post('/transactions', {
+  createAdjustment: (adjustmentData, idempotencyKey) => api.post('/transactions', {
     ...adjustmentData,
     type: 'adjustment'
-  }),
+  }, withIdempotencyKey(idempotencyKey)),
   
   // Create a redemption transaction (for regular users)
-  createRedemption: (redemptionData) => api.post('/users/me/transactions', {
+  createRedemption: (redemptionData, idempotencyKey) => api.post('/users/me/transactions', {
     ...redemptionData,
     type: 'redemption'
-  }),
+  }, withIdempotencyKey(idempotencyKey)),
+  
+  // Cancel an unprocessed redemption of the current user (releases the held points)
+  cancelRedemption: (transactionId) => api.delete(`/users/me/transactions/${transactionId}`),
+  
+  // Get a short-lived signed token for the QR code of the current user's unprocessed redemption
+  getRedemptionQRToken: (transactionId) => api.get(`/users/me/transactions/${transactionId}/qr-token`),
   
   // Create a transfer transaction (for regular users)
-  createTransfer: (userId, transferData) => api.post(`/users/${userId}/transactions`, {
+  createTransfer: (userId, transferData, idempotencyKey) => api.post(`/users/${userId}/transactions`, {
     ...transferData,
     type: 'transfer'
-  }),
+  }, withIdempotencyKey(idempotencyKey)),
+  
+  // Create a transfer to the user with the given UTORID (for regular users)
+  createTransferByUtorid: (utorid, transferData, idempotencyKey) => api.post('/users/me/transfers', {
+    ...transferData,
+    utorid,
+    type: 'transfer'
+  }, withIdempotencyKey(idempotencyKey)),
+  
+  // Get the current user's transfer limits and how much of them is used
+  getTransferLimits: () => api.get('/users/me/transfer-limits'),
   
   // Get list of all transactions (for managers)
   getAllTransactions: (params) => api.get('/transactions', { params }),
@@ -104,14 +149,60 @@ export const transactionService = {
   updateTransactionSuspicious: (transactionId, suspicious) => 
     api.patch(`/transactions/${transactionId}/suspicious`, { suspicious }),
     
-  // Mark a redemption as processed (for cashiers)
+  // Get flagged transactions waiting for review, grouped by cashier (for managers)
+  getReviewQueue: () => api.get('/transactions/review-queue'),
+  
+  // Approve or reject flagged transactions with a note (for managers)
+  reviewTransactions: (transactionIds, decision, note) =>
+    api.post('/transactions/reviews', { transactionIds, decision, note }),
+    
+  // Get a redemption with the catalog item to hand over by its ID (for managers)
+  getRedemption: (transactionId) => api.get(`/transactions/${transactionId}/redemption`),
+    
+  // Get the redemption a scanned QR code token was issued for (for cashiers)
+  getRedemptionByQRToken: (token) => api.get(`/transactions/qr/${encodeURIComponent(token)}`),
+    
+  // Mark a redemption as processed by its ID (for managers)
   processRedemption: (transactionId) => 
     api.patch(`/transactions/${transactionId}/processed`, { processed: true }),
+    
+  // Mark the redemption a scanned QR code token was issued for as processed (for cashiers)
+  processRedemptionByQRToken: (token) =>
+    api.patch(`/transactions/qr/${encodeURIComponent(token)}/processed`, { processed: true }),
+    
+  // Void an unprocessed redemption and release its held points (for managers)
+  voidRedemption: (transactionId) => api.post(`/transactions/${transactionId}/void`),
+    
+  // Void the redemption a scanned QR code token was issued for (for cashiers)
+  voidRedemptionByQRToken: (token) => api.post(`/transactions/qr/${encodeURIComponent(token)}/void`),
+  
+  // Reverse a transaction with a compensating transaction (for managers)
+  reverseTransaction: (transactionId, remark, idempotencyKey) => 
+    api.post(`/transactions/${transactionId}/reversal`, { remark }, withIdempotencyKey(idempotencyKey)),
+};
+
+// Point request API calls
+export const pointRequestService = {
+  // Ask another user, by UTORID, for points
+  createRequest: (requestData) => api.post('/users/me/point-requests', requestData),
+  
+  // Get point requests the current user made or received
+  getRequests: (params) => api.get('/users/me/point-requests', { params }),
+  
+  // Accept a request sent to the current user, paying it as a transfer
+  acceptRequest: (requestId, idempotencyKey) =>
+    api.post(`/users/me/point-requests/${requestId}/accept`, undefined, withIdempotencyKey(idempotencyKey)),
+  
+  // Decline a request sent to the current user
+  declineRequest: (requestId) => api.post(`/users/me/point-requests/${requestId}/decline`),
+  
+  // Cancel a pending request the current user made
+  cancelRequest: (requestId) => api.delete(`/users/me/point-requests/${requestId}`),
 };
 
 // Event API calls
 export const eventService = {
-  // Create a new event (for managers)
+  // Create a new event (for managers); pass recurrence to create a series
   createEvent: (eventData) => api.post('/events', eventData),
   
   // Get list of events
@@ -120,17 +211,17 @@ export const eventService = {
   // Get specific event
   getEvent: (eventId) => api.get(`/events/${eventId}`),
   
-  // Update an event
+  // Update an event; scope 'future' also updates later occurrences of its series
   updateEvent: (eventId, eventData) => api.patch(`/events/${eventId}`, eventData),
   
   // Delete an event (for managers, only if not published)
   deleteEvent: (eventId) => api.delete(`/events/${eventId}`),
   
-  // Add an organizer to an event (for managers)
-  addOrganizer: (eventId, utorid) => api.post(`/events/${eventId}/organizers`, { utorid }),
+  // Add an organizer to an event (for managers); scope 'future' adds them to later occurrences too
+  addOrganizer: (eventId, utorid, scope) => api.post(`/events/${eventId}/organizers`, { utorid, scope }),
   
-  // Remove an organizer from an event (for managers)
-  removeOrganizer: (eventId, userId) => api.delete(`/events/${eventId}/organizers/${userId}`),
+  // Remove an organizer from an event (for managers); scope 'future' removes them from later occurrences too
+  removeOrganizer: (eventId, userId, scope) => api.delete(`/events/${eventId}/organizers/${userId}`, { params: { scope } }),
   
   // Add a guest to an event (for managers/organizers)
   addGuest: (eventId, utorid) => api.post(`/events/${eventId}/guests`, { utorid }),
@@ -144,11 +235,23 @@ export const eventService = {
   // Cancel RSVP for current user
   cancelRsvp: (eventId) => api.delete(`/events/${eventId}/guests/me`),
   
+  // Join the waitlist of a full event
+  joinWaitlist: (eventId) => api.post(`/events/${eventId}/waitlist/me`),
+  
+  // Leave an event's waitlist
+  leaveWaitlist: (eventId) => api.delete(`/events/${eventId}/waitlist/me`),
+  
+  // Get an event's waitlist in promotion order (for managers/organizers)
+  getWaitlist: (eventId) => api.get(`/events/${eventId}/waitlist`),
+  
+  // Reorder an event's waitlist; userIds lists everyone waitlisted (for managers/organizers)
+  reorderWaitlist: (eventId, userIds) => api.put(`/events/${eventId}/waitlist`, { userIds }),
+  
   // Award points for an event
-  awardPoints: (eventId, transactionData) => api.post(`/events/${eventId}/transactions`, {
+  awardPoints: (eventId, transactionData, idempotencyKey) => api.post(`/events/${eventId}/transactions`, {
     ...transactionData,
     type: 'event'
-  }),
+  }, withIdempotencyKey(idempotencyKey)),
 };
 
 // Promotion API calls
@@ -169,6 +272,57 @@ export const promotionService = {
   deletePromotion: (promotionId) => api.delete(`/promotions/${promotionId}`),
 };
 
+// Earning policy API calls
+export const earningPolicyService = {
+  // Get the history of earning policies (for managers)
+  getPolicies: () => api.get('/earning-policies'),
+
+  // Get the earning policy in effect now
+  getCurrentPolicy: () => api.get('/earning-policies/current'),
+
+  // Create a new earning policy (for managers)
+  createPolicy: (policyData) => api.post('/earning-policies', policyData),
+};
+
+// Membership tier API calls
+export const tierService = {
+  // Get membership tiers, lowest first
+  getTiers: () => api.get('/tiers'),
+
+  // Create a membership tier (for managers)
+  createTier: (tierData) => api.post('/tiers', tierData),
+
+  // Update a membership tier (for managers)
+  updateTier: (tierId, tierData) => api.patch(`/tiers/${tierId}`, tierData),
+
+  // Delete a membership tier (for managers)
+  deleteTier: (tierId) => api.delete(`/tiers/${tierId}`),
+
+  // Recalculate every user's tier now (for managers)
+  recalculate: () => api.post('/tiers/recalculate'),
+};
+
+// Reward catalog API calls
+export const rewardService = {
+  // Get rewards (the current catalog for regular users, every reward for managers)
+  getRewards: (params) => api.get('/rewards', { params }),
+
+  // Create a reward (for managers)
+  createReward: (rewardData) => api.post('/rewards', rewardData),
+
+  // Update a reward (for managers)
+  updateReward: (rewardId, rewardData) => api.patch(`/rewards/${rewardId}`, rewardData),
+
+  // Delete a reward that has never been redeemed (for managers)
+  deleteReward: (rewardId) => api.delete(`/rewards/${rewardId}`),
+};
+
+// Audit log API calls
+export const auditService = {
+  // Get audit log entries, newest first (for superusers)
+  getLogs: (params) => api.get('/audit', { params }),
+};
+
 // Auth API calls
 export const authService = {
   // Login a user
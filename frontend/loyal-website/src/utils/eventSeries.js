@@ -0,0 +1,25 @@
+// utils/eventSeries.js
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+};
+
+const PERIOD_NAMES = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months',
+};
+
+// Describe an event's recurrence rule, e.g. "Every 2 weeks, 10 times" or
+// "Weekly until 6/30/2025"
+export const describeRecurrence = (series) => {
+  const every = series.interval > 1
+    ? `Every ${series.interval} ${PERIOD_NAMES[series.frequency]}`
+    : FREQUENCY_LABELS[series.frequency];
+
+  return series.count
+    ? `${every}, ${series.count} ${series.count === 1 ? 'time' : 'times'}`
+    : `${every} until ${new Date(series.until).toLocaleDateString()}`;
+};
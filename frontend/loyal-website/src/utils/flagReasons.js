@@ -0,0 +1,12 @@
+// utils/flagReasons.js
+
+// Descriptions of the reason codes the suspicious-activity rules attach to transactions
+export const FLAG_REASON_LABELS = {
+  suspicious_cashier: 'Recorded by a cashier marked suspicious',
+  large_spend: 'Unusually large spend',
+  rapid_purchases: 'Many purchases for one customer by one cashier in a short period',
+  transfer_funnel: 'Recipient is receiving transfers from many accounts',
+  quick_redeem: 'Redeemed right after earning points',
+};
+
+export const describeFlagReason = (code) => FLAG_REASON_LABELS[code] || code;
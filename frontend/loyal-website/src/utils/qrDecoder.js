@@ -0,0 +1,49 @@
+// utils/qrDecoder.js
+import jsQR from 'jsqr';
+
+// Why an image or code could not be used
+export const QR_ERROR_MESSAGES = {
+  notFound: 'No QR code found. Hold the code steady and fully in view.',
+  unrecognized: 'This QR code is not a loyalty program code.',
+};
+
+// Parse the JSON a UserQRCode or RedemptionQRCode encodes. Returns
+// { type: 'user', utorid, token } or { type: 'redemption', token }, or null if
+// the text is not one of those payloads. The token is signed by the server and
+// is what cashiers look the user or redemption up by.
+export const parseQRPayload = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+
+  if (!payload || typeof payload !== 'object' || typeof payload.token !== 'string' || !payload.token) {
+    return null;
+  }
+
+  if (payload.type === 'user' && typeof payload.utorid === 'string' && payload.utorid) {
+    return { type: 'user', utorid: payload.utorid, token: payload.token };
+  }
+
+  if (payload.type === 'redemption') {
+    return { type: 'redemption', token: payload.token };
+  }
+
+  return null;
+};
+
+// Find and parse a QR code in RGBA pixel data ({ data, width, height }, e.g.
+// an ImageData from a canvas). Returns { payload } on success, or
+// { error, text } where error is a key of QR_ERROR_MESSAGES and text is the
+// raw contents of an unrecognized code.
+export const decodeQRImage = ({ data, width, height }) => {
+  const code = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+  if (!code) {
+    return { error: 'notFound' };
+  }
+
+  const payload = parseQRPayload(code.data);
+  return payload ? { payload } : { error: 'unrecognized', text: code.data };
+};
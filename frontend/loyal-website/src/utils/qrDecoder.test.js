@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { decodeQRImage, parseQRPayload } from './qrDecoder';
+
+// Read one of the __fixtures__ PNGs into RGBA pixel data, the shape a canvas
+// ImageData has. The fixtures are 8-bit grayscale with unfiltered rows, which
+// is all this reader handles.
+const readFixture = (name) => {
+  const file = fs.readFileSync(path.join(__dirname, '__fixtures__', name));
+  const width = file.readUInt32BE(16);
+  const height = file.readUInt32BE(20);
+
+  const idat = [];
+  for (let offset = 8; offset < file.length;) {
+    const length = file.readUInt32BE(offset);
+    if (file.toString('ascii', offset + 4, offset + 8) === 'IDAT') {
+      idat.push(file.subarray(offset + 8, offset + 8 + length));
+    }
+    offset += length + 12;
+  }
+
+  const rows = zlib.inflateSync(Buffer.concat(idat));
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width + 1);
+    if (rows[row] !== 0) {
+      throw new Error(`${name}: only unfiltered rows are supported`);
+    }
+    for (let x = 0; x < width; x++) {
+      const value = rows[row + 1 + x];
+      data.set([value, value, value, 255], (y * width + x) * 4);
+    }
+  }
+
+  return { data, width, height };
+};
+
+describe('decodeQRImage', () => {
+  it('reads a user code', () => {
+    expect(decodeQRImage(readFixture('user-qr.png'))).toEqual({
+      payload: { type: 'user', utorid: 'testuser1', token: 'eyJ1c2VySWQiOjF9.c2ln' },
+    });
+  });
+
+  it('reads a redemption code', () => {
+    expect(decodeQRImage(readFixture('redemption-qr.png'))).toEqual({
+      payload: { type: 'redemption', token: 'eyJ0cmFuc2FjdGlvbklkIjo3fQ.c2ln' },
+    });
+  });
+
+  it('reports a code that is not a loyalty code with its contents', () => {
+    expect(decodeQRImage(readFixture('other-qr.png'))).toEqual({
+      error: 'unrecognized',
+      text: 'https://example.com/menu',
+    });
+  });
+
+  it('reports an image without a code', () => {
+    expect(decodeQRImage(readFixture('no-qr.png'))).toEqual({ error: 'notFound' });
+  });
+
+  it('reads a light code on a dark background', () => {
+    const image = readFixture('user-qr.png');
+    const data = image.data.map((value, i) => (i % 4 === 3 ? value : 255 - value));
+
+    expect(decodeQRImage({ ...image, data }).payload.type).toBe('user');
+  });
+});
+
+describe('parseQRPayload', () => {
+  it('accepts user and redemption payloads', () => {
+    expect(parseQRPayload('{"type":"user","utorid":"testuser1","token":"t"}'))
+      .toEqual({ type: 'user', utorid: 'testuser1', token: 't' });
+    expect(parseQRPayload('{"type":"redemption","token":"t","transactionId":7}'))
+      .toEqual({ type: 'redemption', token: 't' });
+  });
+
+  it.each([
+    ['text that is not JSON', 'testuser1'],
+    ['JSON that is not an object', '"testuser1"'],
+    ['null', 'null'],
+    ['a payload without a token', '{"type":"user","utorid":"testuser1"}'],
+    ['an empty token', '{"type":"redemption","token":""}'],
+    ['a token that is not a string', '{"type":"redemption","token":7}'],
+    ['a user payload without a utorid', '{"type":"user","token":"t"}'],
+    ['a user payload with an empty utorid', '{"type":"user","utorid":"","token":"t"}'],
+    ['an unknown type', '{"type":"promotion","token":"t"}'],
+    ['a payload without a type', '{"token":"t"}'],
+  ])('rejects %s', (description, text) => {
+    expect(parseQRPayload(text)).toBeNull();
+  });
+});